@@ -1,8 +1,13 @@
 // Zoo Planner App - Vanilla JavaScript
 // No build tools, no frameworks, just fun!
 
-const GRID_SIZE = 30; // Grid is 30x30 squares
+const DEFAULT_GRID_SIZE = 30; // New zoos are 30x30 squares
+const MIN_GRID_SIZE = 10;
+const MAX_GRID_SIZE = 60;
 const CELL_SIZE = 20; // Each square is 20px
+const EDGE_THRESHOLD = 0.3; // Mouse within 0.3 grid cells of an enclosure edge resizes it
+const DEFAULT_BUDGET = 30000; // Dollars a new zoo can spend
+const MAX_BUDGET = 1000000;
 
 // Building definitions - loaded from JSON
 let BUILDINGS = [];
@@ -13,12 +18,16 @@ let DECORATIONS = [];
 // Animal definitions - loaded from JSON
 let ANIMALS = [];
 
+// Zoo planning rules - loaded from JSON, see RULE_TYPES
+let RULES = [];
+
 // App state
 const state = {
     selectedAnimal: null, // Currently selected animal to draw
     placedBuildings: [],
     placedDecorations: [],
     enclosures: [],
+    paths: new Set(), // Visitor path squares as "x,y" keys - see renderPaths()
     drawing: null,
     draggingBuilding: null, // Building being dragged from palette
     movingItem: null, // Item being moved on grid
@@ -28,131 +37,600 @@ const state = {
     nextBuildingId: 1,
     nextDecorationId: 1,
     zooName: '', // Name of the zoo
+    libraryId: null, // Id of this zoo in the "My Zoos" library (null until first autosave)
+    gridWidth: DEFAULT_GRID_SIZE, // Zoo size in squares - part of the zoo, saved in the URL
+    gridHeight: DEFAULT_GRID_SIZE,
     mathPractice: true, // Math practice mode enabled by default
+    mathSettings: null, // Teacher's choice of math levels - see loadMathSettings()
+    studentName: '', // Who is practising - their answers go in the progress log
+    assignment: null, // Teacher's assignment this zoo is for - see decodeAssignment()
+    assignmentCode: null, // The assignment as it appears in links
     pendingEnclosure: null, // Enclosure waiting for math validation
+    budget: DEFAULT_BUDGET, // Money the zoo can spend - part of the zoo, saved in the URL
+    enclosureMode: 'rectangle', // How new enclosures are drawn: 'rectangle' corner to corner, or 'paint' square by square
+    pathMode: null, // Path tool picked: 'paint', 'erase' or null
+    pathStroke: null, // Path being painted or erased with the pointer
+    terrainBrush: null, // Terrain picked to paint inside enclosures, or null - see TERRAIN_TYPES
+    terrainStroke: null, // Terrain being painted with the pointer
+    view: { zoom: 1, x: 0, y: 0 }, // Zoom and pan of the grid (viewBox origin in SVG px)
+    cursor: { gridX: 0, gridY: 0 }, // Keyboard cursor square on the grid
+    placingItem: null, // Palette item picked up (keyboard or tap) to place on the grid: { item, kind }
+    pendingPlacement: null, // Finger down on the grid while carrying an item - placed when it lifts
+    paletteTurns: {}, // Turn (in degrees) each palette item is placed with, by catalog id - see ROTATION_STEP
+    keyboardSelection: null, // Placed item being moved/resized with the keyboard
+    selection: [], // Items picked with Shift-click or a selection box, as [{ kind, id }] - see setSelection()
+    selectionBox: null, // Selection box being dragged out on the grid
+    movingSelection: null, // Selected items being dragged together
 };
 
-// Check if a rectangle overlaps with any existing buildings, decorations, or enclosures
-function checkOverlap(gridX, gridY, width, height, excludeId = null) {
-    // Check buildings
-    for (const building of state.placedBuildings) {
-        if (building.id === excludeId) continue;
-        
-        if (!(gridX + width <= building.gridX ||
-              gridX >= building.gridX + building.width ||
-              gridY + height <= building.gridY ||
-              gridY >= building.gridY + building.height)) {
-            return true; // Overlap detected
+// Check if a rectangle lies completely inside the zoo grid
+function fitsInGrid(gridX, gridY, width, height) {
+    return gridX >= 0 && gridY >= 0 &&
+           gridX + width <= state.gridWidth &&
+           gridY + height <= state.gridHeight;
+}
+
+// Check if a rectangle (or a shaped enclosure) overlaps with any existing buildings, decorations, or enclosures.
+// `role` says what the rectangle is (see overlapRole), so a pond can go inside an enclosure.
+function checkOverlap(gridX, gridY, width, height, excludeId = null, shape = null, role = null) {
+    const candidate = { gridX, gridY, width, height, shape };
+    const items = [
+        ...state.placedBuildings.map(item => ({ item, role: null })),
+        ...state.placedDecorations.map(item => ({ item, role: overlapRole('decoration', item) })),
+        ...state.enclosures.map(item => ({ item, role: 'enclosure' })),
+    ];
+    
+    return items.some(other => other.item.id !== excludeId && itemsClash(candidate, role, other.item, other.role));
+}
+
+// How an item counts in overlap checks: 'enclosure', 'habitat' for a decoration that counts as
+// terrain (a pond or a tree), or null for everything else
+function overlapRole(kind, item) {
+    if (kind === 'enclosure') return 'enclosure';
+    return item.terrain ? 'habitat' : null;
+}
+
+// Do two items share squares they can't share? A habitat decoration may sit completely inside an enclosure.
+function itemsClash(a, aRole, b, bRole) {
+    if (!itemsOverlap(a, b)) return false;
+    if (aRole === 'enclosure' && bRole === 'habitat') return !itemInside(b, a);
+    if (aRole === 'habitat' && bRole === 'enclosure') return !itemInside(a, b);
+    return true;
+}
+
+// Shaped enclosures keep their bounding box in gridX/gridY/width/height plus a `shape`:
+// one string per row, '#' for squares inside the enclosure and '.' for squares outside.
+// Rectangles (and buildings and decorations) have no shape.
+
+// Does an item cover a grid square?
+function itemCoversCell(item, x, y) {
+    if (x < item.gridX || y < item.gridY || x >= item.gridX + item.width || y >= item.gridY + item.height) {
+        return false;
+    }
+    return !item.shape || item.shape[y - item.gridY][x - item.gridX] === '#';
+}
+
+// Every grid square an item covers, as [x, y] pairs
+function itemCells(item) {
+    const cells = [];
+    for (let y = item.gridY; y < item.gridY + item.height; y++) {
+        for (let x = item.gridX; x < item.gridX + item.width; x++) {
+            if (itemCoversCell(item, x, y)) cells.push([x, y]);
         }
     }
-    
-    // Check decorations
-    for (const decoration of state.placedDecorations) {
-        if (decoration.id === excludeId) continue;
-        
-        if (!(gridX + width <= decoration.gridX ||
-              gridX >= decoration.gridX + decoration.width ||
-              gridY + height <= decoration.gridY ||
-              gridY >= decoration.gridY + decoration.height)) {
-            return true; // Overlap detected
+    return cells;
+}
+
+// Visit the squares from one square to another in side-by-side steps, so a quick pointer
+// stroke leaves no gaps (the first square isn't visited, the last one is)
+function stepSquares(fromX, fromY, toX, toY, visit) {
+    let x = fromX;
+    let y = fromY;
+    while (x !== toX || y !== toY) {
+        if (Math.abs(toX - x) >= Math.abs(toY - y)) {
+            x += Math.sign(toX - x);
+        } else {
+            y += Math.sign(toY - y);
         }
+        visit(x, y);
+    }
+}
+
+// Do two items share any grid square?
+function itemsOverlap(a, b) {
+    const boxesApart = a.gridX + a.width <= b.gridX || a.gridX >= b.gridX + b.width ||
+                       a.gridY + a.height <= b.gridY || a.gridY >= b.gridY + b.height;
+    if (boxesApart) return false;
+    if (!a.shape && !b.shape) return true;
+    
+    return itemCells(a).some(([x, y]) => itemCoversCell(b, x, y));
+}
+
+// Is every square of one item inside another?
+function itemInside(inner, outer) {
+    return itemCells(inner).every(([x, y]) => itemCoversCell(outer, x, y));
+}
+
+// Area of an enclosure in squares
+function enclosureArea(enclosure) {
+    return enclosure.shape ? itemCells(enclosure).length : enclosure.width * enclosure.height;
+}
+
+// Perimeter of an enclosure: every square side that isn't shared with another square inside it
+function enclosurePerimeter(enclosure) {
+    if (!enclosure.shape) {
+        return 2 * (enclosure.width + enclosure.height);
     }
     
-    // Check enclosures
-    for (const enclosure of state.enclosures) {
-        if (enclosure.id === excludeId) continue;
-        
-        if (!(gridX + width <= enclosure.gridX ||
-              gridX >= enclosure.gridX + enclosure.width ||
-              gridY + height <= enclosure.gridY ||
-              gridY >= enclosure.gridY + enclosure.height)) {
-            return true; // Overlap detected
+    const sides = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    return itemCells(enclosure).reduce((total, [x, y]) =>
+        total + sides.filter(([dx, dy]) => !itemCoversCell(enclosure, x + dx, y + dy)).length, 0);
+}
+
+// Short size description: "6 × 5" for a rectangle, "22 squares" for a shape
+function enclosureSizeLabel(enclosure) {
+    return enclosure.shape ? `${enclosureArea(enclosure)} squares` : `${enclosure.width} × ${enclosure.height}`;
+}
+
+// Box and shape rows for a set of painted squares ("x,y" keys).
+// The shape is null when the squares fill their box - that's just a rectangle.
+function shapeFromCells(cellKeys) {
+    const cells = Array.from(cellKeys, key => key.split(',').map(Number));
+    const xs = cells.map(([x]) => x);
+    const ys = cells.map(([, y]) => y);
+    const gridX = Math.min(...xs);
+    const gridY = Math.min(...ys);
+    const width = Math.max(...xs) - gridX + 1;
+    const height = Math.max(...ys) - gridY + 1;
+    
+    const rows = Array.from({ length: height }, () => Array(width).fill('.'));
+    cells.forEach(([x, y]) => {
+        rows[y - gridY][x - gridX] = '#';
+    });
+    
+    const shape = cells.length === width * height ? null : rows.map(row => row.join(''));
+    return { gridX, gridY, width, height, shape };
+}
+
+// Outline of an item as loops of corner points (in grid squares), one loop per edge - a hole
+// gets its own loop. Loops go clockwise with the inside on the right.
+function shapeOutline(item) {
+    // Every square side on the edge of the shape, keyed by its start corner
+    const edges = new Map();
+    const addEdge = (x1, y1, x2, y2) => {
+        const key = `${x1},${y1}`;
+        if (!edges.has(key)) edges.set(key, []);
+        edges.get(key).push([x2, y2]);
+    };
+    
+    itemCells(item).forEach(([x, y]) => {
+        if (!itemCoversCell(item, x, y - 1)) addEdge(x, y, x + 1, y);
+        if (!itemCoversCell(item, x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+        if (!itemCoversCell(item, x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+        if (!itemCoversCell(item, x - 1, y)) addEdge(x, y + 1, x, y);
+    });
+    
+    // Follow the sides around until we're back at the start
+    const loops = [];
+    edges.forEach((ends, startKey) => {
+        while (ends.length > 0) {
+            const loop = [startKey.split(',').map(Number)];
+            let next = ends.pop();
+            while (next && `${next[0]},${next[1]}` !== startKey) {
+                loop.push(next);
+                next = edges.get(`${next[0]},${next[1]}`).pop();
+            }
+            
+            // Keep only real corners, not points along a straight side
+            loops.push(loop.filter((point, i) => {
+                const prev = loop[(i + loop.length - 1) % loop.length];
+                const after = loop[(i + 1) % loop.length];
+                return (prev[0] - point[0]) * (after[1] - point[1]) !== (prev[1] - point[1]) * (after[0] - point[0]);
+            }));
         }
+    });
+    return loops;
+}
+
+// SVG path data for an item's outline, `scale` pixels per square
+function shapePath(item, scale = CELL_SIZE) {
+    return shapeOutline(item)
+        .map(loop => 'M ' + loop.map(([x, y]) => `${x * scale} ${y * scale}`).join(' L ') + ' Z')
+        .join(' ');
+}
+
+// The square closest to the middle of an item - where its label goes
+function itemLabelCell(item) {
+    const cells = itemCells(item);
+    const middleX = cells.reduce((total, [x]) => total + x, 0) / cells.length;
+    const middleY = cells.reduce((total, [, y]) => total + y, 0) / cells.length;
+    
+    const distance = ([x, y]) => Math.hypot(x - middleX, y - middleY);
+    return cells.reduce((best, cell) => distance(cell) < distance(best) ? cell : best);
+}
+
+// Undo/redo history - every grid edit is a command with do() and undo()
+const HISTORY_LIMIT = 100;
+
+const editHistory = {
+    undoStack: [],
+    redoStack: [],
+};
+
+// Which state array holds each kind of placed item
+const ITEM_COLLECTIONS = {
+    building: 'placedBuildings',
+    decoration: 'placedDecorations',
+    enclosure: 'enclosures',
+};
+
+// Find a placed item by kind and id
+function findItem(kind, id) {
+    return state[ITEM_COLLECTIONS[kind]].find(item => item.id === id);
+}
+
+// Every placed item, as { kind, item }
+function placedItems() {
+    return Object.keys(ITEM_COLLECTIONS).flatMap(kind => state[ITEM_COLLECTIONS[kind]].map(item => ({ kind, item })));
+}
+
+// Insert a placed item (at a specific index when restoring a deleted item)
+function insertItem(kind, item, index) {
+    const list = state[ITEM_COLLECTIONS[kind]];
+    const position = index === undefined || index < 0 ? list.length : Math.min(index, list.length);
+    list.splice(position, 0, item);
+}
+
+// Remove a placed item, returning the index it was at (-1 if not found)
+function removeItem(kind, id) {
+    const list = state[ITEM_COLLECTIONS[kind]];
+    const index = list.findIndex(item => item.id === id);
+    if (index !== -1) {
+        list.splice(index, 1);
     }
+    return index;
+}
+
+// Human-friendly name for an item, used in undo/redo button titles
+function describeItem(kind, item) {
+    if (kind === 'enclosure') {
+        return `${enclosureName(item)} enclosure`;
+    }
+    return item.name;
+}
+
+// Command: add one or more placed items
+function createAddCommand(label, entries) {
+    return {
+        label,
+        do: () => entries.forEach(({ kind, item }) => insertItem(kind, item)),
+        undo: () => entries.forEach(({ kind, item }) => removeItem(kind, item.id)),
+    };
+}
+
+// Command: remove one or more placed items (undo puts them back where they were)
+function createRemoveCommand(label, entries) {
+    let positions = [];
+    return {
+        label,
+        do: () => {
+            positions = entries.map(({ kind, item }) => removeItem(kind, item.id));
+        },
+        undo: () => {
+            // Re-insert in reverse order so each saved index is valid again
+            for (let i = entries.length - 1; i >= 0; i--) {
+                insertItem(entries[i].kind, entries[i].item, positions[i]);
+            }
+        },
+    };
+}
+
+// Command: change an item's position or size from one snapshot to another
+function createUpdateCommand(label, kind, id, before, after) {
+    const apply = (values) => {
+        const item = findItem(kind, id);
+        if (item) Object.assign(item, values);
+    };
+    return {
+        label,
+        do: () => apply(after),
+        undo: () => apply(before),
+    };
+}
+
+// Command: run several commands as one undo step
+function createCompositeCommand(label, commands) {
+    return {
+        label,
+        do: () => commands.forEach(command => command.do()),
+        undo: () => commands.slice().reverse().forEach(command => command.undo()),
+    };
+}
+
+// Command: a finished enclosure resize (the new size is already applied)
+function createResizeCommand(enclosure, original) {
+    return createUpdateCommand(
+        `Resize ${describeItem('enclosure', enclosure)}`,
+        'enclosure',
+        enclosure.id,
+        { gridX: original.gridX, gridY: original.gridY, width: original.width, height: original.height, terrain: original.terrain },
+        { gridX: enclosure.gridX, gridY: enclosure.gridY, width: enclosure.width, height: enclosure.height, terrain: enclosure.terrain }
+    );
+}
+
+// Run a command and record it in the history
+function runCommand(command) {
+    command.do();
+    recordCommand(command);
+}
+
+// Record a command whose change has already been applied (e.g. a finished drag)
+function recordCommand(command) {
+    editHistory.undoStack.push(command);
+    if (editHistory.undoStack.length > HISTORY_LIMIT) {
+        editHistory.undoStack.shift();
+    }
+    editHistory.redoStack = [];
+    refreshAfterEdit();
+}
+
+// Don't undo/redo in the middle of a drag, resize or open dialog
+function isEditInProgress() {
+    return Boolean(state.drawing || state.movingItem || state.resizingEnclosure || state.pendingEnclosure ||
+                   state.keyboardSelection || state.pathStroke || state.terrainStroke ||
+                   state.selectionBox || state.movingSelection ||
+                   document.querySelector('.confirm-modal, .math-practice-modal'));
+}
+
+// Undo the last edit
+function undo() {
+    if (isEditInProgress()) return;
+
+    const command = editHistory.undoStack.pop();
+    if (!command) return;
+
+    command.undo();
+    editHistory.redoStack.push(command);
+    refreshAfterEdit();
+    announce(`Undid ${command.label}`);
+}
+
+// Redo the last undone edit
+function redo() {
+    if (isEditInProgress()) return;
+
+    const command = editHistory.redoStack.pop();
+    if (!command) return;
+
+    command.do();
+    editHistory.undoStack.push(command);
+    refreshAfterEdit();
+    announce(`Redid ${command.label}`);
+}
+
+// Re-render the grid, palettes, summary and URL after the state changed
+function refreshAfterEdit() {
+    // Undo can take selected items away
+    state.selection = state.selection.filter(({ kind, id }) => findItem(kind, id));
     
-    return false; // No overlap
+    renderAllItems();
+    renderBuildingList();
+    renderDecorationList();
+    renderAnimalList();
+    updateSummaryTable();
+    updateURL();
+    updateHistoryButtons();
+    renderAssignmentBanner();
+}
+
+// Re-render every placed item from state
+function renderAllItems() {
+    document.getElementById('enclosures').innerHTML = '';
+    document.getElementById('buildings').innerHTML = '';
+
+    renderPaths();
+    state.enclosures.forEach(renderEnclosure);
+    state.placedBuildings.forEach(renderBuilding);
+    state.placedDecorations.forEach(renderBuilding); // Decorations render same as buildings
+}
+
+// Enable/disable the undo and redo buttons and show what they will do
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (!undoBtn || !redoBtn) return;
+
+    const nextUndo = editHistory.undoStack[editHistory.undoStack.length - 1];
+    const nextRedo = editHistory.redoStack[editHistory.redoStack.length - 1];
+
+    undoBtn.disabled = !nextUndo;
+    redoBtn.disabled = !nextRedo;
+    undoBtn.title = nextUndo ? `Undo: ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = nextRedo ? `Redo: ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
 }
 
-// Load animals from JSON file
-async function loadAnimals() {
+// Load one catalog's JSON file into builtInCatalog. Entries that don't match the catalog's schema
+// are left out (see checkCatalogFile) - returns the problems found, as sentences.
+async function loadCatalog(kind) {
     try {
-        const response = await fetch('animals.json');
-        const animalsData = await response.json();
-        
-        // Convert to app format with id field
-        ANIMALS = animalsData.map(animal => ({
-            id: animal.name.toLowerCase(),
-            name: animal.name,
-            emoji: animal.emoji,
-            minPerimeter: animal.minPerimeter,
-            minArea: animal.minArea
-        }));
-        
-        return true;
+        const response = await fetch(kind.file);
+        const { entries, problems } = checkCatalogFile(kind, await response.json());
+        builtInCatalog[kind.id] = entries;
+        return problems.map(problem => `${kind.file}: ${problem}`);
     } catch (error) {
-        console.error('Error loading animals:', error);
-        return false;
+        console.error(`Error loading ${kind.file}:`, error);
+        builtInCatalog[kind.id] = [];
+        return [`${kind.file} couldn't be read, so there are no ${kind.id} to choose from`];
     }
 }
 
-// Load buildings from JSON file
-async function loadBuildings() {
-    try {
-        const response = await fetch('buildings.json');
-        const buildingsData = await response.json();
-        
-        // Convert to app format with id field
-        BUILDINGS = buildingsData.map(building => ({
-            id: building.name.toLowerCase().replace(/\s+/g, ''),
-            name: building.name,
-            emoji: building.emoji,
-            width: building.width,
-            height: building.height,
-            color: building.color
-        }));
-        
-        return true;
-    } catch (error) {
-        console.error('Error loading buildings:', error);
-        return false;
+// Check a catalog file's entries against the catalog's schema: { entries, problems }.
+// An entry without an id gets one from its name, and missing optional numbers get their fallback.
+function checkCatalogFile(kind, data) {
+    if (!Array.isArray(data)) {
+        return { entries: [], problems: [`The file should be a list of ${kind.id} in [ ]`] };
     }
+    
+    const entries = [];
+    const problems = [];
+    data.forEach((entry, i) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            problems.push(`Entry ${i + 1} isn't a catalog entry`);
+            return;
+        }
+        
+        const filled = { ...entry };
+        if (filled.id === undefined && typeof filled.name === 'string') {
+            filled.id = filled.name.toLowerCase().replace(/\s+/g, '');
+        }
+        kind.numbers.forEach(({ key, fallback }) => {
+            if (filled[key] === undefined && fallback) filled[key] = fallback(filled);
+        });
+        
+        const entryProblems = validateCatalogEntry(kind.id, filled, `Entry ${i + 1}`);
+        if (entryProblems.length > 0) {
+            problems.push(...entryProblems);
+        } else {
+            entries.push(filled);
+        }
+    });
+    return { entries, problems };
+}
+
+// Catalog ids are shared by all three catalogs (share codes and rules look them up by id alone),
+// so a repeated id leaves out every entry after the first. Returns the problems found.
+function checkCatalogIds() {
+    const seen = new Map();
+    const problems = [];
+    CATALOG_KINDS.forEach(kind => {
+        builtInCatalog[kind.id] = builtInCatalog[kind.id].filter(entry => {
+            if (seen.has(entry.id)) {
+                problems.push(`${kind.file}: ${entry.name} has the same id as the ${seen.get(entry.id)} ("${entry.id}")`);
+                return false;
+            }
+            seen.set(entry.id, entry.name);
+            return true;
+        });
+    });
+    return problems;
+}
+
+// Show what was wrong with the catalog files - the entries were left out, but the zoo still works
+function showCatalogProblems(problems) {
+    problems.forEach(problem => console.warn('Catalog:', problem));
+    const list = problems.map(problem => `<li>${escapeHTML(problem)}</li>`).join('');
+    showMessageDialog(
+        `Some catalog entries have mistakes, so they were left out:<ul class="import-skipped">${list}</ul>`,
+        '⚠️',
+        'Catalog Problems'
+    );
+}
+
+// Convert a catalog entry to app format
+function animalFromCatalog(animal) {
+    return {
+        id: animal.id,
+        name: animal.name,
+        emoji: animal.emoji,
+        minPerimeter: animal.minPerimeter,
+        minArea: animal.minArea,
+        // Space each animal after the first adds - without it every animal needs the full minimums
+        extraPerimeter: animal.extraPerimeter !== undefined ? animal.extraPerimeter : animal.minPerimeter,
+        extraArea: animal.extraArea !== undefined ? animal.extraArea : animal.minArea,
+        plural: animal.plural || `${animal.name}s`,
+        habitat: loadHabitat(animal),
+        custom: Boolean(animal.custom) // Added or changed in the catalog editor
+    };
+}
+
+// An animal's terrain preferences from the catalog, { terrainId: percent } - unknown terrain
+// and percentages outside 1-100 are left out
+function loadHabitat(animal) {
+    const habitat = {};
+    Object.entries(animal.habitat || {}).forEach(([terrain, percent]) => {
+        if (TERRAIN_TYPES.some(t => t.id === terrain) && percent > 0 && percent <= 100) {
+            habitat[terrain] = percent;
+        } else {
+            console.warn(`Skipping habitat "${terrain}: ${percent}" for ${animal.name}`);
+        }
+    });
+    return habitat;
+}
+
+// A building's or decoration's placement rules (see PLACEMENT_COUNTS) in app format - no limit is
+// 0 and Infinity, so counts compare without checking for a rule first
+function placementRules(entry) {
+    return {
+        minCount: entry.minCount || 0,
+        maxCount: entry.maxCount || Infinity,
+        mustTouchEdge: entry.mustTouchEdge === true,
+        requiresPath: entry.requiresPath === true,
+    };
+}
+
+// Convert a catalog entry to app format
+function buildingFromCatalog(building) {
+    return {
+        id: building.id,
+        name: building.name,
+        emoji: building.emoji,
+        width: building.width,
+        height: building.height,
+        color: building.color,
+        cost: building.cost || 0,
+        custom: Boolean(building.custom),
+        ...placementRules(building)
+    };
+}
+
+// Convert a catalog entry to app format
+function decorationFromCatalog(decoration) {
+    return {
+        id: decoration.id,
+        name: decoration.name,
+        emoji: decoration.emoji,
+        width: decoration.width,
+        height: decoration.height,
+        color: decoration.color,
+        cost: decoration.cost || 0,
+        custom: Boolean(decoration.custom),
+        ...placementRules(decoration),
+        // Pond, trees... count as this terrain inside an enclosure - see TERRAIN_TYPES
+        ...(TERRAIN_TYPES.some(t => t.id === decoration.terrain) ? { terrain: decoration.terrain } : {})
+    };
 }
 
-async function loadDecorations() {
+// Load the zoo rules from JSON - rules with an unknown type or missing settings are skipped
+async function loadRules() {
     try {
-        const response = await fetch('decorations.json');
-        const decorationsData = await response.json();
-        
-        // Convert to app format with id field
-        DECORATIONS = decorationsData.map(decoration => ({
-            id: decoration.name.toLowerCase().replace(/\s+/g, ''),
-            name: decoration.name,
-            emoji: decoration.emoji,
-            width: decoration.width,
-            height: decoration.height,
-            color: decoration.color
-        }));
+        const response = await fetch('rules.json');
+        const rulesData = await response.json();
+        
+        RULES = rulesData.filter(rule => {
+            const type = RULE_TYPES.find(t => t.id === rule.type);
+            if (!type || type.settings.some(setting => rule[setting] === undefined)) {
+                console.warn('Skipping zoo rule:', rule);
+                return false;
+            }
+            return rule.enabled !== false;
+        }).map(rule => ({ ...rule, name: rule.name || rule.id }));
         
         return true;
     } catch (error) {
-        console.error('Error loading decorations:', error);
+        console.error('Error loading rules:', error);
         return false;
     }
 }
 
 // Initialize the app
 async function init() {
-    // Load data files first
-    const [animalsLoaded, buildingsLoaded, decorationsLoaded] = await Promise.all([
-        loadAnimals(),
-        loadBuildings(),
-        loadDecorations()
+    // Load data files first - entries with mistakes are left out and listed once the zoo is showing
+    const [catalogProblems] = await Promise.all([
+        Promise.all(CATALOG_KINDS.map(loadCatalog)),
+        loadRules()
     ]);
-    
-    if (!animalsLoaded || !buildingsLoaded || !decorationsLoaded) {
-        alert('Error loading zoo data. Please refresh the page.');
-        return;
-    }
+    const problems = [...catalogProblems.flat(), ...checkCatalogIds()];
+    rebuildCatalogs();
     
     setupGrid();
     setupBuildingsPalette();
@@ -160,1101 +638,5741 @@ async function init() {
     setupAnimalList();
     setupToolButtons();
     setupEventListeners();
+    setupKeyboardEditing();
+    setupPlacingBar();
     setupZooName();
     setupShareButton();
     setupCollapsibleSections();
     setupMathPracticeToggle();
+    setupProgress();
+    setupShapeMode();
+    setupPaths();
+    setupTerrain();
+    setupRotation();
+    setupSelection();
+    
+    setupLibrary();
+    setupZooFiles();
+    setupPrintReport();
+    setupAssignments();
+    setupCatalogEditor();
+    
+    // Load zoo from URL if present, otherwise pick up where the student left off
+    const params = new URLSearchParams(window.location.search);
+    const hasURLZoo = params.has('z') || params.has('a');
+    const loaded = hasURLZoo ? loadFromURL() : resumeLastZoo();
     
-    // Load zoo from URL if present
-    const loaded = loadFromURL();
-    
-    if (!loaded) {
+    if (loaded) {
+        linkToLibrary();
+    } else {
         updateSummaryTable();
     }
+    
+    if (problems.length > 0) {
+        showCatalogProblems(problems);
+    }
+    
+    // A shared catalog is offered once the zoo is showing
+    if (params.has('catalog')) {
+        openCatalogLink(params.get('catalog'));
+    }
+}
+
+// Enclosures hold one or more species: `animals` is a list of animal ids, and `counts`
+// (only there when needed) maps an animal id to how many of it live there - 1 if missing.
+// A shared enclosure has to give every resident its space, so the minimums add up.
+const MAX_HEAD_COUNT = 20;
+
+// Animals living in an enclosure (species no longer in the catalog are left out)
+function enclosureResidents(enclosure) {
+    return enclosure.animals.map(id => ANIMALS.find(a => a.id === id)).filter(Boolean);
+}
+
+// How many of one species live in an enclosure
+function headCount(enclosure, animalId) {
+    return (enclosure.counts && enclosure.counts[animalId]) || 1;
+}
+
+// An enclosure's counts with one species changed - counts of 1 aren't stored
+function countsWith(enclosure, animalId, count) {
+    const counts = { ...enclosure.counts };
+    if (count > 1) {
+        counts[animalId] = count;
+    } else {
+        delete counts[animalId];
+    }
+    return Object.keys(counts).length > 0 ? counts : undefined;
+}
+
+// Space a group of one species needs: the first animal's minimums plus a share for each extra one
+function groupRequirements(animal, count) {
+    return {
+        minArea: animal.minArea + (count - 1) * animal.extraArea,
+        minPerimeter: animal.minPerimeter + (count - 1) * animal.extraPerimeter,
+    };
+}
+
+// Space an enclosure needs - every resident group's minimums added together
+function enclosureRequirements(enclosure) {
+    return enclosureResidents(enclosure).reduce((total, animal) => {
+        const group = groupRequirements(animal, headCount(enclosure, animal.id));
+        return {
+            minArea: total.minArea + group.minArea,
+            minPerimeter: total.minPerimeter + group.minPerimeter,
+        };
+    }, { minArea: 0, minPerimeter: 0 });
+}
+
+// "Zebra", or "3 Zebras" for a group
+function describeGroup(animal, count) {
+    return count > 1 ? `${count} ${animal.plural}` : animal.name;
+}
+
+// Name for an enclosure from its residents, e.g. "3 Zebras, Giraffe & Rhino"
+function enclosureName(enclosure) {
+    const names = enclosureResidents(enclosure).map(animal => describeGroup(animal, headCount(enclosure, animal.id)));
+    if (names.length <= 1) return names[0] || 'Animal';
+    return `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}`;
+}
+
+// What the residents need, e.g. "3 Zebras need at least 80 squares and a perimeter of 40"
+function describeNeeds(enclosure) {
+    const { minArea, minPerimeter } = enclosureRequirements(enclosure);
+    const heads = enclosureResidents(enclosure).reduce((total, animal) => total + headCount(enclosure, animal.id), 0);
+    return `${enclosureName(enclosure)} ${heads === 1 ? 'needs' : 'need'} at least ${minArea} squares and a perimeter of ${minPerimeter}`;
+}
+
+// Every resident's emoji side by side
+function enclosureEmoji(enclosure) {
+    return enclosureResidents(enclosure).map(animal => animal.emoji).join('') || '🦁';
+}
+
+// Measurements for every enclosure - shared by the summary table, exports and reports
+function getEnclosureSummaries() {
+    const summaries = [];
+    
+    state.enclosures.forEach(enclosure => {
+        if (enclosureResidents(enclosure).length === 0) return;
+        
+        const { minArea, minPerimeter } = enclosureRequirements(enclosure);
+        const area = enclosureArea(enclosure);
+        const perimeter = enclosurePerimeter(enclosure);
+        const areaTooSmall = area < minArea;
+        const perimeterTooSmall = perimeter < minPerimeter;
+        const habitat = habitatMatch(enclosure);
+        
+        summaries.push({
+            enclosure,
+            name: enclosureName(enclosure),
+            emoji: enclosureEmoji(enclosure),
+            needs: describeNeeds(enclosure),
+            minArea,
+            minPerimeter,
+            area,
+            perimeter,
+            areaTooSmall,
+            perimeterTooSmall,
+            needsWarning: areaTooSmall || perimeterTooSmall,
+            habitatScore: habitat.score,
+            habitatShortfalls: habitat.shortfalls,
+            habitatWarning: habitat.shortfalls.length > 0,
+        });
+    });
+    
+    return summaries;
 }
 
 // Update the summary table with all enclosures
 function updateSummaryTable() {
     const tbody = document.getElementById('summaryBody');
     
+    // Spending, rules and walkability sit next to the summary and change with it
+    updateSpending();
+    updateRuleChecks();
+    updateWalkability();
+    
     if (state.enclosures.length === 0) {
-        tbody.innerHTML = '<tr class="empty-state"><td colspan="3">No enclosures yet - draw some animals!</td></tr>';
+        tbody.innerHTML = '<tr class="empty-state"><td colspan="4">No enclosures yet - draw some animals!</td></tr>';
         return;
     }
     
     tbody.innerHTML = '';
     
-    state.enclosures.forEach(enclosure => {
-        const animal = ANIMALS.find(a => a.id === enclosure.animal);
-        if (!animal) return;
-        
-        const area = enclosure.width * enclosure.height;
-        const perimeter = 2 * (enclosure.width + enclosure.height);
-        
-        const areaTooSmall = area < animal.minArea;
-        const perimeterTooSmall = perimeter < animal.minPerimeter;
-        const needsWarning = areaTooSmall || perimeterTooSmall;
-        
+    getEnclosureSummaries().forEach(({ enclosure, name, emoji, needs, minArea, minPerimeter, area, perimeter, areaTooSmall, perimeterTooSmall, needsWarning,
+                                       habitatScore, habitatShortfalls, habitatWarning }) => {
         const row = document.createElement('tr');
-        if (needsWarning) {
+        if (needsWarning || habitatWarning) {
             row.classList.add('warning-row');
         }
         
         row.innerHTML = `
             <td>
                 <div class="animal-cell">
-                    <span class="animal-emoji">${animal.emoji}</span>
+                    <span class="animal-emoji">${emoji}</span>
                     <div>
-                        <div>${animal.name}</div>
-                        <small class="dimensions-text">${enclosure.width} × ${enclosure.height}</small>
+                        <div>${name}</div>
+                        <small class="dimensions-text">${enclosureSizeLabel(enclosure)}</small>
+                        <small class="needs-text">${needs}</small>
                     </div>
                 </div>
             </td>
-            <td class="perimeter-cell ${perimeterTooSmall ? 'too-small' : ''}">${perimeter}/${animal.minPerimeter}</td>
-            <td class="area-cell ${areaTooSmall ? 'too-small' : ''}">${area}/${animal.minArea}</td>
+            <td class="perimeter-cell ${perimeterTooSmall ? 'too-small' : ''}">${perimeter}/${minPerimeter}</td>
+            <td class="area-cell ${areaTooSmall ? 'too-small' : ''}">${area}/${minArea}</td>
+            <td class="habitat-cell ${habitatWarning ? 'too-small' : ''}">
+                ${formatPercent(habitatScore)}
+                ${habitatShortfalls.map(shortfall => `<small class="needs-text">${describeShortfall(shortfall)}</small>`).join('')}
+            </td>
         `;
         
         tbody.appendChild(row);
     });
 }
 
-// Base36 encoding for compact URLs (0-9, a-z = 0-35)
-function toBase36(num) {
-    return num.toString(36);
+// Money - buildings and decorations have a `cost` in their catalogs, enclosures pay
+// for their land and their fence, and paths by the square. The budget is part of the zoo (saved in links and files).
+const LAND_COST_PER_SQUARE = 20;
+const FENCE_COST_PER_SQUARE = 15; // per square of perimeter
+const PATH_COST_PER_SQUARE = 5;
+
+// 12500 -> "$12,500"
+function formatMoney(amount) {
+    return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString('en-US')}`;
 }
 
-function fromBase36(str) {
-    return parseInt(str, 36);
+// What an enclosure costs: its land plus its fence
+function enclosureCost(enclosure) {
+    return enclosureArea(enclosure) * LAND_COST_PER_SQUARE + enclosurePerimeter(enclosure) * FENCE_COST_PER_SQUARE;
 }
 
-// Encode zoo state to URL parameters (very compact format)
-function encodeZooState() {
-    // Buildings: 3 chars each (typeIndex + x + y in base36)
-    // Decorations: 3 chars each (typeIndex + x + y in base36)
-    // Enclosures: 5 chars each (animalIndex + x + y + w + h in base36)
-    // Format: buildings.decorations.enclosures
-    
-    const buildingStr = state.placedBuildings.map(b => {
-        const typeId = b.id.split('-')[0];
-        const typeIndex = BUILDINGS.findIndex(building => building.id === typeId);
-        return toBase36(typeIndex) + toBase36(b.gridX) + toBase36(b.gridY);
-    }).join('');
-    
-    const decorationStr = state.placedDecorations.map(d => {
-        const typeId = d.id.split('-')[0];
-        const typeIndex = DECORATIONS.findIndex(decoration => decoration.id === typeId);
-        return toBase36(typeIndex) + toBase36(d.gridX) + toBase36(d.gridY);
-    }).join('');
-    
-    const enclosureStr = state.enclosures.map(e => {
-        const animalIndex = ANIMALS.findIndex(a => a.id === e.animal);
-        return toBase36(animalIndex) + toBase36(e.gridX) + toBase36(e.gridY) + 
-               toBase36(e.width) + toBase36(e.height);
-    }).join('');
-    
-    // Remove trailing periods to prevent issues when sharing on Slack
-    return (buildingStr + '.' + decorationStr + '.' + enclosureStr).replace(/\.+$/, '');
+// Everything the zoo has spent so far
+function zooCost() {
+    return state.enclosures.reduce((total, e) => total + enclosureCost(e), 0) +
+        [...state.placedBuildings, ...state.placedDecorations].reduce((total, item) => total + item.cost, 0) +
+        state.paths.size * PATH_COST_PER_SQUARE;
 }
 
-// Decode zoo state from URL parameters (very compact format)
-function decodeZooState(compact) {
-    try {
-        const parts = compact.split('.');
-        // Always assume new 3-part format: buildings.decorations.enclosures
-        // Pad with empty strings if trailing sections were stripped
-        const buildingStr = parts[0] || '';
-        const decorationStr = parts[1] || '';
-        const enclosureStr = parts[2] || '';
-        
-        const buildings = [];
-        if (buildingStr && buildingStr.length > 0) {
-            for (let i = 0; i < buildingStr.length; i += 3) {
-                if (i + 3 <= buildingStr.length) {
-                    buildings.push({
-                        typeIndex: fromBase36(buildingStr[i]),
-                        x: fromBase36(buildingStr[i + 1]),
-                        y: fromBase36(buildingStr[i + 2])
-                    });
-                }
-            }
-        }
-        
-        const decorations = [];
-        if (decorationStr && decorationStr.length > 0) {
-            for (let i = 0; i < decorationStr.length; i += 3) {
-                if (i + 3 <= decorationStr.length) {
-                    decorations.push({
-                        typeIndex: fromBase36(decorationStr[i]),
-                        x: fromBase36(decorationStr[i + 1]),
-                        y: fromBase36(decorationStr[i + 2])
-                    });
-                }
-            }
-        }
-        
-        const enclosures = [];
-        if (enclosureStr && enclosureStr.length > 0) {
-            for (let i = 0; i < enclosureStr.length; i += 5) {
-                if (i + 5 <= enclosureStr.length) {
-                    enclosures.push({
-                        animalIndex: fromBase36(enclosureStr[i]),
-                        x: fromBase36(enclosureStr[i + 1]),
-                        y: fromBase36(enclosureStr[i + 2]),
-                        w: fromBase36(enclosureStr[i + 3]),
-                        h: fromBase36(enclosureStr[i + 4])
-                    });
-                }
-            }
-        }
-        
-        return { buildings, decorations, enclosures };
-    } catch (e) {
-        console.error('Error decoding zoo state:', e);
-        return null;
-    }
+// Can the zoo pay for something new? If not, say so and return false
+function checkBudget(cost, name) {
+    const left = state.budget - zooCost();
+    if (cost <= left) return true;
+    
+    showMessageDialog(
+        `${escapeHTML(name)} costs ${formatMoney(cost)}, but only ${formatMoney(Math.max(left, 0))} of your ` +
+        `${formatMoney(state.budget)} budget is left. Make something smaller, remove something, or raise the budget.`,
+        '💰',
+        'Over Budget'
+    );
+    announce(`Over budget: ${name} costs ${formatMoney(cost)}.`);
+    return false;
 }
 
-// Update URL with current state
-function updateURL() {
-    const url = new URL(window.location.href);
-    
-    // Clear existing params
-    url.search = '';
-    
-    // Zoo name first
-    if (state.zooName) {
-        url.searchParams.set('n', state.zooName);
+// Change the budget and its tool button label
+function setBudget(budget) {
+    state.budget = budget;
+    document.getElementById('budgetBtn').textContent = `💰 Budget: ${formatMoney(budget)}`;
+}
+
+// Undoable budget change
+function createBudgetCommand(budget) {
+    const before = state.budget;
+    return {
+        label: `Change budget to ${formatMoney(budget)}`,
+        do: () => setBudget(budget),
+        undo: () => setBudget(before),
+    };
+}
+
+// Update the budget meter above the grid and the spending breakdown next to the summary
+function updateSpending() {
+    const spent = zooCost();
+    const left = state.budget - spent;
+    
+    const meter = document.getElementById('budgetMeter');
+    meter.classList.toggle('near', left >= 0 && spent > state.budget * 0.9);
+    meter.classList.toggle('over', left < 0);
+    document.getElementById('budgetMeterFill').style.width = `${Math.min(100, spent / state.budget * 100)}%`;
+    document.getElementById('budgetMeterLabel').textContent = left < 0
+        ? `💰 ${formatMoney(spent)} of ${formatMoney(state.budget)} - ${formatMoney(-left)} over budget!`
+        : `💰 ${formatMoney(spent)} of ${formatMoney(state.budget)} spent - ${formatMoney(left)} left`;
+    
+    // One row for enclosure land, one for fencing, one for paths, then one per kind of building or decoration
+    const land = state.enclosures.reduce((total, e) => total + enclosureArea(e), 0);
+    const fence = state.enclosures.reduce((total, e) => total + enclosurePerimeter(e), 0);
+    const rows = [];
+    if (state.enclosures.length > 0) {
+        rows.push({ label: '🟩 Enclosure land', detail: `${land} squares × ${formatMoney(LAND_COST_PER_SQUARE)}`, cost: land * LAND_COST_PER_SQUARE });
+        rows.push({ label: '🚧 Fencing', detail: `${fence} squares × ${formatMoney(FENCE_COST_PER_SQUARE)}`, cost: fence * FENCE_COST_PER_SQUARE });
     }
-    
-    // Then zoo data
-    const encoded = encodeZooState();
-    if (encoded && encoded !== '.' && encoded !== '..') { // Only add if there's actual data
-        url.searchParams.set('z', encoded);
+    if (state.paths.size > 0) {
+        rows.push({ label: '🟫 Paths', detail: `${state.paths.size} squares × ${formatMoney(PATH_COST_PER_SQUARE)}`, cost: state.paths.size * PATH_COST_PER_SQUARE });
     }
+    [[BUILDINGS, state.placedBuildings], [DECORATIONS, state.placedDecorations]].forEach(([catalog, placed]) => {
+        catalog.forEach(def => {
+            const count = placed.filter(item => item.id.split('-')[0] === def.id).length;
+            if (count > 0) {
+                rows.push({ label: `${def.emoji} ${def.name}`, detail: `${count} × ${formatMoney(def.cost)}`, cost: count * def.cost });
+            }
+        });
+    });
     
-    window.history.replaceState({}, '', url);
+    const tbody = document.getElementById('spendingBody');
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr class="empty-state"><td colspan="3">Nothing bought yet</td></tr>';
+    } else {
+        tbody.innerHTML = rows.map(row => `
+            <tr>
+                <td>${row.label}</td>
+                <td><small class="dimensions-text">${row.detail}</small></td>
+                <td class="cost-cell">${formatMoney(row.cost)}</td>
+            </tr>
+        `).join('');
+    }
+    document.getElementById('spendingFoot').innerHTML = `
+        <tr class="spending-total"><td colspan="2">Total</td><td class="cost-cell">${formatMoney(spent)}</td></tr>
+        <tr class="spending-total ${left < 0 ? 'warning-row' : ''}">
+            <td colspan="2">${left < 0 ? 'Over budget' : 'Left to spend'}</td>
+            <td class="cost-cell">${formatMoney(Math.abs(left))}</td>
+        </tr>
+    `;
 }
 
-// Load zoo from URL if present
-function loadFromURL() {
-    const params = new URLSearchParams(window.location.search);
-    const encoded = params.get('z');
-    const zooName = params.get('n');
+// Show the budget dialog
+function showBudgetDialog() {
+    const modal = document.createElement('div');
+    modal.className = 'confirm-modal';
+    modal.innerHTML = `
+        <div class="confirm-content grid-size-content">
+            <div class="confirm-emoji">💰</div>
+            <h3>Budget</h3>
+            <p class="confirm-message">How much money can your zoo spend? Land costs ${formatMoney(LAND_COST_PER_SQUARE)} a square,
+                fences ${formatMoney(FENCE_COST_PER_SQUARE)} a square and paths ${formatMoney(PATH_COST_PER_SQUARE)} a square.</p>
+            <div class="grid-size-inputs">
+                <label>Dollars
+                    <input type="number" id="budgetInput" class="grid-size-input budget-input" min="1" max="${MAX_BUDGET}" step="1000" value="${state.budget}">
+                </label>
+            </div>
+            <div class="grid-size-presets">
+                <button class="grid-size-preset" data-budget="20000">$20,000</button>
+                <button class="grid-size-preset" data-budget="30000">$30,000</button>
+                <button class="grid-size-preset" data-budget="50000">$50,000</button>
+            </div>
+            <div class="grid-size-warning" id="budgetWarning"></div>
+            <div class="confirm-buttons">
+                <button class="confirm-yes" id="budgetApply">Apply</button>
+                <button class="confirm-no">Cancel</button>
+            </div>
+        </div>
+    `;
     
-    // Set zoo name
-    if (zooName) {
-        state.zooName = zooName;
-        document.getElementById('zooName').value = zooName;
-        document.title = `${zooName} - Zoo Planner`;
-    }
+    document.body.appendChild(modal);
     
-    if (!encoded) return false;
+    const input = modal.querySelector('#budgetInput');
+    const warning = modal.querySelector('#budgetWarning');
+    const applyBtn = modal.querySelector('#budgetApply');
     
-    const data = decodeZooState(encoded);
-    if (!data) return false;
+    // Read the input (null if out of range)
+    const readBudget = () => {
+        const budget = Number(input.value);
+        return Number.isInteger(budget) && budget >= 1 && budget <= MAX_BUDGET ? budget : null;
+    };
     
-    // Place buildings (skip URL updates during loading)
-    if (data.buildings && data.buildings.length > 0) {
-        data.buildings.forEach(bData => {
-            const buildingDef = BUILDINGS[bData.typeIndex];
-            if (buildingDef) {
-                addBuilding(buildingDef, bData.x, bData.y, true);
-            }
-        });
+    // Warn when the zoo already costs more than the new budget
+    function updateWarning() {
+        const budget = readBudget();
+        applyBtn.disabled = !budget;
+        
+        if (!budget) {
+            warning.textContent = `Pick a budget from $1 to ${formatMoney(MAX_BUDGET)}.`;
+        } else if (zooCost() > budget) {
+            warning.textContent = `⚠️ Your zoo already costs ${formatMoney(zooCost())} - that's over this budget.`;
+        } else {
+            warning.textContent = '';
+        }
     }
     
-    // Place decorations (skip URL updates during loading)
-    if (data.decorations && data.decorations.length > 0) {
-        data.decorations.forEach(dData => {
-            const decorationDef = DECORATIONS[dData.typeIndex];
-            if (decorationDef) {
-                addDecoration(decorationDef, dData.x, dData.y, true);
-            }
-        });
-    }
+    input.addEventListener('input', updateWarning);
     
-    // Create enclosures
-    if (data.enclosures && data.enclosures.length > 0) {
-        data.enclosures.forEach(eData => {
-            const id = `enclosure-${state.nextEnclosureId++}`;
-            const animal = ANIMALS[eData.animalIndex];
-            if (!animal) return;
-            
-            const enclosure = {
-                id,
-                gridX: eData.x,
-                gridY: eData.y,
-                width: eData.w,
-                height: eData.h,
-                animal: animal.id
-            };
-            state.enclosures.push(enclosure);
-            renderEnclosure(enclosure);
+    modal.querySelectorAll('.grid-size-preset').forEach(btn => {
+        btn.addEventListener('click', () => {
+            input.value = btn.dataset.budget;
+            updateWarning();
         });
+    });
+    
+    applyBtn.addEventListener('click', () => {
+        const budget = readBudget();
+        if (!budget) return;
+        modal.remove();
         
-        // Update UI
-        renderAnimalList();
-        updateSummaryTable();
-    }
+        if (budget !== state.budget) {
+            runCommand(createBudgetCommand(budget));
+        }
+    });
     
-    // Now that everything is loaded, update the URL once
-    updateURL();
+    modal.querySelector('.confirm-no').addEventListener('click', () => modal.remove());
     
-    return true;
+    // Click outside to cancel
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+    
+    updateWarning();
+    setTimeout(() => input.focus(), 100);
 }
 
-// Setup zoo name input
-function setupZooName() {
-    const zooNameInput = document.getElementById('zooName');
+// Visitor paths - painted squares visitors walk along, kept in state.paths as "x,y" keys.
+// Paths are the ground layer: items can sit on top of them, but a covered square isn't walkable.
+// The zoo's entrance is any walkable path square on the edge of the grid.
+const PATH_STEPS = [[1, 0], [-1, 0], [0, 1], [0, -1]]; // Visitors walk side to side, never corner to corner
+
+// Command: paint and/or erase path squares
+function createPathCommand(label, added, removed) {
+    return {
+        label,
+        do: () => {
+            added.forEach(key => state.paths.add(key));
+            removed.forEach(key => state.paths.delete(key));
+        },
+        undo: () => {
+            removed.forEach(key => state.paths.add(key));
+            added.forEach(key => state.paths.delete(key));
+        },
+    };
+}
+
+// Is a square on the edge of the grid (where visitors come in)?
+function isEdgeSquare(x, y) {
+    return x === 0 || y === 0 || x === state.gridWidth - 1 || y === state.gridHeight - 1;
+}
+
+// Draw every path square - entrance squares on the edge are darker
+function renderPaths() {
+    const group = document.getElementById('paths');
+    group.innerHTML = '';
+    
+    state.paths.forEach(key => {
+        const [x, y] = key.split(',').map(Number);
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', x * CELL_SIZE);
+        rect.setAttribute('y', y * CELL_SIZE);
+        rect.setAttribute('width', CELL_SIZE);
+        rect.setAttribute('height', CELL_SIZE);
+        rect.classList.add('path-cell');
+        if (isEdgeSquare(x, y)) {
+            rect.classList.add('path-entrance');
+        }
+        group.appendChild(rect);
+    });
+}
+
+// Pick the path tool ('paint' or 'erase', null puts it away) - it takes the place of drawing enclosures
+function setPathMode(mode) {
+    state.pathMode = mode;
+    if (mode && state.placingItem) {
+        stopPlacing();
+    }
+    if (mode && state.selectedAnimal) {
+        selectAnimal(null);
+    }
+    if (mode && state.terrainBrush) {
+        setTerrainBrush(null);
+    }
     
-    // Select all text when focused
-    zooNameInput.addEventListener('focus', () => {
-        zooNameInput.select();
+    document.querySelectorAll('.path-mode-btn').forEach(button => {
+        const active = button.dataset.mode === mode;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', active);
+    });
+}
+
+// Setup the path tool buttons - clicking the active one puts the tool away
+function setupPaths() {
+    document.querySelectorAll('.path-mode-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            setPathMode(state.pathMode === button.dataset.mode ? null : button.dataset.mode);
+        });
     });
+}
+
+// Start painting (or erasing) a path from a square
+function startPathStroke(gridX, gridY) {
+    state.pathStroke = {
+        erase: state.pathMode === 'erase',
+        changed: new Set(), // Squares this stroke painted or erased so far
+        currentX: gridX,
+        currentY: gridY,
+    };
+    strokePathSquare(gridX, gridY);
+    renderPaths();
+}
+
+// Paint or erase one square of the stroke - paths can't be painted under items
+function strokePathSquare(x, y) {
+    const stroke = state.pathStroke;
+    const key = `${x},${y}`;
+    
+    if (stroke.erase) {
+        if (state.paths.has(key)) {
+            state.paths.delete(key);
+            stroke.changed.add(key);
+        }
+    } else if (!state.paths.has(key) && !findItemAt(x, y)) {
+        state.paths.add(key);
+        stroke.changed.add(key);
+    }
+}
+
+// The pointer moved on while painting a path
+function extendPathStroke(gridX, gridY) {
+    const stroke = state.pathStroke;
     
-    // Update document title when name changes
-    zooNameInput.addEventListener('input', () => {
-        const name = zooNameInput.value.trim();
-        if (name) {
-            document.title = `${name} - Zoo Planner`;
+    stepSquares(stroke.currentX, stroke.currentY, gridX, gridY, strokePathSquare);
+    
+    stroke.currentX = gridX;
+    stroke.currentY = gridY;
+    renderPaths();
+}
+
+// Finish a path stroke as one undo step. Returns false if nothing changed or it's over budget.
+function finishPathStroke() {
+    const { erase, changed } = state.pathStroke;
+    state.pathStroke = null;
+    if (changed.size === 0) return false;
+    
+    // Put the squares back as they were, so the budget is checked without them
+    // and the command below does the change
+    const squares = Array.from(changed);
+    const command = erase ? createPathCommand('Erase path', [], squares) : createPathCommand('Paint path', squares, []);
+    command.undo();
+    
+    if (!erase && !checkBudget(squares.length * PATH_COST_PER_SQUARE, `${squares.length} squares of path`)) {
+        renderPaths();
+        return false;
+    }
+    
+    runCommand(command);
+    return true;
+}
+
+// Throw away a path stroke that was interrupted
+function cancelPathStroke() {
+    const { erase, changed } = state.pathStroke;
+    changed.forEach(key => {
+        if (erase) {
+            state.paths.add(key);
         } else {
-            document.title = 'Zoo Planner - Design Your Zoo!';
+            state.paths.delete(key);
         }
     });
-    
-    // Save to state and update URL when changed
-    zooNameInput.addEventListener('change', () => {
-        state.zooName = zooNameInput.value.trim();
-        updateURL();
+    state.pathStroke = null;
+    renderPaths();
+}
+
+// Squares covered by any placed item, as "x,y" keys
+function coveredSquares() {
+    const covered = new Set();
+    Object.values(ITEM_COLLECTIONS).forEach(collection => {
+        state[collection].forEach(item => {
+            itemCells(item).forEach(([x, y]) => covered.add(`${x},${y}`));
+        });
     });
+    return covered;
 }
 
-// Setup share button
-function setupShareButton() {
-    const shareBtn = document.getElementById('shareBtn');
+// Path squares visitors can walk on: on the grid and not under an item
+function walkableSquares() {
+    const covered = coveredSquares();
+    return new Set(Array.from(state.paths).filter(key => {
+        const [x, y] = key.split(',').map(Number);
+        return x < state.gridWidth && y < state.gridHeight && !covered.has(key);
+    }));
+}
+
+// Walkable squares next to an item - where visitors can step in
+function itemDoorways(item, walkable) {
+    const doorways = new Set();
+    itemCells(item).forEach(([x, y]) => {
+        PATH_STEPS.forEach(([dx, dy]) => {
+            const key = `${x + dx},${y + dy}`;
+            if (walkable.has(key)) doorways.add(key);
+        });
+    });
+    return Array.from(doorways);
+}
+
+// How many path squares it takes to walk from the nearest start square to every square reachable
+// from the starts (a start square itself counts as 1)
+function walkDistances(starts, walkable) {
+    const distances = new Map(starts.map(key => [key, 1]));
+    const queue = Array.from(distances.keys());
+    
+    // Breadth first, so every square is reached by its shortest walk
+    for (let i = 0; i < queue.length; i++) {
+        const [x, y] = queue[i].split(',').map(Number);
+        PATH_STEPS.forEach(([dx, dy]) => {
+            const next = `${x + dx},${y + dy}`;
+            if (walkable.has(next) && !distances.has(next)) {
+                distances.set(next, distances.get(queue[i]) + 1);
+                queue.push(next);
+            }
+        });
+    }
+    return distances;
+}
+
+// Items visitors have to be able to walk to: every enclosure, and the buildings and decorations
+// the catalog marks `requiresPath` (like restrooms and the ticket booth)
+function walkDestinations() {
+    return [
+        ...state.enclosures.map(item => ({ kind: 'enclosure', item })),
+        ...state.placedBuildings.filter(item => item.requiresPath).map(item => ({ kind: 'building', item })),
+        ...state.placedDecorations.filter(item => item.requiresPath).map(item => ({ kind: 'decoration', item })),
+    ];
+}
+
+// Check the path network: where the entrance is, what visitors can't walk to from it,
+// and which enclosure has the longest walk to its nearest restroom
+function analyzeWalkability() {
+    const walkable = walkableSquares();
+    const entrance = Array.from(walkable).filter(key => {
+        const [x, y] = key.split(',').map(Number);
+        return isEdgeSquare(x, y);
+    });
     
-    shareBtn.addEventListener('click', async () => {
-        const url = new URL(window.location.href);
-        url.search = '';
-        
-        // Zoo name first
-        if (state.zooName) {
-            url.searchParams.set('n', state.zooName);
-        }
-        
-        // Then zoo data
-        const encoded = encodeZooState();
-        if (encoded && encoded !== '.' && encoded !== '..') {
-            url.searchParams.set('z', encoded);
-        }
-        
-        const shareUrl = url.toString();
-        
-        try {
-            await navigator.clipboard.writeText(shareUrl);
-            
-            // Visual feedback
-            shareBtn.textContent = '✓ Copied!';
-            shareBtn.classList.add('copied');
-            
-            setTimeout(() => {
-                shareBtn.textContent = '🔗 Share Zoo';
-                shareBtn.classList.remove('copied');
-            }, 2000);
-        } catch (err) {
-            // Fallback for older browsers
-            const input = document.createElement('input');
-            input.value = shareUrl;
-            document.body.appendChild(input);
-            input.select();
-            document.execCommand('copy');
-            document.body.removeChild(input);
-            
-            shareBtn.textContent = '✓ Copied!';
-            shareBtn.classList.add('copied');
-            
-            setTimeout(() => {
-                shareBtn.textContent = '🔗 Share Zoo';
-                shareBtn.classList.remove('copied');
-            }, 2000);
+    const fromEntrance = walkDistances(entrance, walkable);
+    const unreachable = walkDestinations().filter(({ item }) =>
+        !itemDoorways(item, walkable).some(key => fromEntrance.has(key)));
+    
+    const restrooms = state.placedBuildings.filter(b => b.id.split('-')[0] === 'restroom');
+    const toRestroom = walkDistances(restrooms.flatMap(r => itemDoorways(r, walkable)), walkable);
+    let farthestRestroom = null;
+    state.enclosures.forEach(enclosure => {
+        const walks = itemDoorways(enclosure, walkable).filter(key => toRestroom.has(key)).map(key => toRestroom.get(key));
+        if (walks.length === 0) return;
+    
+        const distance = Math.min(...walks);
+        if (!farthestRestroom || distance > farthestRestroom.distance) {
+            farthestRestroom = { enclosure, distance };
         }
     });
+    
+    return { entrance, unreachable, restroomCount: restrooms.length, farthestRestroom };
 }
 
-// Setup collapsible sections
-function setupCollapsibleSections() {
-    const decorationsHeader = document.getElementById('decorationsHeader');
-    const decorationsContent = document.getElementById('decorationsContent');
+// Outline what visitors can't walk to and fill in the walkability summary
+function updateWalkability() {
+    document.querySelectorAll('#zooGrid .unreachable').forEach(el => el.classList.remove('unreachable'));
+    const list = document.getElementById('walkabilityList');
+    
+    // Nothing to check until the zoo has paths
+    if (state.paths.size === 0) {
+        list.innerHTML = '<li class="empty-state">No paths yet - paint paths from the edge of the zoo so visitors can get in!</li>';
+        return;
+    }
     
-    decorationsHeader.addEventListener('click', () => {
-        // Toggle collapsed class on header and content
-        decorationsHeader.classList.toggle('collapsed');
-        decorationsContent.classList.toggle('collapsed');
+    const { entrance, unreachable, restroomCount, farthestRestroom } = analyzeWalkability();
+    unreachable.forEach(({ item }) => {
+        const el = document.getElementById(item.id);
+        if (el) el.classList.add('unreachable');
     });
     
-    // Start collapsed by default
-    decorationsHeader.classList.add('collapsed');
-    decorationsContent.classList.add('collapsed');
+    const lines = [
+        { text: `🟫 ${state.paths.size} path square${state.paths.size === 1 ? '' : 's'}` },
+    ];
+    if (entrance.length === 0) {
+        lines.push({ warning: true, text: '🚪 No entrance yet - a path has to reach the edge of the zoo.' });
+    } else {
+        lines.push({ text: `🚪 Entrance: ${entrance.length} path square${entrance.length === 1 ? '' : 's'} on the edge of the zoo` });
+    }
+    
+    if (unreachable.length > 0) {
+        const names = unreachable.map(({ kind, item }) => describeItem(kind, item)).join(', ');
+        lines.push({ warning: true, text: `⚠️ Visitors can't walk to: ${names}` });
+    } else if (walkDestinations().length > 0) {
+        lines.push({ text: '✅ Visitors can walk to every enclosure and everything else that needs a path' });
+    }
+    
+    if (restroomCount === 0) {
+        lines.push({ text: '🚻 No restrooms yet' });
+    } else if (farthestRestroom) {
+        const { enclosure, distance } = farthestRestroom;
+        lines.push({ text: `🚻 Farthest restroom walk: ${distance} square${distance === 1 ? '' : 's'} from the ${enclosureName(enclosure)}` });
+    } else if (state.enclosures.length > 0) {
+        lines.push({ warning: true, text: '🚻 No enclosure has a path to a restroom yet' });
+    }
+    
+    list.innerHTML = lines.map(line => `<li class="${line.warning ? 'walkability-warning' : ''}">${line.text}</li>`).join('');
 }
 
-// Setup math practice toggle
-function setupMathPracticeToggle() {
-    const toggle = document.getElementById('mathPracticeToggle');
-    
-    if (!toggle) {
-        console.error('Math practice toggle not found!');
-        return;
+// Zoo rules - planning rules teachers can change in rules.json without touching the code.
+// Each rule names one of the RULE_TYPES below plus that type's settings, e.g.
+//   { "id": "restroom-nearby", "type": "near", "name": "A restroom near every enclosure", "building": "restroom", "maxDistance": 15 }
+// A rule with "enabled": false is skipped. Buildings' and decorations' placement rules in the
+// catalogs are checked too (see catalogRules). The rules are checked after every change: items
+// that break one are outlined on the grid and every rule is listed in the Zoo Rules panel.
+
+// Squares between two spans along one axis (0 when they overlap)
+function axisGap(start, size, otherStart, otherSize) {
+    return Math.max(0, otherStart - (start + size - 1), start - (otherStart + otherSize - 1));
+}
+
+// Distance between two items' bounding boxes - exact for plain rectangles, never more than itemDistance
+function boxDistance(a, b) {
+    return Math.max(axisGap(a.gridX, a.width, b.gridX, b.width), axisGap(a.gridY, a.height, b.gridY, b.height));
+}
+
+// Squares from one item to another: 1 when they touch (even at a corner), 2 with one square between, and so on.
+// Rules run on every edit, so squares are only compared for painted shapes whose boxes are closer than
+// `limit` - anything farther comes back as its box distance, which is already enough to pass the rule
+function itemDistance(a, b, limit = Infinity) {
+    const distance = boxDistance(a, b);
+    if ((!a.shape && !b.shape) || distance >= limit) return distance;
+    
+    // A rectangle is as far from a square as its box is, so only painted shapes need their squares
+    const square = ([x, y]) => ({ gridX: x, gridY: y, width: 1, height: 1 });
+    if (!b.shape) {
+        return Math.min(...itemCells(a).map(cell => boxDistance(square(cell), b)));
+    }
+    if (!a.shape) {
+        return itemDistance(b, a, limit);
     }
     
-    // Set initial state
-    state.mathPractice = toggle.checked;
+    const otherCells = itemCells(b);
+    return Math.min(...itemCells(a).map(([x, y]) =>
+        Math.min(...otherCells.map(([ox, oy]) => Math.max(Math.abs(x - ox), Math.abs(y - oy))))));
+}
+
+// Placed buildings or decorations of one catalog id, as { kind, item }
+function placedOfType(typeId) {
+    return [
+        ...state.placedBuildings.filter(b => b.id.split('-')[0] === typeId).map(item => ({ kind: 'building', item })),
+        ...state.placedDecorations.filter(d => d.id.split('-')[0] === typeId).map(item => ({ kind: 'decoration', item })),
+    ];
+}
+
+// Catalog name for a building or decoration id
+function catalogName(typeId) {
+    const def = BUILDINGS.find(b => b.id === typeId) || DECORATIONS.find(d => d.id === typeId);
+    return def ? def.name : typeId;
+}
+
+// Each rule type lists the settings a rule needs and checks the zoo against them, returning what
+// breaks the rule: [{ message, items: [{ kind, item }] }] (the items get outlined on the grid)
+const RULE_TYPES = [
+    {
+        // Enclosures with any of `animals` at least `minDistance` squares from ones with any of `from`
+        id: 'apart',
+        settings: ['animals', 'from', 'minDistance'],
+        check: ({ animals, from, minDistance }) => {
+            const housing = ids => state.enclosures.filter(e => e.animals.some(id => ids.includes(id)));
+            const violations = [];
+            housing(animals).forEach(enclosure => {
+                housing(from).forEach(other => {
+                    if (other === enclosure) {
+                        violations.push({
+                            message: `${enclosureName(enclosure)} share an enclosure`,
+                            items: [{ kind: 'enclosure', item: enclosure }],
+                        });
+                        return;
+                    }
     
-    // Handle change event on checkbox
-    toggle.addEventListener('change', (e) => {
-        state.mathPractice = e.target.checked;
-        console.log('Math practice mode:', state.mathPractice ? 'ON' : 'OFF');
-    });
+                    const distance = itemDistance(enclosure, other, minDistance);
+                    if (distance < minDistance) {
+                        violations.push({
+                            message: `The ${describeItem('enclosure', enclosure)} is ${distance} square${distance === 1 ? '' : 's'} ` +
+                                     `from the ${describeItem('enclosure', other)} - keep them ${minDistance} apart`,
+                            items: [{ kind: 'enclosure', item: enclosure }, { kind: 'enclosure', item: other }],
+                        });
+                    }
+                });
+            });
+            return violations;
+        },
+    },
+    {
+        // Every enclosure within `maxDistance` squares of a `building` of this kind
+        id: 'near',
+        settings: ['building', 'maxDistance'],
+        check: ({ building, maxDistance }) => {
+            if (state.enclosures.length === 0) return [];
+    
+            const buildings = placedOfType(building);
+            const name = catalogName(building);
+            if (buildings.length === 0) {
+                return [{ message: `There's no ${name} yet`, items: [] }];
+            }
     
-    console.log('Math practice toggle initialized, initial state:', state.mathPractice ? 'ON' : 'OFF');
+            return state.enclosures.flatMap(enclosure => {
+                const distance = Math.min(...buildings.map(({ item }) => itemDistance(enclosure, item)));
+                if (distance <= maxDistance) return [];
+                return [{
+                    message: `The ${describeItem('enclosure', enclosure)} is ${distance} squares from the nearest ${name} - ` +
+                             `it should be ${maxDistance} at most`,
+                    items: [{ kind: 'enclosure', item: enclosure }],
+                }];
+            });
+        },
+    },
+    {
+        // Every `building` of this kind touching the edge of the grid
+        id: 'onEdge',
+        settings: ['building'],
+        check: ({ building }) => placedOfType(building)
+            .filter(({ item }) => item.gridX > 0 && item.gridY > 0 &&
+                                  item.gridX + item.width < state.gridWidth && item.gridY + item.height < state.gridHeight)
+            .map(entry => ({ message: `${entry.item.name} isn't on the edge of the zoo`, items: [entry] })),
+    },
+    {
+        // At least `count` of an `item` (a building or decoration)
+        id: 'atLeast',
+        settings: ['item', 'count'],
+        check: ({ item, count }) => {
+            const placed = placedOfType(item).length;
+            if (placed >= count) return [];
+            return [{ message: `The zoo needs ${count} × ${catalogName(item)} - it has ${placed}`, items: [] }];
+        },
+    },
+    {
+        // At least one `item` (a building or decoration) for every `enclosures` enclosures, or part of that many
+        id: 'perEnclosures',
+        settings: ['item', 'enclosures'],
+        check: ({ item, enclosures }) => {
+            const needed = Math.ceil(state.enclosures.length / enclosures);
+            const placed = placedOfType(item).length;
+            if (placed >= needed) return [];
+            return [{
+                message: `${state.enclosures.length} enclosure${state.enclosures.length === 1 ? '' : 's'} need ` +
+                         `${needed} × ${catalogName(item)} - the zoo has ${placed}`,
+                items: [],
+            }];
+        },
+    },
+];
+
+// Rule messages for each placed item id that breaks a rule - renderEnclosure and renderBuilding outline these
+let brokenRules = new Map();
+
+// Rules that come from the catalogs' placement rules (see PLACEMENT_COUNTS) - maxCount isn't one,
+// the palette stops the zoo from going over it
+function catalogRules() {
+    return [...BUILDINGS, ...DECORATIONS].flatMap(def => [
+        ...(def.minCount > 0 ? [{
+            id: `${def.id}-min-count`, type: 'atLeast', name: `At least ${def.minCount} × ${def.name}`, item: def.id, count: def.minCount,
+        }] : []),
+        ...(def.mustTouchEdge ? [{
+            id: `${def.id}-at-edge`, type: 'onEdge', name: `${def.name} at the edge of the zoo`, building: def.id,
+        }] : []),
+    ]);
 }
 
-// Show math practice modal
-function showMathPracticeModal(gridX, gridY, width, height, animalId, enclosureToResize = null) {
-    const animal = ANIMALS.find(a => a.id === animalId);
-    if (!animal) return;
+// Check the zoo against every rule: [{ rule, violations }]
+function evaluateRules() {
+    return [...RULES, ...catalogRules()].map(rule => ({ rule, violations: RULE_TYPES.find(type => type.id === rule.type).check(rule) }));
+}
+
+// Check the rules after a change: outline the items that break them and fill in the Zoo Rules panel
+function updateRuleChecks() {
+    const results = evaluateRules();
+    
+    const before = brokenRules;
+    brokenRules = new Map();
+    results.forEach(({ violations }) => {
+        violations.forEach(({ message, items }) => {
+            items.forEach(({ item }) => {
+                if (!brokenRules.has(item.id)) brokenRules.set(item.id, []);
+                brokenRules.get(item.id).push(message);
+            });
+        });
+    });
     
-    const correctPerimeter = 2 * (width + height);
-    const correctArea = width * height;
-    const isResizing = enclosureToResize !== null;
+    // Re-draw the items whose rule messages changed, so their outline and tooltip match
+    new Set([...before.keys(), ...brokenRules.keys()]).forEach(id => {
+        if (String(before.get(id)) === String(brokenRules.get(id))) return;
     
-    const modal = document.createElement('div');
-    modal.className = 'math-practice-modal';
-    modal.innerHTML = `
-        <div class="math-practice-content">
-            <div class="math-practice-header">
-                <div class="math-practice-emoji">${animal.emoji}</div>
-                <h3>${isResizing ? 'Resize' : 'Build'} ${animal.name} Enclosure</h3>
-                <button class="math-practice-close">✕</button>
-            </div>
-            
-            <div class="math-practice-body">
-                <p class="math-practice-instructions">
-                    Calculate the perimeter and area of this enclosure:
-                </p>
-                
-                <div class="math-practice-visual">
-                    <svg class="math-practice-rectangle" viewBox="0 0 200 150" width="200" height="150">
-                        <rect x="40" y="30" width="120" height="90" 
-                              fill="rgba(102, 126, 234, 0.2)" 
-                              stroke="#667eea" 
-                              stroke-width="3" 
-                              rx="5"/>
-                        
-                        <!-- Top edge -->
-                        <line x1="40" y1="20" x2="160" y2="20" stroke="#333" stroke-width="2"/>
-                        <text x="100" y="15" text-anchor="middle" font-size="14" font-weight="bold" fill="#333">${width}</text>
-                        
-                        <!-- Right edge -->
-                        <line x1="170" y1="30" x2="170" y2="120" stroke="#333" stroke-width="2"/>
-                        <text x="180" y="75" text-anchor="middle" font-size="14" font-weight="bold" fill="#333">${height}</text>
-                        
-                        <!-- Bottom edge -->
-                        <line x1="40" y1="130" x2="160" y2="130" stroke="#333" stroke-width="2"/>
-                        <text x="100" y="145" text-anchor="middle" font-size="14" font-weight="bold" fill="#333">${width}</text>
-                        
-                        <!-- Left edge -->
-                        <line x1="30" y1="30" x2="30" y2="120" stroke="#333" stroke-width="2"/>
-                        <text x="20" y="75" text-anchor="middle" font-size="14" font-weight="bold" fill="#333">${height}</text>
-                    </svg>
-                </div>
-                
-                <div class="math-practice-dimensions">
-                    <strong>Dimensions:</strong> ${width} × ${height} squares
-                </div>
-                
-                <div class="math-practice-inputs">
-                    <div class="math-input-group">
-                        <label for="perimeterInput">Perimeter:</label>
-                        <div class="math-input-wrapper">
-                            <input type="number" id="perimeterInput" class="math-input" min="0" step="1" placeholder="?">
-                            <span class="math-feedback" id="perimeterFeedback"></span>
-                        </div>
-                    </div>
-                    
-                    <div class="math-input-group">
-                        <label for="areaInput">Area:</label>
-                        <div class="math-input-wrapper">
-                            <input type="number" id="areaInput" class="math-input" min="0" step="1" placeholder="?">
-                            <span class="math-feedback" id="areaFeedback"></span>
-                        </div>
-                    </div>
-                </div>
-                
-                <button class="math-practice-build-btn" id="mathBuildBtn" disabled>
-                    ${isResizing ? '✓ Resize' : '🏗️ Build'} ${animal.name} Enclosure
-                </button>
-            </div>
-        </div>
-    `;
+        const enclosure = findItem('enclosure', id);
+        const placed = findItem('building', id) || findItem('decoration', id);
+        if (enclosure) {
+            renderEnclosure(enclosure);
+        } else if (placed) {
+            renderBuilding(placed);
+        }
+    });
     
-    document.body.appendChild(modal);
+    const list = document.getElementById('rulesList');
+    if (results.length === 0) {
+        list.innerHTML = '<li class="empty-state">There are no rules to check</li>';
+        return;
+    }
     
-    // Store pending enclosure data (includes enclosure reference for resize mode)
-    // For resize, the enclosure already has new dimensions, but we need originals to revert
-    const originalDimensions = enclosureToResize ? {
-        // These will be set by the caller when in resize mode
-        gridX: enclosureToResize.originalGridX !== undefined ? enclosureToResize.originalGridX : enclosureToResize.gridX,
-        gridY: enclosureToResize.originalGridY !== undefined ? enclosureToResize.originalGridY : enclosureToResize.gridY,
-        width: enclosureToResize.originalWidth !== undefined ? enclosureToResize.originalWidth : enclosureToResize.width,
-        height: enclosureToResize.originalHeight !== undefined ? enclosureToResize.originalHeight : enclosureToResize.height
-    } : null;
+    list.innerHTML = results.map(({ rule, violations }) => {
+        if (violations.length === 0) {
+            return `<li>✅ ${escapeHTML(rule.name)}</li>`;
+        }
+        const problems = violations.map(({ message }) => `<li>${escapeHTML(message)}</li>`).join('');
+        return `<li class="rules-warning">⚠️ ${escapeHTML(rule.name)}<ul class="rule-problems">${problems}</ul></li>`;
+    }).join('');
+}
+
+// Habitat terrain - squares inside an enclosure can be painted with a terrain, kept in the
+// enclosure's `terrain` as { "dx,dy": terrainId } counted from its top-left square. Unpainted
+// squares are grassland. Decorations with a `terrain` in decorations.json (the pond, the trees)
+// may sit inside an enclosure, and count as that terrain on the squares they cover.
+// Animals list the terrain they like in animals.json, e.g. "habitat": { "water": 30 } for at least 30% water.
+// Share codes store a terrain by its place in this list, so new types only ever go at the end.
+const TERRAIN_TYPES = [
+    { id: 'grassland', name: 'Grassland', emoji: '🌾', color: '#DCEDC8' },
+    { id: 'water', name: 'Water', emoji: '💧', color: '#81D4FA' },
+    { id: 'forest', name: 'Forest', emoji: '🌲', color: '#81C784' },
+    { id: 'rock', name: 'Rock', emoji: '🪨', color: '#BCAAA4' },
+    { id: 'ice', name: 'Ice', emoji: '🧊', color: '#E1F5FE' },
+];
+const DEFAULT_TERRAIN = 'grassland';
+
+// Name of a terrain type, e.g. "water"
+function terrainName(terrainId) {
+    return TERRAIN_TYPES.find(t => t.id === terrainId).name.toLowerCase();
+}
+
+// Painted terrain after an enclosure's top-left square moves by (dx, dy), so every square keeps its terrain
+function shiftTerrain(terrain, dx, dy) {
+    if (!terrain || (dx === 0 && dy === 0)) return terrain;
+    
+    const shifted = {};
+    Object.entries(terrain).forEach(([key, terrainId]) => {
+        const [x, y] = key.split(',').map(Number);
+        shifted[`${x - dx},${y - dy}`] = terrainId;
+    });
+    return shifted;
+}
+
+// An enclosure's painted terrain without squares that are no longer inside it - undefined if there's none
+function paintedTerrain(enclosure) {
+    const terrain = {};
+    Object.entries(enclosure.terrain || {}).forEach(([key, terrainId]) => {
+        const [dx, dy] = key.split(',').map(Number);
+        if (itemCoversCell(enclosure, enclosure.gridX + dx, enclosure.gridY + dy)) {
+            terrain[key] = terrainId;
+        }
+    });
+    return Object.keys(terrain).length > 0 ? terrain : undefined;
+}
+
+// Habitat decorations (pond, trees...) sitting inside an enclosure
+function enclosureDecorations(enclosure) {
+    return state.placedDecorations.filter(d => d.terrain && itemInside(d, enclosure));
+}
+
+// Does a habitat decoration sit inside an enclosure? Its squares are then part of the enclosure's land.
+function insideEnclosure(decoration) {
+    return Boolean(decoration.terrain) && state.enclosures.some(e => itemInside(decoration, e));
+}
+
+// Terrain of one square in an enclosure - a habitat decoration on it wins over painted terrain
+function terrainAt(enclosure, x, y, decorations = enclosureDecorations(enclosure)) {
+    const decoration = decorations.find(d => itemCoversCell(d, x, y));
+    if (decoration) return decoration.terrain;
     
-    state.pendingEnclosure = { 
-        gridX, 
-        gridY, 
-        width, 
-        height, 
-        animalId, 
-        enclosureToResize,
-        originalDimensions
+    const painted = enclosure.terrain && enclosure.terrain[`${x - enclosure.gridX},${y - enclosure.gridY}`];
+    return painted || DEFAULT_TERRAIN;
+}
+
+// How well an enclosure suits its residents. Each `habitat` preference scores the share of it that's
+// met, and `score` is their average (1 when every preference is met, or there are none).
+// `shortfalls` lists the preferences that aren't met: [{ animal, terrain, need, have }] in percent.
+function habitatMatch(enclosure) {
+    const decorations = enclosureDecorations(enclosure);
+    const cells = itemCells(enclosure);
+    const squares = {};
+    cells.forEach(([x, y]) => {
+        const terrainId = terrainAt(enclosure, x, y, decorations);
+        squares[terrainId] = (squares[terrainId] || 0) + 1;
+    });
+    
+    const preferences = enclosureResidents(enclosure).flatMap(animal =>
+        Object.entries(animal.habitat).map(([terrain, need]) => ({
+            animal,
+            terrain,
+            need,
+            have: 100 * (squares[terrain] || 0) / cells.length,
+        })));
+    if (preferences.length === 0) return { score: 1, shortfalls: [] };
+    
+    return {
+        // Rounded down, so an enclosure just short of a preference never shows 100%
+        score: Math.floor(100 * preferences.reduce((total, p) => total + Math.min(1, p.have / p.need), 0) / preferences.length) / 100,
+        shortfalls: preferences.filter(p => p.have < p.need).map(p => ({ ...p, have: Math.floor(p.have) })),
+    };
+}
+
+// "Seal needs 30% water - it has 12%"
+function describeShortfall({ animal, terrain, need, have }) {
+    return `${animal.name} needs ${need}% ${terrainName(terrain)} - it has ${have}%`;
+}
+
+// Draw an enclosure's terrain: painted squares and the squares under habitat decorations are
+// coloured, grassland is left to the enclosure's own fill
+function renderTerrain(enclosure, group) {
+    const decorations = enclosureDecorations(enclosure);
+    itemCells(enclosure).forEach(([x, y]) => {
+        const terrainId = terrainAt(enclosure, x, y, decorations);
+        if (terrainId === DEFAULT_TERRAIN) return;
+        
+        const cell = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        cell.setAttribute('x', x * CELL_SIZE);
+        cell.setAttribute('y', y * CELL_SIZE);
+        cell.setAttribute('width', CELL_SIZE);
+        cell.setAttribute('height', CELL_SIZE);
+        cell.setAttribute('fill', TERRAIN_TYPES.find(t => t.id === terrainId).color);
+        cell.classList.add('terrain-cell');
+        group.appendChild(cell);
+    });
+}
+
+// Pick a terrain to paint inside enclosures (null puts the brush away) - like the path tool,
+// it takes the place of drawing enclosures
+function setTerrainBrush(terrainId) {
+    state.terrainBrush = terrainId;
+    if (terrainId && state.placingItem) {
+        stopPlacing();
+    }
+    if (terrainId && state.selectedAnimal) {
+        selectAnimal(null);
+    }
+    if (terrainId && state.pathMode) {
+        setPathMode(null);
+    }
+    
+    document.querySelectorAll('.terrain-btn').forEach(button => {
+        const active = button.dataset.terrain === terrainId;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', active);
+    });
+}
+
+// Setup the terrain brush buttons - one per terrain type, clicking the active one puts the brush away
+function setupTerrain() {
+    const container = document.getElementById('terrainButtons');
+    TERRAIN_TYPES.forEach(type => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'terrain-btn';
+        button.dataset.terrain = type.id;
+        button.setAttribute('aria-pressed', 'false');
+        button.textContent = `${type.emoji} ${type.name}`;
+        button.addEventListener('click', () => {
+            setTerrainBrush(state.terrainBrush === type.id ? null : type.id);
+        });
+        container.appendChild(button);
+    });
+}
+
+// Start painting terrain from a square - a stroke only paints the enclosure it starts in.
+// Returns false if the square isn't in an enclosure.
+function startTerrainStroke(gridX, gridY) {
+    const enclosure = state.enclosures.find(e => itemCoversCell(e, gridX, gridY));
+    if (!enclosure) return false;
+    
+    state.terrainStroke = {
+        enclosure,
+        before: enclosure.terrain,
+        changed: false,
+        currentX: gridX,
+        currentY: gridY,
     };
+    enclosure.terrain = { ...enclosure.terrain };
+    strokeTerrainSquare(gridX, gridY);
+    renderEnclosure(enclosure);
+    return true;
+}
+
+// Paint one square of the stroke with the brush's terrain (grassland clears the square)
+function strokeTerrainSquare(x, y) {
+    const stroke = state.terrainStroke;
+    const { enclosure } = stroke;
+    if (!itemCoversCell(enclosure, x, y)) return;
+    
+    const key = `${x - enclosure.gridX},${y - enclosure.gridY}`;
+    const current = enclosure.terrain[key] || DEFAULT_TERRAIN;
+    if (current === state.terrainBrush) return;
+    
+    if (state.terrainBrush === DEFAULT_TERRAIN) {
+        delete enclosure.terrain[key];
+    } else {
+        enclosure.terrain[key] = state.terrainBrush;
+    }
+    stroke.changed = true;
+}
+
+// The pointer moved on while painting terrain
+function extendTerrainStroke(gridX, gridY) {
+    const stroke = state.terrainStroke;
+    stepSquares(stroke.currentX, stroke.currentY, gridX, gridY, strokeTerrainSquare);
+    stroke.currentX = gridX;
+    stroke.currentY = gridY;
+    renderEnclosure(stroke.enclosure);
+}
+
+// Finish a terrain stroke as one undo step. Returns false if nothing changed.
+function finishTerrainStroke() {
+    const { enclosure, before, changed } = state.terrainStroke;
+    state.terrainStroke = null;
+    
+    const after = paintedTerrain(enclosure);
+    enclosure.terrain = before;
+    if (!changed) {
+        renderEnclosure(enclosure);
+        return false;
+    }
     
-    // Get input elements
-    const perimeterInput = modal.querySelector('#perimeterInput');
-    const areaInput = modal.querySelector('#areaInput');
-    const perimeterFeedback = modal.querySelector('#perimeterFeedback');
-    const areaFeedback = modal.querySelector('#areaFeedback');
-    const buildBtn = modal.querySelector('#mathBuildBtn');
-    const closeBtn = modal.querySelector('.math-practice-close');
+    runCommand(createUpdateCommand(`Paint ${describeItem('enclosure', enclosure)}`, 'enclosure', enclosure.id,
+        { terrain: before }, { terrain: after }));
+    return true;
+}
+
+// Throw away a terrain stroke that was interrupted
+function cancelTerrainStroke() {
+    const { enclosure, before } = state.terrainStroke;
+    enclosure.terrain = before;
+    state.terrainStroke = null;
+    renderEnclosure(enclosure);
+}
+
+// Share code format (the z= URL parameter)
+//
+// Versions 2 and 3 are a run of variable-length numbers followed by a 2-character checksum:
+//   version, then sections of [tag, fieldCount, ...fields]
+// Unknown section tags are skipped using fieldCount, so new sections can be added later.
+// Each number is written 5 bits per character: A-Z and a-f end a number (0-31),
+// g-z, 0-9, - and _ mean "more digits follow" - so no separators are needed.
+//
+// Version 3 lists the catalog ids it uses once (the catalogIds section) and items refer to
+// that list, so reordering or adding to the JSON catalogs never changes an old zoo.
+// Version 2 referred to catalog items by array position.
+//
+// Painted enclosures are still listed in the enclosures section with their bounding box;
+// the enclosureShapes section adds which squares inside the box they cover. Older
+// versions skip that section and show the whole box.
+//
+// Shared enclosures list their first animal in the enclosures section and the rest in the
+// enclosureAnimals section, so older versions still show the first species. Head counts
+// above 1 go in the enclosureCounts section. A budget other than the default goes in the
+// budget section. Visitor paths are one shape covering every path square, in the paths section.
+// Custom catalog entries the zoo uses travel in the custom* sections (see encodeCatalogEntries),
+// so the zoo opens in browsers that don't have them; custom animals' habitats go in the
+// customAnimalHabitats section. Turned buildings and decorations are listed
+// in the *Rotations sections; older versions show them unturned.
+//
+// Version 1 (v0.2 links) is lowercase base36, one character per value, also by position:
+//   buildings.decorations.enclosures
+const SHARE_CODE_VERSION = 3;
+const VARINT_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const CHECKSUM_LENGTH = 2;
+
+const SHARE_SECTIONS = {
+    grid: 1,        // width, height
+    buildings: 2,   // type, x, y per building
+    decorations: 3, // type, x, y per decoration
+    enclosures: 4,  // animal, x, y, width, height per enclosure
+    catalogIds: 5,  // length, then base36 characters, per catalog id (ids are a-z and 0-9)
+    enclosureShapes: 6, // enclosure position, then per row: run count, runs (outside/inside, starting outside)
+    enclosureAnimals: 7, // enclosure position, count, then the other animals living there
+    enclosureCounts: 8, // enclosure position, animal position in that enclosure, head count
+    budget: 9,      // dollars, when not the default budget
+    paths: 10,      // x, y, width, height of the box around all path squares, then its shape rows as above
+    enclosureTerrain: 11, // enclosure position, count, then per painted square: its place in the box, terrain type
+    customAnimals: 12,     // custom catalog entries the zoo uses
+    customBuildings: 13,
+    customDecorations: 14,
+    buildingRotations: 15,   // building position, quarter turns (1-3) per turned building
+    decorationRotations: 16, // decoration position, quarter turns (1-3) per turned decoration
+    customAnimalHabitats: 17, // see encodeCatalogHabitats
+};
+
+// Catalog order that position-based links (versions 1 and 2) were written against.
+// Keep these frozen - new catalog entries only need an id in the JSON files.
+const LEGACY_CATALOG_ORDER = {
+    buildings: ['tickets', 'giftshop', 'restroom'],
+    decorations: [
+        'bench', 'tree', 'evergreen', 'palmtree', 'tulip', 'sunflower', 'pottedplant',
+        'cactus', 'fountain', 'pond', 'statue', 'flag', 'trashcan'
+    ],
+    animals: [
+        'elephant', 'zebra', 'tiger', 'gorilla', 'rhino', 'bear', 'panda',
+        'giraffe', 'lion', 'seal', 'hippo', 'koala', 'alligator', 'kangaroo'
+    ],
+};
+
+// Write a non-negative integer as variable-length characters
+function encodeVarint(num) {
+    if (!Number.isInteger(num) || num < 0) {
+        throw new Error(`Can't encode ${num} in a share code`);
+    }
     
-    let perimeterCorrect = false;
-    let areaCorrect = false;
+    const digits = [];
+    do {
+        digits.unshift(num % 32);
+        num = Math.floor(num / 32);
+    } while (num > 0);
     
-    // Validation function
-    function validateInputs() {
-        // Check perimeter
-        const perimeterValue = parseInt(perimeterInput.value);
-        if (perimeterInput.value && !isNaN(perimeterValue)) {
-            if (perimeterValue === correctPerimeter) {
-                perimeterCorrect = true;
-                perimeterFeedback.textContent = '✓';
-                perimeterFeedback.className = 'math-feedback correct';
-                perimeterInput.classList.add('correct');
-                perimeterInput.classList.remove('incorrect');
-            } else {
-                perimeterCorrect = false;
-                perimeterFeedback.textContent = '✗';
-                perimeterFeedback.className = 'math-feedback incorrect';
-                perimeterInput.classList.add('incorrect');
-                perimeterInput.classList.remove('correct');
-            }
-        } else {
-            perimeterCorrect = false;
-            perimeterFeedback.textContent = '';
-            perimeterFeedback.className = 'math-feedback';
-            perimeterInput.classList.remove('correct', 'incorrect');
-        }
-        
-        // Check area
-        const areaValue = parseInt(areaInput.value);
-        if (areaInput.value && !isNaN(areaValue)) {
-            if (areaValue === correctArea) {
-                areaCorrect = true;
-                areaFeedback.textContent = '✓';
-                areaFeedback.className = 'math-feedback correct';
-                areaInput.classList.add('correct');
-                areaInput.classList.remove('incorrect');
-            } else {
-                areaCorrect = false;
-                areaFeedback.textContent = '✗';
-                areaFeedback.className = 'math-feedback incorrect';
-                areaInput.classList.add('incorrect');
-                areaInput.classList.remove('correct');
-            }
-        } else {
-            areaCorrect = false;
-            areaFeedback.textContent = '';
-            areaFeedback.className = 'math-feedback';
-            areaInput.classList.remove('correct', 'incorrect');
+    // Every digit but the last is marked as "more to come"
+    return digits.map((digit, i) => VARINT_ALPHABET[i < digits.length - 1 ? digit + 32 : digit]).join('');
+}
+
+// Read all variable-length numbers from a string
+function decodeVarints(str) {
+    const values = [];
+    let current = 0;
+    let inNumber = false;
+    
+    for (const char of str) {
+        const index = VARINT_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Unexpected character "${char}"`);
         }
         
-        // Enable/disable build button
-        buildBtn.disabled = !(perimeterCorrect && areaCorrect);
+        current = current * 32 + (index % 32);
+        inNumber = true;
+        if (index < 32) {
+            values.push(current);
+            current = 0;
+            inNumber = false;
+        }
     }
     
-    // Add input listeners
-    perimeterInput.addEventListener('input', validateInputs);
-    areaInput.addEventListener('input', validateInputs);
+    if (inNumber) {
+        throw new Error('Share code ends in the middle of a number');
+    }
     
-    // Build button handler
-    buildBtn.addEventListener('click', () => {
-        if (perimeterCorrect && areaCorrect) {
-            if (isResizing && enclosureToResize) {
-                // Update existing enclosure dimensions (already applied, just finalize)
-                // Clean up temporary properties
-                delete enclosureToResize.originalGridX;
-                delete enclosureToResize.originalGridY;
-                delete enclosureToResize.originalWidth;
-                delete enclosureToResize.originalHeight;
-                
-                renderEnclosure(enclosureToResize);
-                updateSummaryTable();
-                updateURL();
-            } else {
-                // Create new enclosure
-                addEnclosure(gridX, gridY, width, height);
+    return values;
+}
+
+// Short checksum so a cut-off or mistyped link is caught instead of half-loaded
+function shareChecksum(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        hash = (hash * 31 + str.charCodeAt(i)) % 1024;
+    }
+    return VARINT_ALPHABET[hash >> 5] + VARINT_ALPHABET[hash & 31];
+}
+
+// Shape rows as runs of squares, alternating outside and inside and starting outside
+function encodeShapeRows(shape) {
+    return shape.flatMap(row => {
+        const runs = [];
+        let inside = false;
+        let length = 0;
+        for (const char of row) {
+            if ((char === '#') !== inside) {
+                runs.push(length);
+                inside = !inside;
+                length = 0;
             }
-            state.pendingEnclosure = null;
-            modal.remove();
+            length++;
         }
+        runs.push(length);
+        return [runs.length, ...runs];
     });
+}
+
+// Path squares as the box around them and its shape rows
+function encodePaths() {
+    const box = shapeFromCells(state.paths);
+    const rows = box.shape || Array(box.height).fill('#'.repeat(box.width));
+    return [box.gridX, box.gridY, box.width, box.height, ...encodeShapeRows(rows)];
+}
+
+// Encode zoo state to URL parameters (compact, versioned format)
+function encodeZooState() {
+    const hasItems = state.placedBuildings.length > 0 || state.placedDecorations.length > 0 || state.enclosures.length > 0 ||
+                     state.paths.size > 0;
+    const isDefaultGrid = state.gridWidth === DEFAULT_GRID_SIZE && state.gridHeight === DEFAULT_GRID_SIZE;
+    const isDefaultBudget = state.budget === DEFAULT_BUDGET;
+    if (!hasItems && isDefaultGrid && isDefaultBudget) {
+        return '';
+    }
     
-    // Close button handler - revert resize if applicable
-    const closeModal = () => {
-        if (isResizing && enclosureToResize && state.pendingEnclosure) {
-            // Revert to original dimensions
-            const original = state.pendingEnclosure.originalDimensions;
-            if (original) {
-                enclosureToResize.gridX = original.gridX;
-                enclosureToResize.gridY = original.gridY;
-                enclosureToResize.width = original.width;
-                enclosureToResize.height = original.height;
-                
-                // Clean up temporary properties
-                delete enclosureToResize.originalGridX;
-                delete enclosureToResize.originalGridY;
-                delete enclosureToResize.originalWidth;
-                delete enclosureToResize.originalHeight;
-                
-                renderEnclosure(enclosureToResize);
-                updateSummaryTable();
-                updateURL();
-            }
-        }
-        state.pendingEnclosure = null;
-        modal.remove();
+    // Each catalog id used is written once; items refer to its position in this list
+    const catalogIds = [];
+    const catalogRef = (id) => {
+        if (!catalogIds.includes(id)) catalogIds.push(id);
+        return catalogIds.indexOf(id);
     };
     
-    closeBtn.addEventListener('click', closeModal);
+    const buildingFields = state.placedBuildings.flatMap(b => [catalogRef(b.id.split('-')[0]), b.gridX, b.gridY]);
+    const decorationFields = state.placedDecorations.flatMap(d => [catalogRef(d.id.split('-')[0]), d.gridX, d.gridY]);
+    const rotationFields = items => items.flatMap((item, i) => item.rotation ? [i, item.rotation / ROTATION_STEP] : []);
+    const enclosureFields = state.enclosures.flatMap(e => [catalogRef(e.animals[0]), e.gridX, e.gridY, e.width, e.height]);
+    const shapeFields = state.enclosures.flatMap((e, i) => e.shape ? [i, ...encodeShapeRows(e.shape)] : []);
+    const animalFields = state.enclosures.flatMap((e, i) => {
+        const others = e.animals.slice(1);
+        return others.length > 0 ? [i, others.length, ...others.map(catalogRef)] : [];
+    });
+    const countFields = state.enclosures.flatMap((e, i) =>
+        e.animals.flatMap((id, j) => headCount(e, id) > 1 ? [i, j, headCount(e, id)] : [])
+    );
+    const terrainFields = state.enclosures.flatMap((e, i) => {
+        const squares = Object.entries(paintedTerrain(e) || {});
+        return squares.length > 0 ? [i, squares.length, ...squares.flatMap(([key, terrainId]) => {
+            const [dx, dy] = key.split(',').map(Number);
+            return [dy * e.width + dx, TERRAIN_TYPES.findIndex(t => t.id === terrainId)];
+        })] : [];
+    });
+    const custom = zooCatalogEntries();
+    const customFields = {
+        animals: encodeCatalogEntries('animals', custom.animals, catalogRef),
+        buildings: encodeCatalogEntries('buildings', custom.buildings, catalogRef),
+        decorations: encodeCatalogEntries('decorations', custom.decorations, catalogRef),
+    };
     
-    // Click outside to close
-    modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-            closeModal();
+    return packSections(SHARE_CODE_VERSION, [
+        [SHARE_SECTIONS.grid, isDefaultGrid ? [] : [state.gridWidth, state.gridHeight]],
+        [SHARE_SECTIONS.catalogIds, encodeCatalogIds(catalogIds)],
+        [SHARE_SECTIONS.buildings, buildingFields],
+        [SHARE_SECTIONS.decorations, decorationFields],
+        [SHARE_SECTIONS.enclosures, enclosureFields],
+        [SHARE_SECTIONS.enclosureShapes, shapeFields],
+        [SHARE_SECTIONS.enclosureAnimals, animalFields],
+        [SHARE_SECTIONS.enclosureCounts, countFields],
+        [SHARE_SECTIONS.budget, isDefaultBudget ? [] : [state.budget]],
+        [SHARE_SECTIONS.paths, state.paths.size > 0 ? encodePaths() : []],
+        [SHARE_SECTIONS.enclosureTerrain, terrainFields],
+        [SHARE_SECTIONS.customAnimals, customFields.animals],
+        [SHARE_SECTIONS.customBuildings, customFields.buildings],
+        [SHARE_SECTIONS.customDecorations, customFields.decorations],
+        [SHARE_SECTIONS.buildingRotations, rotationFields(state.placedBuildings)],
+        [SHARE_SECTIONS.decorationRotations, rotationFields(state.placedDecorations)],
+        [SHARE_SECTIONS.customAnimalHabitats, encodeCatalogHabitats(custom.animals)],
+    ]);
+}
+
+// Write a version number and [tag, fields] sections as a code with a checksum (empty sections are left out)
+function packSections(version, sections) {
+    const values = [version];
+    sections.forEach(([tag, fields]) => {
+        if (fields.length > 0) {
+            values.push(tag, fields.length, ...fields);
         }
     });
     
-    // Focus first input
-    setTimeout(() => perimeterInput.focus(), 100);
+    const body = values.map(encodeVarint).join('');
+    return body + shareChecksum(body);
 }
 
-// Create the SVG grid
-function setupGrid() {
-    const svg = document.getElementById('zooGrid');
-    const width = GRID_SIZE * CELL_SIZE;
-    const height = GRID_SIZE * CELL_SIZE;
-    
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
-    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-    
-    // Create grid group
-    const gridGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    gridGroup.id = 'gridLines';
-    
-    // Draw vertical lines
-    for (let i = 0; i <= GRID_SIZE; i++) {
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        line.setAttribute('x1', i * CELL_SIZE);
-        line.setAttribute('y1', 0);
-        line.setAttribute('x2', i * CELL_SIZE);
-        line.setAttribute('y2', height);
-        line.setAttribute('class', 'grid-line');
-        gridGroup.appendChild(line);
+// Check a code's checksum and split it into its version and sections by tag
+function unpackSections(compact) {
+    if (compact.length <= CHECKSUM_LENGTH) {
+        throw new Error('Share code is too short');
     }
     
-    // Draw horizontal lines
-    for (let i = 0; i <= GRID_SIZE; i++) {
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        line.setAttribute('x1', 0);
-        line.setAttribute('y1', i * CELL_SIZE);
-        line.setAttribute('x2', width);
-        line.setAttribute('y2', i * CELL_SIZE);
-        line.setAttribute('class', 'grid-line');
-        gridGroup.appendChild(line);
+    const body = compact.slice(0, -CHECKSUM_LENGTH);
+    const checksum = compact.slice(-CHECKSUM_LENGTH);
+    if (shareChecksum(body) !== checksum) {
+        throw new Error('Checksum does not match - the link was probably cut off or changed');
     }
     
-    svg.appendChild(gridGroup);
-    
-    // Create groups for items (enclosures and buildings)
-    const enclosuresGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    enclosuresGroup.id = 'enclosures';
-    svg.appendChild(enclosuresGroup);
+    const values = decodeVarints(body);
+    const sections = {};
+    let i = 1;
+    while (i < values.length) {
+        const tag = values[i];
+        const fieldCount = values[i + 1];
+        if (fieldCount === undefined || i + 2 + fieldCount > values.length) {
+            throw new Error('Share code ends in the middle of a section');
+        }
+        // Unknown sections come from newer versions and are simply never read
+        sections[tag] = values.slice(i + 2, i + 2 + fieldCount);
+        i += 2 + fieldCount;
+    }
     
-    const buildingsGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    buildingsGroup.id = 'buildings';
-    svg.appendChild(buildingsGroup);
+    return { version: values[0], sections };
 }
 
-// Populate the buildings palette
-function setupBuildingsPalette() {
-    renderBuildingList();
+// Catalog ids as numbers for a catalogIds section
+function encodeCatalogIds(ids) {
+    return ids.flatMap(id => [id.length, ...Array.from(id, char => parseInt(char, 36))]);
 }
 
-// Render the building list with current state
-function renderBuildingList() {
-    const buildingList = document.getElementById('buildingList');
-    buildingList.innerHTML = '';
-    
-    // Check which buildings are already placed
-    const usedBuildings = new Set(state.placedBuildings.map(b => b.id.split('-')[0])); // Extract building type
-    
-    BUILDINGS.forEach(building => {
-        const isRestroom = building.id === 'restroom';
-        const isUsed = Array.from(usedBuildings).some(used => used.includes(building.id));
-        const restroomCount = isRestroom ? state.placedBuildings.filter(b => b.id.startsWith('restroom-')).length : 0;
-        
-        const div = document.createElement('div');
-        div.className = 'building-item';
-        div.dataset.buildingId = building.id;
-        
-        // Restrooms are special: never disabled, always draggable
-        if (isRestroom) {
-            div.draggable = true;
-            div.addEventListener('dragstart', handlePaletteDragStart);
-            div.addEventListener('dragend', handlePaletteDragEnd);
-        } else if (isUsed) {
-            div.classList.add('used');
-        } else {
-            div.draggable = true;
-            div.addEventListener('dragstart', handlePaletteDragStart);
-            div.addEventListener('dragend', handlePaletteDragEnd);
+// Read the catalogIds section back into a list of id strings
+function decodeCatalogIds(fields) {
+    const ids = [];
+    let i = 0;
+    while (i < fields.length) {
+        const length = fields[i];
+        const chars = fields.slice(i + 1, i + 1 + length);
+        if (length === 0 || chars.length !== length || chars.some(value => value > 35)) {
+            throw new Error('The catalog ids section is damaged');
         }
-        
-        // Build the HTML
-        let html = `
-            <span class="building-emoji">${building.emoji}</span>
-            <div class="building-info">
-                <div class="building-name">${building.name}${isRestroom && restroomCount > 0 ? ` (${restroomCount})` : ''}</div>
-                <span class="building-size">${building.width}×${building.height} squares</span>
-            </div>
-        `;
-        
-        // Add delete button for restrooms (if any placed) or regular buildings (if used)
-        if (isRestroom && restroomCount > 0) {
-            html += '<button class="delete-building-btn" title="Delete all restrooms">🗑️</button>';
-        } else if (!isRestroom && isUsed) {
-            html += '<button class="delete-building-btn" title="Delete this building">🗑️</button>';
+        ids.push(chars.map(value => value.toString(36)).join(''));
+        i += 1 + length;
+    }
+    return ids;
+}
+
+// Read the enclosureShapes section back onto the enclosure records it belongs to
+function decodeEnclosureShapes(fields, enclosures) {
+    let i = 0;
+    while (i < fields.length) {
+        const enclosure = enclosures[fields[i]];
+        if (!enclosure) {
+            throw new Error('The enclosure shapes section refers to an enclosure that isn\'t in the link');
         }
         
-        div.innerHTML = html;
-        
-        // Delete button handler
-        const deleteBtn = div.querySelector('.delete-building-btn');
-        if (deleteBtn) {
-            deleteBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                if (isRestroom) {
-                    deleteAllRestrooms();
-                } else {
-                    deleteBuildingByType(building.id);
-                }
-            });
+        const { rows, next } = decodeShapeRows(fields, i + 1, enclosure.w, enclosure.h, 'enclosure shapes');
+        enclosure.shape = rows;
+        i = next;
+    }
+}
+
+// Read `height` shape rows of `width` squares written by encodeShapeRows, starting at fields[start]
+function decodeShapeRows(fields, start, width, height, sectionName) {
+    const rows = [];
+    let i = start;
+    for (let row = 0; row < height; row++) {
+        const runCount = fields[i];
+        const runs = fields.slice(i + 1, i + 1 + runCount);
+        if (runCount === undefined || runs.length !== runCount ||
+            runs.reduce((total, run) => total + run, 0) !== width) {
+            throw new Error(`The ${sectionName} section is damaged`);
         }
-        
-        buildingList.appendChild(div);
-    });
+        rows.push(runs.map((run, r) => (r % 2 === 0 ? '.' : '#').repeat(run)).join(''));
+        i += 1 + runCount;
+    }
+    return { rows, next: i };
 }
 
-// Setup decorations palette
-function setupDecorationsPalette() {
-    renderDecorationList();
+// Read the paths section back into a list of "x,y" path squares
+function decodePaths(fields) {
+    if (fields.length === 0) return [];
+    
+    const [gridX, gridY, width, height] = fields;
+    const { rows, next } = decodeShapeRows(fields, 4, width, height, 'paths');
+    if (next !== fields.length) {
+        throw new Error('The paths section is damaged');
+    }
+    return itemCells({ gridX, gridY, width, height, shape: rows }).map(cell => cell.join(','));
 }
 
-// Render the decoration list
-function renderDecorationList() {
-    const decorationList = document.getElementById('decorationList');
-    decorationList.innerHTML = '';
+// Read the enclosureAnimals section back: every enclosure record gets its list of animal refs
+function decodeEnclosureAnimals(fields, enclosures) {
+    enclosures.forEach(enclosure => {
+        enclosure.animals = [enclosure.animal];
+    });
     
-    DECORATIONS.forEach(decoration => {
-        const decorationCount = state.placedDecorations.filter(d => d.id.startsWith(decoration.id + '-')).length;
-        
-        const div = document.createElement('div');
-        div.className = 'building-item'; // Reuse building-item styling
-        div.dataset.buildingId = decoration.id; // Use same data attribute for drag handling
-        div.draggable = true;
-        div.addEventListener('dragstart', handlePaletteDragStart);
-        div.addEventListener('dragend', handlePaletteDragEnd);
-        
-        // Build the HTML
-        let html = `
-            <span class="building-emoji">${decoration.emoji}</span>
-            <div class="building-info">
-                <div class="building-name">${decoration.name}${decorationCount > 0 ? ` (${decorationCount})` : ''}</div>
-                <span class="building-size">${decoration.width}×${decoration.height} squares</span>
-            </div>
-        `;
-        
-        // Add delete button if any are placed
-        if (decorationCount > 0) {
-            html += '<button class="delete-building-btn" title="Delete all">🗑️</button>';
-        }
-        
-        div.innerHTML = html;
-        
-        // Delete button handler
-        const deleteBtn = div.querySelector('.delete-building-btn');
-        if (deleteBtn) {
-            deleteBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                deleteAllDecorationType(decoration.id);
-            });
+    let i = 0;
+    while (i < fields.length) {
+        const enclosure = enclosures[fields[i]];
+        const count = fields[i + 1];
+        const refs = fields.slice(i + 2, i + 2 + count);
+        if (!enclosure || count === undefined || refs.length !== count) {
+            throw new Error('The enclosure animals section is damaged');
         }
-        
-        decorationList.appendChild(div);
-    });
-}
-
-// Populate the animal list
-function setupAnimalList() {
-    renderAnimalList();
+        enclosure.animals.push(...refs);
+        i += 2 + count;
+    }
 }
 
-// Render the animal list with current state
-function renderAnimalList() {
-    const animalList = document.getElementById('animalList');
-    animalList.innerHTML = '';
-    
-    // Check which animals are already used
-    const usedAnimals = new Set(state.enclosures.map(e => e.animal));
-    
-    ANIMALS.forEach((animal, index) => {
-        const isUsed = usedAnimals.has(animal.id);
-        
-        const card = document.createElement('div');
-        card.className = 'animal-card';
-        card.dataset.animalId = animal.id;
-        
-        if (isUsed) {
-            card.classList.add('used');
-        }
-        
-        card.innerHTML = `
-            <span class="emoji">${animal.emoji}</span>
-            <div class="animal-info">
-                <strong>${animal.name}</strong>
-                <small>Min Perimeter: ${animal.minPerimeter}</small>
-                <small>Min Area: ${animal.minArea}</small>
-            </div>
-            ${isUsed ? '<button class="delete-animal-btn" title="Delete this enclosure">🗑️</button>' : ''}
-        `;
-        
-        // Click to select (only if not used)
-        if (!isUsed) {
-            card.addEventListener('click', () => selectAnimal(animal.id));
-        }
-        
-        // Delete button handler
-        if (isUsed) {
-            const deleteBtn = card.querySelector('.delete-animal-btn');
-            deleteBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                deleteEnclosureByAnimal(animal.id);
-            });
+// Read the enclosureTerrain section back: enclosure records get a { "dx,dy": terrainId } map
+function decodeEnclosureTerrain(fields, enclosures) {
+    let i = 0;
+    while (i < fields.length) {
+        const enclosure = enclosures[fields[i]];
+        const count = fields[i + 1];
+        const squares = fields.slice(i + 2, i + 2 + 2 * count);
+        if (!enclosure || count === undefined || squares.length !== 2 * count) {
+            throw new Error('The enclosure terrain section is damaged');
         }
         
-        animalList.appendChild(card);
-        
-        // Select first available animal by default
-        if (index === 0 && !state.selectedAnimal) {
-            selectAnimal(animal.id);
-        }
-    });
-    
-    // If currently selected animal is now used, select first available
-    if (usedAnimals.has(state.selectedAnimal)) {
-        const firstAvailable = ANIMALS.find(a => !usedAnimals.has(a.id));
-        if (firstAvailable) {
-            selectAnimal(firstAvailable.id);
-        } else {
-            state.selectedAnimal = null;
+        enclosure.terrain = {};
+        for (let s = 0; s < squares.length; s += 2) {
+            const type = TERRAIN_TYPES[squares[s + 1]];
+            if (squares[s] >= enclosure.w * enclosure.h || !type) {
+                throw new Error('The enclosure terrain section is damaged');
+            }
+            enclosure.terrain[`${squares[s] % enclosure.w},${Math.floor(squares[s] / enclosure.w)}`] = type.id;
         }
+        i += 2 + 2 * count;
     }
 }
 
-// Select an animal for drawing
-function selectAnimal(animalId) {
-    // Don't select if already used
-    const usedAnimals = new Set(state.enclosures.map(e => e.animal));
-    if (usedAnimals.has(animalId)) {
-        return;
-    }
-    
-    state.selectedAnimal = animalId;
-    
-    // Update visual state
-    document.querySelectorAll('.animal-card').forEach(card => {
-        if (card.dataset.animalId === animalId) {
-            card.classList.add('selected');
-        } else {
-            card.classList.remove('selected');
+// Read a *Rotations section back: building or decoration records get their turn in degrees
+function decodeRotations(fields, items, sectionName) {
+    items.forEach(item => {
+        item.rotation = 0;
+    });
+    toRecords(fields, ['item', 'turns'], sectionName).forEach(({ item, turns }) => {
+        if (!items[item] || turns < 1 || turns > 3) {
+            throw new Error(`The ${sectionName} section is damaged`);
         }
+        items[item].rotation = turns * ROTATION_STEP;
     });
 }
 
-// Setup tool button handlers
-function setupToolButtons() {
-    document.getElementById('startOver').addEventListener('click', startOver);
+// Turn a catalog reference from a share code into a catalog id
+function resolveCatalogRef(ref, lookup, sectionName) {
+    const id = lookup[ref];
+    if (id === undefined) {
+        throw new Error(`The ${sectionName} section refers to a catalog entry that isn't in the link`);
+    }
+    return id;
 }
 
-// Setup event listeners for the grid
-function setupEventListeners() {
-    const svg = document.getElementById('zooGrid');
-    
-    // Drop handler for buildings from palette
-    svg.addEventListener('dragover', handleGridDragOver);
-    svg.addEventListener('dragleave', handleGridDragLeave);
-    svg.addEventListener('drop', handleGridDrop);
-    
-    // Mouse handlers for drawing enclosures and moving items
-    svg.addEventListener('mousedown', handleGridMouseDown);
-    svg.addEventListener('mousemove', handleGridMouseMove);
-    
-    // Listen for mouseup at document level to catch events outside the SVG
-    document.addEventListener('mouseup', handleGridMouseUp);
-    
-    // Also handle when mouse leaves the SVG while dragging
-    svg.addEventListener('mouseleave', handleGridMouseLeave);
+// Split a flat list of numbers into records with named fields
+function toRecords(fields, names, sectionName) {
+    if (fields.length % names.length !== 0) {
+        throw new Error(`The ${sectionName} section is incomplete`);
+    }
     
-    // Touch support
-    svg.addEventListener('touchstart', handleGridTouchStart, { passive: false });
-    svg.addEventListener('touchmove', handleGridTouchMove, { passive: false });
-    svg.addEventListener('touchend', handleGridTouchEnd, { passive: false });
+    const records = [];
+    for (let i = 0; i < fields.length; i += names.length) {
+        const record = {};
+        names.forEach((name, j) => {
+            record[name] = fields[i + j];
+        });
+        records.push(record);
+    }
+    return records;
 }
 
-// Drag from palette
-function handlePaletteDragStart(e) {
-    const buildingId = e.target.closest('.building-item').dataset.buildingId;
-    e.dataTransfer.effectAllowed = 'copy';
-    e.dataTransfer.setData('buildingId', buildingId);
-    
-    // Store the building or decoration being dragged
-    let item = BUILDINGS.find(b => b.id === buildingId);
-    if (!item) {
-        item = DECORATIONS.find(d => d.id === buildingId);
+// Decode a version 2 or 3 share code
+function decodeShareCode(compact) {
+    const { version, sections } = unpackSections(compact);
+    if (version !== 2 && version !== 3) {
+        throw new Error(`Share code version ${version} is newer than this Zoo Planner`);
     }
-    state.draggingBuilding = item;
     
-    // Make the drag image mostly transparent
-    const dragItem = e.target.closest('.building-item');
-    dragItem.classList.add('dragging');
+    // Version 3 refers to its own list of catalog ids, version 2 to old catalog positions
+    const catalogIds = version === 3 ? decodeCatalogIds(sections[SHARE_SECTIONS.catalogIds] || []) : null;
+    const lookup = (kind) => catalogIds || LEGACY_CATALOG_ORDER[kind];
+    
+    const gridFields = sections[SHARE_SECTIONS.grid];
+    const buildings = toRecords(sections[SHARE_SECTIONS.buildings] || [], ['type', 'x', 'y'], 'buildings');
+    const decorations = toRecords(sections[SHARE_SECTIONS.decorations] || [], ['type', 'x', 'y'], 'decorations');
+    decodeRotations(sections[SHARE_SECTIONS.buildingRotations] || [], buildings, 'building rotations');
+    decodeRotations(sections[SHARE_SECTIONS.decorationRotations] || [], decorations, 'decoration rotations');
+    const enclosures = toRecords(sections[SHARE_SECTIONS.enclosures] || [], ['animal', 'x', 'y', 'w', 'h'], 'enclosures');
+    decodeEnclosureShapes(sections[SHARE_SECTIONS.enclosureShapes] || [], enclosures);
+    decodeEnclosureAnimals(sections[SHARE_SECTIONS.enclosureAnimals] || [], enclosures);
+    decodeEnclosureTerrain(sections[SHARE_SECTIONS.enclosureTerrain] || [], enclosures);
+    
+    // Head counts line up with each enclosure's animals
+    enclosures.forEach(e => {
+        e.counts = e.animals.map(() => 1);
+    });
+    toRecords(sections[SHARE_SECTIONS.enclosureCounts] || [], ['enclosure', 'animal', 'count'], 'enclosure counts').forEach(c => {
+        const enclosure = enclosures[c.enclosure];
+        if (!enclosure || c.animal >= enclosure.animals.length) {
+            throw new Error('The enclosure counts section refers to an animal that isn\'t in the link');
+        }
+        enclosure.counts[c.animal] = c.count;
+    });
     
-    // Create a mostly invisible drag image
-    const img = new Image();
-    img.src = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
-    e.dataTransfer.setDragImage(img, 0, 0);
+    const budgetFields = sections[SHARE_SECTIONS.budget];
+    const customIds = catalogIds || [];
+    const customAnimals = decodeCatalogEntries('animals', sections[SHARE_SECTIONS.customAnimals] || [], customIds);
+    decodeCatalogHabitats(sections[SHARE_SECTIONS.customAnimalHabitats] || [], customAnimals, 'custom animal habitats');
+    
+    return {
+        grid: gridFields ? { width: gridFields[0], height: gridFields[1] } : null,
+        budget: budgetFields ? budgetFields[0] : null,
+        paths: decodePaths(sections[SHARE_SECTIONS.paths] || []),
+        catalog: {
+            animals: customAnimals,
+            buildings: decodeCatalogEntries('buildings', sections[SHARE_SECTIONS.customBuildings] || [], customIds),
+            decorations: decodeCatalogEntries('decorations', sections[SHARE_SECTIONS.customDecorations] || [], customIds),
+        },
+        buildings: buildings.map(b => ({ ...b, typeId: resolveCatalogRef(b.type, lookup('buildings'), 'buildings') })),
+        decorations: decorations.map(d => ({ ...d, typeId: resolveCatalogRef(d.type, lookup('decorations'), 'decorations') })),
+        enclosures: enclosures.map(e => ({
+            ...e,
+            animalIds: e.animals.map(ref => resolveCatalogRef(ref, lookup('animals'), 'enclosures')),
+        })),
+    };
 }
 
-// Clean up when drag ends
-function handlePaletteDragEnd(e) {
-    removeBuildingPreview();
-    state.draggingBuilding = null;
-    
-    const dragItem = e.target.closest('.building-item');
-    if (dragItem) {
-        dragItem.classList.remove('dragging');
+// Decode a version 1 (v0.2) share code: one base36 character per value
+function decodeShareCodeV1(compact) {
+    const parts = compact.split('.');
+    if (parts.length > 3) {
+        throw new Error('Too many sections');
     }
+    
+    // Trailing sections may have been stripped, so pad with empty strings
+    const [buildingStr = '', decorationStr = '', enclosureStr = ''] = parts;
+    const toValues = str => Array.from(str, char => parseInt(char, 36));
+    
+    const buildings = toRecords(toValues(buildingStr), ['type', 'x', 'y'], 'buildings');
+    const decorations = toRecords(toValues(decorationStr), ['type', 'x', 'y'], 'decorations');
+    const enclosures = toRecords(toValues(enclosureStr), ['animal', 'x', 'y', 'w', 'h'], 'enclosures');
+    
+    return {
+        grid: null,
+        budget: null,
+        paths: [],
+        catalog: emptyCustomCatalog(),
+        buildings: buildings.map(b => ({ ...b, typeId: resolveCatalogRef(b.type, LEGACY_CATALOG_ORDER.buildings, 'buildings') })),
+        decorations: decorations.map(d => ({ ...d, typeId: resolveCatalogRef(d.type, LEGACY_CATALOG_ORDER.decorations, 'decorations') })),
+        enclosures: enclosures.map(e => ({ ...e, animalIds: [resolveCatalogRef(e.animal, LEGACY_CATALOG_ORDER.animals, 'enclosures')] })),
+    };
 }
 
-// Show preview when dragging over grid
-function handleGridDragOver(e) {
-    e.preventDefault();
-    
-    if (!state.draggingBuilding) return;
-    
-    const svg = document.getElementById('zooGrid');
-    const rect = svg.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    
-    // Snap to grid
-    const gridX = Math.floor(x / CELL_SIZE);
-    const gridY = Math.floor(y / CELL_SIZE);
+// Make sure decoded data is something this zoo can hold
+function validateZooData(data) {
+    if (data.grid) {
+        if (!parseGridSize(`${data.grid.width}x${data.grid.height}`)) {
+            throw new Error(`Grid size ${data.grid.width} × ${data.grid.height} is out of range`);
+        }
+    }
+    if (data.budget !== null && (data.budget < 1 || data.budget > MAX_BUDGET)) {
+        throw new Error(`Budget ${data.budget} is out of range`);
+    }
+    const grid = data.grid || { width: DEFAULT_GRID_SIZE, height: DEFAULT_GRID_SIZE };
+    data.paths.forEach(key => {
+        const [x, y] = key.split(',').map(Number);
+        if (x >= grid.width || y >= grid.height) throw new Error('Path outside the grid');
+    });
     
-    renderBuildingPreview(state.draggingBuilding, gridX, gridY);
+    data.enclosures.forEach(e => {
+        if (e.w < 1 || e.h < 1) throw new Error('Enclosure with no size');
+        if (e.shape && !e.shape.some(row => row.includes('#'))) throw new Error('Enclosure shape with no squares');
+        if (e.counts && e.counts.some(count => count < 1 || count > MAX_HEAD_COUNT)) throw new Error('Head count out of range');
+    });
 }
 
-// Remove preview when leaving grid
-function handleGridDragLeave(e) {
-    // Only remove if we're actually leaving the SVG
-    if (e.target.id === 'zooGrid') {
-        removeBuildingPreview();
+// Catalog ids in decoded data that the current catalogs no longer have
+function findMissingCatalogItems(data) {
+    const missing = new Set();
+    data.buildings.forEach(b => {
+        if (!BUILDINGS.some(building => building.id === b.typeId)) missing.add(b.typeId);
+    });
+    data.decorations.forEach(d => {
+        if (!DECORATIONS.some(decoration => decoration.id === d.typeId)) missing.add(d.typeId);
+    });
+    data.enclosures.forEach(e => {
+        e.animalIds.forEach(id => {
+            if (!ANIMALS.some(animal => animal.id === id)) missing.add(id);
+        });
+    });
+    return Array.from(missing);
+}
+
+// Decode zoo state from URL parameters (returns null if the code is broken)
+function decodeZooState(compact) {
+    try {
+        // v0.2 codes only ever use lowercase base36 and dots
+        const data = /^[0-9a-z.]*$/.test(compact) ? decodeShareCodeV1(compact) : decodeShareCode(compact);
+        validateZooData(data);
+        return data;
+    } catch (e) {
+        console.error('Error decoding zoo state:', e);
+        return null;
     }
 }
 
-// Render building preview
-function renderBuildingPreview(building, gridX, gridY) {
-    let preview = document.getElementById('buildingPreview');
+// Build the URL for the current zoo
+function buildZooURL() {
+    const url = new URL(window.location.href);
     
-    if (!preview) {
-        preview = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        preview.id = 'buildingPreview';
-        preview.classList.add('building-preview');
-        document.getElementById('buildings').appendChild(preview);
+    // Clear existing params
+    url.search = '';
+    
+    // Zoo name first
+    if (state.zooName) {
+        url.searchParams.set('n', state.zooName);
     }
     
-    const x = gridX * CELL_SIZE;
-    const y = gridY * CELL_SIZE;
-    const width = building.width * CELL_SIZE;
-    const height = building.height * CELL_SIZE;
+    // The assignment this zoo is for
+    if (state.assignmentCode) {
+        url.searchParams.set('a', state.assignmentCode);
+    }
     
-    // Check if it fits within grid and doesn't overlap
-    const fitsInGrid = gridX + building.width <= GRID_SIZE && gridY + building.height <= GRID_SIZE;
-    const hasOverlap = checkOverlap(gridX, gridY, building.width, building.height);
-    const canPlace = fitsInGrid && !hasOverlap;
+    // Then zoo data (grid size included)
+    const encoded = encodeZooState();
+    if (encoded) { // Only add if there's actual data
+        url.searchParams.set('z', encoded);
+    }
     
-    preview.setAttribute('x', x);
-    preview.setAttribute('y', y);
-    preview.setAttribute('width', width);
-    preview.setAttribute('height', height);
-    preview.setAttribute('fill', building.color);
-    preview.setAttribute('opacity', canPlace ? '0.5' : '0.3');
-    preview.setAttribute('stroke', canPlace ? '#4caf50' : '#f5576c');
-    preview.setAttribute('stroke-width', '3');
-    preview.setAttribute('stroke-dasharray', '5,5');
-    preview.setAttribute('rx', '5');
+    return url;
 }
 
-// Remove building preview
-function removeBuildingPreview() {
-    const preview = document.getElementById('buildingPreview');
-    if (preview) preview.remove();
+// Update URL with current state
+function updateURL() {
+    window.history.replaceState({}, '', buildZooURL());
+    scheduleAutosave();
 }
 
-// Drop building on grid
-function handleGridDrop(e) {
-    e.preventDefault();
-    
-    // Remove preview
-    removeBuildingPreview();
-    
-    const itemId = e.dataTransfer.getData('buildingId');
-    if (!itemId) return;
-    
-    // Check if it's a building or decoration
-    let item = BUILDINGS.find(b => b.id === itemId);
-    let isDecoration = false;
-    
-    if (!item) {
-        item = DECORATIONS.find(d => d.id === itemId);
-        isDecoration = true;
+// Parse a grid size like "40x25" (returns null if invalid)
+function parseGridSize(str) {
+    const match = /^(\d+)x(\d+)$/.exec(str || '');
+    if (!match) return null;
+    
+    const width = parseInt(match[1], 10);
+    const height = parseInt(match[2], 10);
+    if (width < MIN_GRID_SIZE || width > MAX_GRID_SIZE || height < MIN_GRID_SIZE || height > MAX_GRID_SIZE) {
+        return null;
     }
     
-    if (!item) return;
-    
-    // Check if this building type is already placed (except restrooms and decorations which can have multiples)
-    if (!isDecoration) {
-        const isRestroom = item.id === 'restroom';
-        const alreadyPlaced = state.placedBuildings.some(b => b.id.includes(item.id));
-        if (!isRestroom && alreadyPlaced) {
-            state.draggingBuilding = null;
-            return;
-        }
+    return { width, height };
+}
+
+// Load zoo from URL if present
+function loadFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('a')) {
+        loadAssignment(params.get('a'));
     }
     
-    const svg = document.getElementById('zooGrid');
-    const rect = svg.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    
-    // Snap to grid
-    const gridX = Math.floor(x / CELL_SIZE);
-    const gridY = Math.floor(y / CELL_SIZE);
-    
-    // Check if it fits and doesn't overlap
-    const fitsInGrid = gridX + item.width <= GRID_SIZE && gridY + item.height <= GRID_SIZE;
-    const hasOverlap = checkOverlap(gridX, gridY, item.width, item.height);
-    
-    if (fitsInGrid && !hasOverlap) {
-        if (isDecoration) {
-            addDecoration(item, gridX, gridY);
-        } else {
-            addBuilding(item, gridX, gridY);
+    const loaded = loadZoo(params.get('n'), params.get('z'));
+    if (state.assignment) {
+        // A submitted result - the teacher sees it graded as handed in, without putting back missing locked items
+        const isResult = params.has('t');
+        applyAssignmentLocks(!isResult);
+        if (isResult) {
+            showSubmittedResult(params);
         }
     }
-    
-    // Clear dragging state
-    state.draggingBuilding = null;
+    return loaded;
 }
 
-// Add a building to the grid
-function addBuilding(buildingDef, gridX, gridY, skipURLUpdate = false) {
-    const id = `${buildingDef.id}-${state.nextBuildingId++}`;
-    const building = {
-        ...buildingDef,
-        id,  // Put id AFTER spread so it doesn't get overwritten
-        gridX,
-        gridY,
-    };
+// Load a zoo from its name and share code onto the empty grid
+function loadZoo(zooName, encoded) {
+    // Set zoo name
+    if (zooName) {
+        setZooName(zooName);
+    }
     
-    state.placedBuildings.push(building);
-    renderBuilding(building);
+    if (!encoded) return false;
     
-    // Update building list to show this building as used
-    renderBuildingList();
+    // Decode and check everything before placing anything, so a broken link never half-loads
+    const data = decodeZooState(encoded);
+    if (!data) {
+        showMessageDialog(
+            'This zoo link is broken or incomplete, so it can\'t be opened. It may have been cut off when it was copied - ask for the link again!',
+            '🔗',
+            'Broken Zoo Link'
+        );
+        return false;
+    }
     
-    // Update URL (unless we're loading from URL)
-    if (!skipURLUpdate) {
-        updateURL();
+    // Custom entries the zoo brought along are added; items removed from the catalogs since the link was made are left out
+    addZooCatalogEntries(data.catalog);
+    const missing = findMissingCatalogItems(data);
+    if (missing.length > 0) {
+        showMessageDialog(
+            `Some things in this zoo aren't in Zoo Planner anymore, so they were left out: ${missing.join(', ')}`,
+            '🔍',
+            'Missing Items'
+        );
     }
-}
-
-// Add a decoration to the grid
-function addDecoration(decorationDef, gridX, gridY, skipURLUpdate = false) {
-    const id = `${decorationDef.id}-${state.nextDecorationId++}`;
-    const decoration = {
-        ...decorationDef,
-        id,  // Put id AFTER spread so it doesn't get overwritten
-        gridX,
-        gridY,
-    };
     
-    state.placedDecorations.push(decoration);
-    renderBuilding(decoration); // Reuse renderBuilding since decorations look the same
+    // Set grid size before placing anything so fit checks use it
+    if (data.grid) {
+        setGridSize(data.grid.width, data.grid.height);
+    }
+    if (data.budget) {
+        setBudget(data.budget);
+    }
     
-    // Update decoration list to show count
-    renderDecorationList();
+    // Place buildings (skip URL updates during loading)
+    if (data.buildings && data.buildings.length > 0) {
+        data.buildings.forEach(bData => {
+            const buildingDef = BUILDINGS.find(b => b.id === bData.typeId);
+            if (buildingDef) {
+                addBuilding(buildingDef, bData.x, bData.y, true, bData.rotation || 0);
+            }
+        });
+    }
     
-    // Update URL (unless we're loading from URL)
-    if (!skipURLUpdate) {
-        updateURL();
+    // Place decorations (skip URL updates during loading)
+    if (data.decorations && data.decorations.length > 0) {
+        data.decorations.forEach(dData => {
+            const decorationDef = DECORATIONS.find(d => d.id === dData.typeId);
+            if (decorationDef) {
+                addDecoration(decorationDef, dData.x, dData.y, true, dData.rotation || 0);
+            }
+        });
     }
-}
-
-// Render a building on the SVG
-function renderBuilding(building) {
-    // Remove existing if re-rendering
-    const existing = document.getElementById(building.id);
-    if (existing) existing.remove();
     
-    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    group.id = building.id;
-    group.classList.add('building');
-    group.dataset.buildingId = building.id;
+    // Create enclosures
+    if (data.enclosures && data.enclosures.length > 0) {
+        data.enclosures.forEach(eData => {
+            // An animal listed twice in one enclosure only lives there once
+            const animals = Array.from(new Set(eData.animalIds)).filter(animalId => ANIMALS.some(a => a.id === animalId));
+            if (animals.length === 0) return;
+            const counts = {};
+            (eData.counts || []).forEach((count, i) => {
+                if (count > 1 && animals.includes(eData.animalIds[i])) counts[eData.animalIds[i]] = count;
+            });
+            const id = `enclosure-${state.nextEnclosureId++}`;
+            
+            const enclosure = {
+                id,
+                gridX: eData.x,
+                gridY: eData.y,
+                width: eData.w,
+                height: eData.h,
+                animals
+            };
+            if (eData.shape) {
+                enclosure.shape = eData.shape;
+            }
+            if (Object.keys(counts).length > 0) {
+                enclosure.counts = counts;
+            }
+            if (eData.terrain) {
+                enclosure.terrain = eData.terrain;
+            }
+            state.enclosures.push(enclosure);
+            renderEnclosure(enclosure);
+        });
+    }
     
-    const x = building.gridX * CELL_SIZE;
-    const y = building.gridY * CELL_SIZE;
-    const width = building.width * CELL_SIZE;
-    const height = building.height * CELL_SIZE;
+    // Lay the paths
+    data.paths.forEach(key => state.paths.add(key));
+    renderPaths();
     
-    // Check if position is valid
-    const fitsInGrid = building.gridX >= 0 && building.gridY >= 0 &&
-                       building.gridX + building.width <= GRID_SIZE &&
-                       building.gridY + building.height <= GRID_SIZE;
-    const hasOverlap = checkOverlap(building.gridX, building.gridY, building.width, building.height, building.id);
-    const isValid = fitsInGrid && !hasOverlap;
+    // Update UI
+    renderAnimalList();
+    updateSummaryTable();
     
-    // Building rectangle
+    // Now that everything is loaded, update the URL once
+    updateURL();
+    
+    return true;
+}
+
+// Setup zoo name input
+function setupZooName() {
+    const zooNameInput = document.getElementById('zooName');
+    
+    // Select all text when focused
+    zooNameInput.addEventListener('focus', () => {
+        zooNameInput.select();
+    });
+    
+    // Update document title when name changes
+    zooNameInput.addEventListener('input', () => {
+        const name = zooNameInput.value.trim();
+        if (name) {
+            document.title = `${name} - Zoo Planner`;
+        } else {
+            document.title = 'Zoo Planner - Design Your Zoo!';
+        }
+    });
+    
+    // Save to state and update URL when changed
+    zooNameInput.addEventListener('change', () => {
+        state.zooName = zooNameInput.value.trim();
+        updateURL();
+    });
+}
+
+// Setup share button
+function setupShareButton() {
+    const shareBtn = document.getElementById('shareBtn');
+    
+    shareBtn.addEventListener('click', async () => {
+        const shareUrl = buildZooURL().toString();
+        
+        try {
+            await navigator.clipboard.writeText(shareUrl);
+            
+            // Visual feedback
+            shareBtn.textContent = '✓ Copied!';
+            shareBtn.classList.add('copied');
+            
+            setTimeout(() => {
+                shareBtn.textContent = '🔗 Share Zoo';
+                shareBtn.classList.remove('copied');
+            }, 2000);
+        } catch (err) {
+            // Fallback for older browsers
+            const input = document.createElement('input');
+            input.value = shareUrl;
+            document.body.appendChild(input);
+            input.select();
+            document.execCommand('copy');
+            document.body.removeChild(input);
+            
+            shareBtn.textContent = '✓ Copied!';
+            shareBtn.classList.add('copied');
+            
+            setTimeout(() => {
+                shareBtn.textContent = '🔗 Share Zoo';
+                shareBtn.classList.remove('copied');
+            }, 2000);
+        }
+    });
+}
+
+// Local library of saved zoos (browser localStorage)
+const LIBRARY_KEY = 'zooPlanner.zoos';
+const CURRENT_ZOO_KEY = 'zooPlanner.currentZoo';
+const AUTOSAVE_DELAY = 1000; // ms to wait after the last change before saving
+
+let autosaveTimer = null;
+let libraryWarningShown = false;
+let libraryError = null; // Name of the error the last library save met, null if it worked
+
+// Read all saved zoos, newest first
+function loadLibrary() {
+    try {
+        const zoos = JSON.parse(localStorage.getItem(LIBRARY_KEY));
+        return Array.isArray(zoos) ? zoos : [];
+    } catch (error) {
+        console.error('Error reading saved zoos:', error);
+        return [];
+    }
+}
+
+// Storage full, as each browser reports it
+function isQuotaError(error) {
+    return error && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014
+    );
+}
+
+// Write all saved zoos (returns false if storage is full or unavailable - libraryError says which)
+function saveLibrary(zoos) {
+    libraryError = null;
+    try {
+        localStorage.setItem(LIBRARY_KEY, JSON.stringify(zoos));
+        return true;
+    } catch (error) {
+        if (!isQuotaError(error)) {
+            console.error('Error saving zoos:', error);
+            libraryError = error.name || 'Error';
+            return false;
+        }
+    }
+    
+    // Storage is full - thumbnails take most of the room, so drop them oldest first
+    // (the zoos themselves are kept; a thumbnail comes back next time that zoo is saved)
+    const withThumbnails = zoos
+        .filter(zoo => zoo.thumbnail)
+        .sort((a, b) => (a.updatedAt || 0) - (b.updatedAt || 0));
+    
+    for (const zoo of withThumbnails) {
+        delete zoo.thumbnail;
+        try {
+            localStorage.setItem(LIBRARY_KEY, JSON.stringify(zoos));
+            return true;
+        } catch (error) {
+            if (!isQuotaError(error)) {
+                console.error('Error saving zoos:', error);
+                libraryError = error.name || 'Error';
+                return false;
+            }
+        }
+    }
+    
+    console.error('Error saving zoos: storage is full');
+    libraryError = 'QuotaExceededError';
+    return false;
+}
+
+// Why the library couldn't be saved, from the name of the error saveLibrary met
+function describeLibraryError(errorName) {
+    if (errorName === 'QuotaExceededError') {
+        return 'this browser\'s storage for the Zoo Planner is full. Delete some zoos from 📚 My Zoos';
+    }
+    if (errorName === 'SecurityError') {
+        return 'this browser has storage turned off (a private window or a privacy setting can do that)';
+    }
+    return 'this browser wouldn\'t let the Zoo Planner save anything';
+}
+
+// Let the student know their zoo isn't being kept (once, until saving works again)
+function warnLibraryNotSaved(errorName) {
+    if (libraryWarningShown) return;
+    libraryWarningShown = true;
+    
+    showMessageDialog(
+        `Your zoo could not be saved because ${describeLibraryError(errorName)}. ` +
+        'Use 🔗 Share Zoo or 💾 Download to keep a copy of this one.',
+        '⚠️',
+        'Zoo Not Saved'
+    );
+}
+
+// Remember which zoo is open so it comes back next time
+function setCurrentLibraryId(id) {
+    state.libraryId = id;
+    try {
+        if (id) {
+            localStorage.setItem(CURRENT_ZOO_KEY, id);
+        } else {
+            localStorage.removeItem(CURRENT_ZOO_KEY);
+        }
+    } catch (error) {
+        console.error('Error saving current zoo:', error);
+    }
+}
+
+// Save a little while after the last change, so drags don't save on every step
+function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(autosaveZoo, AUTOSAVE_DELAY);
+}
+
+// Save the current zoo into the library
+function autosaveZoo() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    
+    const code = encodeZooState();
+    
+    // Don't fill the library with empty zoos
+    if (!state.libraryId && !code && !state.zooName) return;
+    
+    const zoos = loadLibrary();
+    let entry = zoos.find(zoo => zoo.id === state.libraryId);
+    if (!entry) {
+        entry = { id: `zoo-${Date.now().toString(36)}`, createdAt: Date.now() };
+        zoos.unshift(entry);
+    }
+    
+    entry.name = state.zooName;
+    entry.code = code;
+    entry.assignment = state.assignmentCode || undefined;
+    entry.updatedAt = Date.now();
+    entry.thumbnail = createZooThumbnail();
+    
+    if (saveLibrary(zoos)) {
+        libraryWarningShown = false;
+        setCurrentLibraryId(entry.id);
+    } else {
+        warnLibraryNotSaved(libraryError);
+    }
+}
+
+// If the zoo just loaded from a link is already in the library, keep saving into that entry
+function linkToLibrary() {
+    const code = encodeZooState();
+    const match = loadLibrary().find(zoo => zoo.code === code && (zoo.name || '') === state.zooName);
+    if (match) {
+        setCurrentLibraryId(match.id);
+    }
+}
+
+// Reopen the zoo that was open last time (returns true if one was loaded)
+function resumeLastZoo() {
+    let currentId = null;
+    try {
+        currentId = localStorage.getItem(CURRENT_ZOO_KEY);
+    } catch (error) {
+        console.error('Error reading current zoo:', error);
+    }
+    
+    const entry = loadLibrary().find(zoo => zoo.id === currentId);
+    if (!entry) return false;
+    
+    return openSavedZoo(entry);
+}
+
+// Small picture of the zoo for the library, drawn from the zooGrid SVG
+function createZooThumbnail() {
+    // Grid lines would only add clutter (and size)
+    const svg = createStandaloneSvg({ gridLines: false });
+    const width = Number(svg.getAttribute('width'));
+    const height = Number(svg.getAttribute('height'));
+    
+    svg.setAttribute('width', 160);
+    svg.setAttribute('height', Math.round(160 * height / width));
+    
+    return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(new XMLSerializer().serializeToString(svg));
+}
+
+// Empty the grid for a different zoo (not undoable - the history belongs to the old zoo)
+function clearZoo() {
+    state.placedBuildings = [];
+    state.placedDecorations = [];
+    state.enclosures = [];
+    state.paths = new Set();
+    state.nextEnclosureId = 1;
+    state.nextBuildingId = 1;
+    state.nextDecorationId = 1;
+    state.selectedAnimal = null;
+    stopPlacing();
+    state.keyboardSelection = null;
+    state.selection = [];
+    state.assignment = null;
+    state.assignmentCode = null;
+    setZooName('');
+    setGridSize(DEFAULT_GRID_SIZE, DEFAULT_GRID_SIZE);
+    setBudget(DEFAULT_BUDGET);
+    
+    editHistory.undoStack = [];
+    editHistory.redoStack = [];
+    refreshAfterEdit();
+}
+
+// Open a zoo from the library in place of the current one
+function openSavedZoo(entry) {
+    // Save any pending changes to the zoo we're leaving
+    if (autosaveTimer) autosaveZoo();
+    
+    clearZoo();
+    if (entry.assignment) {
+        loadAssignment(entry.assignment);
+    }
+    const loaded = loadZoo(entry.name, entry.code);
+    if (state.assignment) {
+        applyAssignmentLocks();
+    }
+    setCurrentLibraryId(entry.id);
+    updateURL();
+    
+    // Just opened, nothing changed - no need to save it again
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    return loaded;
+}
+
+// Start a brand new zoo, keeping the current one in the library
+function startNewZoo() {
+    if (autosaveTimer) autosaveZoo();
+    
+    clearZoo();
+    setCurrentLibraryId(null);
+    updateURL();
+}
+
+// Setup the "My Zoos" button and save before the page closes
+function setupLibrary() {
+    document.getElementById('libraryBtn').addEventListener('click', showLibraryPanel);
+    
+    window.addEventListener('beforeunload', () => {
+        if (autosaveTimer) autosaveZoo();
+    });
+}
+
+// Show the "My Zoos" library panel
+function showLibraryPanel() {
+    // Make sure the current zoo shows up to date
+    if (autosaveTimer) autosaveZoo();
+    
+    const modal = document.createElement('div');
+    modal.className = 'confirm-modal library-modal';
+    modal.innerHTML = `
+        <div class="library-content">
+            <div class="library-header">
+                <h3>📚 My Zoos</h3>
+                <button class="library-new-btn">➕ New Zoo</button>
+                <button class="math-practice-close library-close">✕</button>
+            </div>
+            <p class="library-hint">Your zoos are saved automatically in this browser.</p>
+            <div class="library-list" id="libraryList"></div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const closePanel = () => modal.remove();
+    
+    modal.querySelector('.library-close').addEventListener('click', closePanel);
+    modal.querySelector('.library-new-btn').addEventListener('click', () => {
+        startNewZoo();
+        closePanel();
+    });
+    
+    // Click outside to close
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closePanel();
+        }
+    });
+    
+    renderLibraryList(modal, closePanel);
+}
+
+// Fill the library panel with a card per saved zoo
+function renderLibraryList(modal, closePanel) {
+    const list = modal.querySelector('#libraryList');
+    list.innerHTML = '';
+    
+    const zoos = loadLibrary();
+    if (zoos.length === 0) {
+        list.innerHTML = '<p class="library-empty">No saved zoos yet - start building and your zoo will appear here!</p>';
+        return;
+    }
+    
+    zoos.forEach(entry => {
+        const isOpen = entry.id === state.libraryId;
+        const card = document.createElement('div');
+        card.className = 'library-card';
+        if (isOpen) card.classList.add('current');
+        
+        card.innerHTML = `
+            <img class="library-thumbnail" alt="">
+            <div class="library-name"></div>
+            <small class="library-date">${new Date(entry.updatedAt).toLocaleString()}</small>
+            ${isOpen ? '<span class="library-badge">Open now</span>' : ''}
+            <div class="library-actions">
+                <button class="library-open" title="Open this zoo">Open</button>
+                <button class="library-rename" title="Rename">✏️</button>
+                <button class="library-duplicate" title="Make a copy">📄</button>
+                <button class="library-delete" title="Delete">🗑️</button>
+            </div>
+        `;
+        
+        // Names come from students and links, so never put them in as HTML
+        card.querySelector('.library-name').textContent = entry.name || 'Untitled Zoo';
+        if (entry.thumbnail) {
+            card.querySelector('.library-thumbnail').src = entry.thumbnail;
+        }
+        
+        card.querySelector('.library-open').addEventListener('click', () => {
+            openSavedZoo(entry);
+            closePanel();
+        });
+        
+        card.querySelector('.library-rename').addEventListener('click', () => {
+            showPromptDialog('What should this zoo be called?', entry.name || '', (newName) => {
+                const zoos = loadLibrary();
+                const saved = zoos.find(zoo => zoo.id === entry.id);
+                if (!saved) return;
+                saved.name = newName;
+                saveLibrary(zoos);
+                
+                if (entry.id === state.libraryId) {
+                    setZooName(newName);
+                    updateURL();
+                }
+                renderLibraryList(modal, closePanel);
+            }, '✏️', 'Rename Zoo');
+        });
+        
+        card.querySelector('.library-duplicate').addEventListener('click', () => {
+            const zoos = loadLibrary();
+            const index = zoos.findIndex(zoo => zoo.id === entry.id);
+            const copy = {
+                ...entry,
+                id: `zoo-${Date.now().toString(36)}`,
+                name: `${entry.name || 'Untitled Zoo'} (copy)`,
+                createdAt: Date.now(),
+                updatedAt: Date.now(),
+            };
+            zoos.splice(index + 1, 0, copy);
+            if (!saveLibrary(zoos)) {
+                showMessageDialog(`The zoo could not be copied because ${describeLibraryError(libraryError)}.`, '⚠️', 'Zoo Not Copied');
+                return;
+            }
+            renderLibraryList(modal, closePanel);
+        });
+        
+        card.querySelector('.library-delete').addEventListener('click', () => {
+            showConfirmDialog(`Delete "${escapeHTML(entry.name || 'Untitled Zoo')}" from My Zoos?`, () => {
+                saveLibrary(loadLibrary().filter(zoo => zoo.id !== entry.id));
+                
+                // The zoo stays on screen, but will be saved as a new entry if changed
+                if (entry.id === state.libraryId) {
+                    setCurrentLibraryId(null);
+                }
+                renderLibraryList(modal, closePanel);
+            }, '🗑️', 'Delete Zoo');
+        });
+        
+        list.appendChild(card);
+    });
+}
+
+// Zoo files (.json download and import)
+const ZOO_FILE_FORMAT = 'zoo-planner';
+const ZOO_FILE_VERSION = 2; // 2: enclosures list `animals` (version 1 had a single `animal`)
+
+// Build a readable JSON document describing the current zoo
+function createZooFile() {
+    const file = {
+        format: ZOO_FILE_FORMAT,
+        schemaVersion: ZOO_FILE_VERSION,
+        name: state.zooName,
+        grid: { width: state.gridWidth, height: state.gridHeight },
+        budget: state.budget,
+        buildings: state.placedBuildings.map(b => ({
+            id: b.id.split('-')[0],
+            x: b.gridX,
+            y: b.gridY,
+            ...(b.rotation ? { rotation: b.rotation } : {}),
+        })),
+        decorations: state.placedDecorations.map(d => ({
+            id: d.id.split('-')[0],
+            x: d.gridX,
+            y: d.gridY,
+            ...(d.rotation ? { rotation: d.rotation } : {}),
+        })),
+        enclosures: state.enclosures.map(e => {
+            const terrain = paintedTerrain(e);
+            return {
+                animals: e.animals,
+                x: e.gridX,
+                y: e.gridY,
+                width: e.width,
+                height: e.height,
+                ...(e.shape ? { shape: e.shape } : {}),
+                ...(e.counts ? { counts: e.counts } : {}),
+                ...(terrain ? { terrain } : {}),
+            };
+        }),
+        paths: Array.from(state.paths, key => key.split(',').map(Number)),
+    };
+    
+    // Custom catalog entries the zoo uses go along, so it opens anywhere
+    const catalog = zooCatalogEntries();
+    if (CATALOG_KINDS.some(kind => catalog[kind.id].length > 0)) {
+        file.catalog = catalog;
+    }
+    return file;
+}
+
+// Save a text file through the browser's download
+function downloadFile(filename, content, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// File name based on the zoo name, e.g. "My Amazing Zoo" -> "my-amazing-zoo"
+function zooFileBaseName() {
+    const slug = state.zooName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'my-zoo';
+}
+
+// Download the current zoo as a JSON file
+function downloadZoo() {
+    const json = JSON.stringify(createZooFile(), null, 2);
+    downloadFile(`${zooFileBaseName()}.zoo.json`, json, 'application/json');
+}
+
+// Check a zoo file against the current catalogs.
+// Returns { zoo, skipped } with only the items that can be placed, or throws if it isn't a zoo file.
+function validateZooFile(file) {
+    if (!file || typeof file !== 'object' || file.format !== ZOO_FILE_FORMAT) {
+        throw new Error('This file is not a Zoo Planner zoo.');
+    }
+    if (!Number.isInteger(file.schemaVersion) || file.schemaVersion > ZOO_FILE_VERSION) {
+        throw new Error('This zoo was made with a newer Zoo Planner.');
+    }
+    
+    const skipped = [];
+    
+    // Custom catalog entries come first, so the items below can use them
+    if (file.catalog !== undefined) {
+        const { catalog, problems } = cleanCustomCatalog(file.catalog);
+        skipped.push(...problems);
+        addZooCatalogEntries(catalog);
+    }
+    
+    const grid = file.grid ? parseGridSize(`${file.grid.width}x${file.grid.height}`) : null;
+    if (file.grid && !grid) {
+        skipped.push(`grid size ${file.grid.width} × ${file.grid.height} (using ${DEFAULT_GRID_SIZE} × ${DEFAULT_GRID_SIZE})`);
+    }
+    const width = grid ? grid.width : DEFAULT_GRID_SIZE;
+    const height = grid ? grid.height : DEFAULT_GRID_SIZE;
+    
+    // Items accepted so far, to catch overlaps inside the file
+    const placed = [];
+    const isGridNumber = value => Number.isInteger(value) && value >= 0;
+    
+    // Check one item's position and record it if it can go on the grid
+    const accept = (label, x, y, w, h, shape = null, role = null) => {
+        if (![x, y].every(isGridNumber) || ![w, h].every(value => Number.isInteger(value) && value > 0)) {
+            skipped.push(`${label} (bad position or size)`);
+            return false;
+        }
+        if (x + w > width || y + h > height) {
+            skipped.push(`${label} (doesn't fit on the grid)`);
+            return false;
+        }
+        const item = { gridX: x, gridY: y, width: w, height: h, shape, role };
+        if (placed.some(other => itemsClash(item, role, other, other.role))) {
+            skipped.push(`${label} (overlaps something else)`);
+            return false;
+        }
+        placed.push(item);
+        return true;
+    };
+    
+    // A shape is one row string of '#' (inside) and '.' (outside) squares per row of the box
+    const isValidShape = (shape, w, h) => Array.isArray(shape) && shape.length === h &&
+        shape.every(row => typeof row === 'string' && row.length === w && /^[#.]+$/.test(row)) &&
+        shape.some(row => row.includes('#'));
+    
+    // The budget is optional too
+    const hasBudget = Number.isInteger(file.budget) && file.budget >= 1 && file.budget <= MAX_BUDGET;
+    if (file.budget !== undefined && !hasBudget) {
+        skipped.push(`budget ${file.budget} (using ${formatMoney(DEFAULT_BUDGET)})`);
+    }
+    
+    const zoo = {
+        name: typeof file.name === 'string' ? file.name.trim().slice(0, 50) : '',
+        grid: { width, height },
+        budget: hasBudget ? file.budget : DEFAULT_BUDGET,
+        buildings: [],
+        decorations: [],
+        enclosures: [],
+        paths: [],
+    };
+    
+    // Paths are [x, y] squares - they can lie under items, but not off the grid
+    let badPaths = 0;
+    (Array.isArray(file.paths) ? file.paths : []).forEach(square => {
+        const isSquare = Array.isArray(square) && square.length === 2 && square.every(isGridNumber) &&
+                         square[0] < width && square[1] < height;
+        if (!isSquare) {
+            badPaths++;
+        } else if (!zoo.paths.includes(square.join(','))) {
+            zoo.paths.push(square.join(','));
+        }
+    });
+    if (badPaths > 0) {
+        skipped.push(`${badPaths} path square${badPaths === 1 ? '' : 's'} (bad position or off the grid)`);
+    }
+    
+    // A turn is optional: 0, 90, 180 or 270 degrees - anything else leaves the item unturned
+    const readRotation = (def, rotation) => {
+        if (rotation === undefined || rotation === 0) return 0;
+        if (Number.isInteger(rotation) && rotation > 0 && rotation < 360 && rotation % ROTATION_STEP === 0) return rotation;
+        skipped.push(`turn of ${rotation} degrees for ${def.name} (left unturned)`);
+        return 0;
+    };
+    
+    (Array.isArray(file.buildings) ? file.buildings : []).forEach(b => {
+        const def = BUILDINGS.find(building => building.id === (b && b.id));
+        if (!def) {
+            skipped.push(`unknown building "${b && b.id}"`);
+            return;
+        }
+        const rotation = readRotation(def, b.rotation);
+        const { width: w, height: h } = rotatedSize(def, rotation);
+        if (accept(def.name, b.x, b.y, w, h)) {
+            zoo.buildings.push({ def, x: b.x, y: b.y, rotation });
+        }
+    });
+    
+    (Array.isArray(file.decorations) ? file.decorations : []).forEach(d => {
+        const def = DECORATIONS.find(decoration => decoration.id === (d && d.id));
+        if (!def) {
+            skipped.push(`unknown decoration "${d && d.id}"`);
+            return;
+        }
+        const rotation = readRotation(def, d.rotation);
+        const { width: w, height: h } = rotatedSize(def, rotation);
+        if (accept(def.name, d.x, d.y, w, h, null, overlapRole('decoration', def))) {
+            zoo.decorations.push({ def, x: d.x, y: d.y, rotation });
+        }
+    });
+    
+    (Array.isArray(file.enclosures) ? file.enclosures : []).forEach(e => {
+        // Version 1 files have one animal per enclosure
+        const listed = file.schemaVersion >= 2 ? (e && e.animals) : [e && e.animal];
+        const animals = [];
+        (Array.isArray(listed) ? listed : []).forEach(animalId => {
+            const animal = ANIMALS.find(a => a.id === animalId);
+            if (!animal) {
+                skipped.push(`unknown animal "${animalId}"`);
+            } else if (!animals.includes(animal)) {
+                animals.push(animal);
+            }
+        });
+        if (animals.length === 0) {
+            skipped.push('enclosure with no animals');
+            return;
+        }
+        
+        // Head counts are optional; a bad one falls back to a single animal
+        const counts = {};
+        animals.forEach(animal => {
+            const count = e.counts && typeof e.counts === 'object' ? e.counts[animal.id] : undefined;
+            if (count === undefined || count === 1) return;
+            if (Number.isInteger(count) && count > 1 && count <= MAX_HEAD_COUNT) {
+                counts[animal.id] = count;
+            } else {
+                skipped.push(`head count ${count} for ${animal.plural} (using 1)`);
+            }
+        });
+        
+        const label = `${enclosureName({ animals: animals.map(animal => animal.id), counts })} enclosure`;
+        if (e.shape !== undefined && !isValidShape(e.shape, e.width, e.height)) {
+            skipped.push(`${label} (bad shape)`);
+            return;
+        }
+        
+        // Shrink the box to the painted squares, and forget the shape if it fills the box
+        const box = e.shape
+            ? shapeFromCells(itemCells({ gridX: e.x, gridY: e.y, width: e.width, height: e.height, shape: e.shape }).map(cell => cell.join(',')))
+            : { gridX: e.x, gridY: e.y, width: e.width, height: e.height, shape: null };
+        if (!accept(label, box.gridX, box.gridY, box.width, box.height, box.shape, 'enclosure')) return;
+        
+        // Terrain is optional: { "dx,dy": terrainId } from the enclosure's corner in the file.
+        // Squares outside the enclosure or with unknown terrain are left as grassland.
+        const terrain = {};
+        let badTerrain = 0;
+        Object.entries(e.terrain && typeof e.terrain === 'object' ? e.terrain : {}).forEach(([key, terrainId]) => {
+            const [dx, dy] = /^\d+,\d+$/.test(key) ? key.split(',').map(Number) : [-1, -1];
+            const x = e.x + dx;
+            const y = e.y + dy;
+            if (dx < 0 || !TERRAIN_TYPES.some(t => t.id === terrainId) || !itemCoversCell(box, x, y)) {
+                badTerrain++;
+            } else if (terrainId !== DEFAULT_TERRAIN) {
+                terrain[`${x - box.gridX},${y - box.gridY}`] = terrainId;
+            }
+        });
+        if (badTerrain > 0) {
+            skipped.push(`${badTerrain} terrain square${badTerrain === 1 ? '' : 's'} in the ${label} (using grassland)`);
+        }
+        
+        zoo.enclosures.push({
+            animals, counts, x: box.gridX, y: box.gridY, width: box.width, height: box.height, shape: box.shape,
+            terrain: Object.keys(terrain).length > 0 ? terrain : null,
+        });
+    });
+    
+    return { zoo, skipped };
+}
+
+// Replace the current zoo with one read from a file
+function importZooFile(file) {
+    file.text().then(text => {
+        let result;
+        try {
+            const data = JSON.parse(text);
+            if (data && data.format === CATALOG_FILE_FORMAT) {
+                importCatalogFile(data, file.name);
+                return;
+            }
+            result = validateZooFile(data);
+        } catch (error) {
+            console.error('Error importing zoo:', error);
+            const reason = error instanceof SyntaxError ? 'The file is damaged or is not a zoo file.' : error.message;
+            showMessageDialog(`"${escapeHTML(file.name)}" couldn't be opened. ${reason}`, '📂', 'Open Zoo File');
+            return;
+        }
+        
+        const { zoo, skipped } = result;
+        
+        // The current zoo stays in My Zoos; the imported one becomes a new entry
+        startNewZoo();
+        setGridSize(zoo.grid.width, zoo.grid.height);
+        setBudget(zoo.budget);
+        setZooName(zoo.name);
+        zoo.buildings.forEach(b => addBuilding(b.def, b.x, b.y, true, b.rotation));
+        zoo.decorations.forEach(d => addDecoration(d.def, d.x, d.y, true, d.rotation));
+        zoo.enclosures.forEach(e => addEnclosure(e.x, e.y, e.width, e.height, e.animals.map(animal => animal.id), true, e.shape, e.counts, e.terrain));
+        zoo.paths.forEach(key => state.paths.add(key));
+        renderPaths();
+        updateSummaryTable();
+        updateURL();
+        
+        if (skipped.length > 0) {
+            const list = skipped.map(item => `<li>${escapeHTML(item)}</li>`).join('');
+            showMessageDialog(
+                `Your zoo was opened, but some things had to be left out:<ul class="import-skipped">${list}</ul>`,
+                '📂',
+                'Zoo Opened'
+            );
+        }
+    }).catch(error => {
+        console.error('Error reading zoo file:', error);
+        showMessageDialog('That file couldn\'t be read.', '📂', 'Open Zoo File');
+    });
+}
+
+// Setup download and import buttons
+function setupZooFiles() {
+    const fileInput = document.getElementById('zooFileInput');
+    
+    document.getElementById('downloadZooBtn').addEventListener('click', downloadZoo);
+    document.getElementById('exportPictureBtn').addEventListener('click', showExportDialog);
+    document.getElementById('importZooBtn').addEventListener('click', () => fileInput.click());
+    
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            importZooFile(fileInput.files[0]);
+        }
+        fileInput.value = ''; // Allow opening the same file again
+    });
+}
+
+// Custom catalog - teachers can add animals, buildings and decorations in the catalog editor,
+// change the built-in ones or take them out, without editing the JSON files. It's saved in this
+// browser as { animals, buildings, decorations, removed }: the lists hold entries in the JSON
+// files' format (an entry with a built-in id changes that entry) and `removed` lists the built-in
+// ids taken out. Catalogs travel as files or `catalog` links, and zoos carry the custom entries
+// they use in their share code and zoo file, so they open the same anywhere.
+const CUSTOM_CATALOG_KEY = 'zooPlanner.customCatalog';
+const CATALOG_FILE_FORMAT = 'zoo-planner-catalog';
+const CATALOG_FILE_VERSION = 1;
+const CATALOG_CODE_VERSION = 1;
+const CATALOG_NAME_LENGTH = 30;
+const CATALOG_EMOJI_LENGTH = 16; // code points - some emoji are several joined together
+
+const CATALOG_CODE_SECTIONS = {
+    catalogIds: 1,  // as in share codes
+    animals: 2,     // entries, see encodeCatalogEntries
+    buildings: 3,
+    decorations: 4,
+    removed: 5,     // built-in ids taken out
+    animalHabitats: 6, // see encodeCatalogHabitats
+};
+
+// Built-in entries as read from the JSON files
+const builtInCatalog = { animals: [], buildings: [], decorations: [] };
+
+// Entries zoos opened this session brought along - used, but not saved in the custom catalog
+const zooCatalog = { animals: [], buildings: [], decorations: [] };
+
+// Placement rules buildings and decorations can have in the catalog, all optional: how many the
+// zoo needs or can have, and whether one has to touch the edge of the zoo or be reachable by path
+const PLACEMENT_COUNTS = [
+    { key: 'minCount', label: 'The zoo needs at least', min: 1, max: 100 },
+    { key: 'maxCount', label: 'The zoo can have at most', min: 1, max: 100 },
+];
+const PLACEMENT_FLAGS = [
+    { key: 'mustTouchEdge', label: 'Has to touch the edge of the zoo' },
+    { key: 'requiresPath', label: 'Visitors have to be able to walk to it' },
+];
+
+// A catalog entry's placement rules for the catalog editor, e.g. ", at most 1, at the edge"
+function describePlacementRules(entry) {
+    return [
+        entry.minCount > 0 ? `, at least ${entry.minCount}` : '',
+        Number.isFinite(entry.maxCount) ? `, at most ${entry.maxCount}` : '',
+        entry.mustTouchEdge ? ', at the edge' : '',
+        entry.requiresPath ? ', needs a path' : '',
+    ].join('');
+}
+
+// The catalogs and their schema, used for the JSON files and the catalog editor. Besides an id,
+// a name and an emoji, every entry has the `numbers` (whole numbers from `min` to `max` - the JSON
+// files can leave out those with a `fallback`), and buildings and decorations have a colour and
+// can have placement rules.
+const CATALOG_KINDS = [
+    {
+        id: 'animals',
+        file: 'animals.json',
+        singular: 'animal',
+        title: '🦁 Animals',
+        list: () => ANIMALS,
+        placed: id => state.enclosures.filter(e => e.animals.includes(id)).length,
+        numbers: [
+            { key: 'minPerimeter', label: 'Min perimeter', min: 4, max: 1000 },
+            { key: 'minArea', label: 'Min area', min: 1, max: MAX_GRID_SIZE * MAX_GRID_SIZE },
+            { key: 'extraPerimeter', label: 'Extra perimeter per extra animal', min: 0, max: 1000, fallback: animal => animal.minPerimeter },
+            { key: 'extraArea', label: 'Extra area per extra animal', min: 0, max: MAX_GRID_SIZE * MAX_GRID_SIZE, fallback: animal => animal.minArea },
+        ],
+        describe: animal => `Perimeter ${animal.minPerimeter}, area ${animal.minArea}`,
+    },
+    {
+        id: 'buildings',
+        file: 'buildings.json',
+        singular: 'building',
+        title: '🏛️ Buildings',
+        list: () => BUILDINGS,
+        placed: id => state.placedBuildings.filter(b => b.id.split('-')[0] === id).length,
+        numbers: [
+            { key: 'width', label: 'Width', min: 1, max: MAX_GRID_SIZE },
+            { key: 'height', label: 'Height', min: 1, max: MAX_GRID_SIZE },
+            { key: 'cost', label: 'Cost ($)', min: 0, max: MAX_BUDGET, fallback: () => 0 },
+        ],
+        hasColor: true,
+        hasPlacementRules: true,
+        describe: building => `${building.width}×${building.height} squares, ${formatMoney(building.cost)}${describePlacementRules(building)}`,
+    },
+    {
+        id: 'decorations',
+        file: 'decorations.json',
+        singular: 'decoration',
+        title: '🌳 Decorations',
+        list: () => DECORATIONS,
+        placed: id => state.placedDecorations.filter(d => d.id.split('-')[0] === id).length,
+        numbers: [
+            { key: 'width', label: 'Width', min: 1, max: MAX_GRID_SIZE },
+            { key: 'height', label: 'Height', min: 1, max: MAX_GRID_SIZE },
+            { key: 'cost', label: 'Cost ($)', min: 0, max: MAX_BUDGET, fallback: () => 0 },
+        ],
+        hasColor: true,
+        hasTerrain: true,
+        hasPlacementRules: true,
+        describe: decoration => `${decoration.width}×${decoration.height} squares, ${formatMoney(decoration.cost)}` +
+                                (decoration.terrain ? `, counts as ${terrainName(decoration.terrain)}` : '') +
+                                describePlacementRules(decoration),
+    },
+];
+
+// Is this text a usable catalog name or emoji? Names end up in the page's HTML,
+// so custom entries can't use characters that mean something there.
+function isCatalogText(text, maxLength) {
+    return typeof text === 'string' && text.trim() === text && text.length > 0 &&
+           Array.from(text).length <= maxLength && !/[<>&"'`\u0000-\u001f]/.test(text);
+}
+
+// Problems with a catalog entry, as sentences - none means it can be used.
+// Entries without a usable name are called `unnamed` in the sentences.
+function validateCatalogEntry(kindId, entry, unnamed = `A custom ${CATALOG_KINDS.find(k => k.id === kindId).singular}`) {
+    const kind = CATALOG_KINDS.find(k => k.id === kindId);
+    if (!entry || typeof entry !== 'object') return [`${unnamed} isn't a catalog entry`];
+    
+    const problems = [];
+    const name = isCatalogText(entry.name, CATALOG_NAME_LENGTH) ? entry.name : unnamed;
+    if (typeof entry.id !== 'string' || !/^[a-z0-9]{1,20}$/.test(entry.id)) {
+        problems.push(`${name} needs an id of lowercase letters and digits`);
+    }
+    if (!isCatalogText(entry.name, CATALOG_NAME_LENGTH)) {
+        problems.push(`${name} needs a name of up to ${CATALOG_NAME_LENGTH} characters, without < > & or quotes`);
+    }
+    if (!isCatalogText(entry.emoji, CATALOG_EMOJI_LENGTH)) {
+        problems.push(`${name} needs an emoji`);
+    }
+    kind.numbers.forEach(({ key, label, min, max }) => {
+        if (!Number.isInteger(entry[key]) || entry[key] < min || entry[key] > max) {
+            problems.push(`${name}: ${label} has to be a whole number from ${min} to ${max}`);
+        }
+    });
+    if (kind.id === 'animals' && entry.plural !== undefined && !isCatalogText(entry.plural, CATALOG_NAME_LENGTH)) {
+        problems.push(`${name} has a plural that can't be used`);
+    }
+    if (kind.id === 'animals' && entry.habitat !== undefined) {
+        const isHabitat = entry.habitat && typeof entry.habitat === 'object' &&
+            Object.entries(entry.habitat).every(([terrain, percent]) =>
+                TERRAIN_TYPES.some(t => t.id === terrain) && typeof percent === 'number' && percent > 0 && percent <= 100);
+        if (!isHabitat) {
+            problems.push(`${name} has a habitat that can't be used - give each terrain a percentage from 1 to 100`);
+        }
+    }
+    if (kind.hasColor && !/^#[0-9a-fA-F]{6}$/.test(entry.color)) {
+        problems.push(`${name} needs a colour like #8FBC8F`);
+    }
+    if (kind.hasTerrain && entry.terrain !== undefined && !TERRAIN_TYPES.some(t => t.id === entry.terrain)) {
+        problems.push(`${name} counts as a terrain that doesn't exist`);
+    }
+    if (kind.hasPlacementRules) {
+        PLACEMENT_COUNTS.forEach(({ key, min, max }) => {
+            if (entry[key] !== undefined && (!Number.isInteger(entry[key]) || entry[key] < min || entry[key] > max)) {
+                problems.push(`${name}: ${key} has to be a whole number from ${min} to ${max}`);
+            }
+        });
+        if (entry.minCount > entry.maxCount) {
+            problems.push(`${name} needs more (minCount ${entry.minCount}) than the zoo can have (maxCount ${entry.maxCount})`);
+        }
+        PLACEMENT_FLAGS.forEach(({ key }) => {
+            if (entry[key] !== undefined && typeof entry[key] !== 'boolean') {
+                problems.push(`${name}: ${key} has to be true or false`);
+            }
+        });
+    }
+    return problems;
+}
+
+// Just the catalog fields of an entry, as they're written in the JSON files
+function catalogEntryFields(kindId, entry) {
+    const kind = CATALOG_KINDS.find(k => k.id === kindId);
+    const fields = { id: entry.id, name: entry.name, emoji: entry.emoji };
+    kind.numbers.forEach(({ key }) => {
+        fields[key] = entry[key];
+    });
+    if (kind.id === 'animals' && entry.plural && entry.plural !== `${entry.name}s`) fields.plural = entry.plural;
+    if (kind.id === 'animals' && entry.habitat && Object.keys(entry.habitat).length > 0) fields.habitat = { ...entry.habitat };
+    if (kind.hasColor) fields.color = entry.color;
+    if (kind.hasTerrain && entry.terrain) fields.terrain = entry.terrain;
+    if (kind.hasPlacementRules) {
+        // App entries say "no limit" as 0 and Infinity - the JSON files leave those out
+        PLACEMENT_COUNTS.forEach(({ key }) => {
+            if (Number.isFinite(entry[key]) && entry[key] > 0) fields[key] = entry[key];
+        });
+        PLACEMENT_FLAGS.forEach(({ key }) => {
+            if (entry[key] === true) fields[key] = true;
+        });
+    }
+    return fields;
+}
+
+// A custom catalog with nothing in it
+function emptyCustomCatalog() {
+    return { animals: [], buildings: [], decorations: [], removed: [] };
+}
+
+// Keep the usable parts of a custom catalog from storage, a file or a link: { catalog, problems }
+function cleanCustomCatalog(data) {
+    const catalog = emptyCustomCatalog();
+    const problems = [];
+    if (!data || typeof data !== 'object') return { catalog, problems };
+    
+    CATALOG_KINDS.forEach(kind => {
+        (Array.isArray(data[kind.id]) ? data[kind.id] : []).forEach(entry => {
+            const entryProblems = validateCatalogEntry(kind.id, entry);
+            if (entryProblems.length > 0) {
+                problems.push(...entryProblems);
+                return;
+            }
+            // Placed items find their entry by id alone, so an id can't be used by two kinds
+            const other = CATALOG_KINDS.filter(k => k.id !== kind.id)
+                .map(k => [...builtInCatalog[k.id], ...catalog[k.id]].find(e => e.id === entry.id))
+                .find(Boolean);
+            if (other) {
+                problems.push(`${entry.name} has the same id as the ${other.name} ("${entry.id}")`);
+                return;
+            }
+            // A later entry with the same id wins
+            catalog[kind.id] = catalog[kind.id].filter(other => other.id !== entry.id);
+            catalog[kind.id].push(catalogEntryFields(kind.id, entry));
+        });
+    });
+    catalog.removed = Array.from(new Set((Array.isArray(data.removed) ? data.removed : [])
+        .filter(id => typeof id === 'string' && /^[a-z0-9]{1,20}$/.test(id))));
+    
+    return { catalog, problems };
+}
+
+// Load the custom catalog saved in this browser
+function loadCustomCatalog() {
+    try {
+        return cleanCustomCatalog(JSON.parse(localStorage.getItem(CUSTOM_CATALOG_KEY))).catalog;
+    } catch (error) {
+        console.error('Error loading the custom catalog:', error);
+        return emptyCustomCatalog();
+    }
+}
+
+// Save the custom catalog in this browser
+function saveCustomCatalog(catalog) {
+    try {
+        localStorage.setItem(CUSTOM_CATALOG_KEY, JSON.stringify(catalog));
+    } catch (error) {
+        console.error('Error saving the custom catalog:', error);
+    }
+}
+
+// One catalog's entries (in the JSON files' format): the built-in ones with the custom catalog's
+// changes and additions, then anything zoos opened this session brought along
+function mergedCatalog(kindId) {
+    const custom = loadCustomCatalog();
+    const entries = builtInCatalog[kindId]
+        .filter(entry => !custom.removed.includes(entry.id))
+        .map(entry => {
+            const change = custom[kindId].find(c => c.id === entry.id);
+            if (!change) return entry;
+            
+            // A change has every field the editor edits, so optional ones it leaves out (a terrain,
+            // a maxCount...) were cleared. The editor has no habitat field, so a change without
+            // one keeps the built-in entry's, as it keeps anything else the files add
+            const kept = { ...entry };
+            Object.keys(catalogEntryFields(kindId, entry))
+                .filter(key => key !== 'habitat')
+                .forEach(key => delete kept[key]);
+            return { ...kept, ...change, custom: true };
+        });
+    
+    [...custom[kindId], ...zooCatalog[kindId]].forEach(entry => {
+        if (!entries.some(other => other.id === entry.id)) {
+            entries.push({ ...entry, custom: true });
+        }
+    });
+    return entries;
+}
+
+// Rebuild ANIMALS, BUILDINGS and DECORATIONS after the custom catalog changed
+function rebuildCatalogs() {
+    ANIMALS = mergedCatalog('animals').map(animalFromCatalog);
+    BUILDINGS = mergedCatalog('buildings').map(buildingFromCatalog);
+    DECORATIONS = mergedCatalog('decorations').map(decorationFromCatalog);
+    
+    // Placed items keep a copy of their catalog entry - bring them up to date
+    [['placedBuildings', BUILDINGS], ['placedDecorations', DECORATIONS]].forEach(([collection, catalog]) => {
+        state[collection].forEach(item => {
+            const def = catalog.find(d => d.id === item.id.split('-')[0]);
+            if (!def) return;
+            Object.assign(item, { ...def, id: item.id, ...rotatedSize(def, item.rotation) });
+            if (!def.terrain) delete item.terrain;
+        });
+    });
+}
+
+// Save a changed custom catalog and show the catalogs and the zoo with it
+function applyCustomCatalog(catalog) {
+    saveCustomCatalog(catalog);
+    rebuildCatalogs();
+    
+    if (state.selectedAnimal && !ANIMALS.some(a => a.id === state.selectedAnimal)) {
+        selectAnimal(null);
+    }
+    renderBuildingList();
+    renderDecorationList();
+    renderAnimalList();
+    renderAllItems();
+    updateSummaryTable();
+    updateURL();
+}
+
+// Add the custom entries a zoo brought along (from its share code or file) - ids this
+// browser already knows keep their own entry. Returns how many were added.
+function addZooCatalogEntries(carried) {
+    let added = 0;
+    CATALOG_KINDS.forEach(kind => {
+        (carried[kind.id] || []).forEach(entry => {
+            if (validateCatalogEntry(kind.id, entry).length > 0) return;
+            if (CATALOG_KINDS.some(k => k.list().some(known => known.id === entry.id))) return;
+            zooCatalog[kind.id].push(catalogEntryFields(kind.id, entry));
+            added++;
+        });
+    });
+    
+    if (added > 0) {
+        rebuildCatalogs();
+        renderBuildingList();
+        renderDecorationList();
+        renderAnimalList();
+    }
+    return added;
+}
+
+// Custom entries the current zoo uses, in the JSON files' format - they go along in its links and files
+function zooCatalogEntries() {
+    const usedIds = {
+        animals: new Set(state.enclosures.flatMap(e => e.animals)),
+        buildings: new Set(state.placedBuildings.map(b => b.id.split('-')[0])),
+        decorations: new Set(state.placedDecorations.map(d => d.id.split('-')[0])),
+    };
+    const entries = {};
+    CATALOG_KINDS.forEach(kind => {
+        entries[kind.id] = kind.list()
+            .filter(entry => entry.custom && usedIds[kind.id].has(entry.id))
+            .map(entry => catalogEntryFields(kind.id, entry));
+    });
+    return entries;
+}
+
+// Catalog entries as share code fields: per entry its catalog id's position, the numbers,
+// the colour (as a number), terrain (its place in TERRAIN_TYPES + 1, 0 for none) and placement
+// rules (each count + 1, 0 for none, then the flags as bits) if the kind has them, then the name,
+// emoji and plural as a length and character codes
+function encodeCatalogEntries(kindId, entries, catalogRef) {
+    const kind = CATALOG_KINDS.find(k => k.id === kindId);
+    const text = value => [Array.from(value).length, ...Array.from(value, char => char.codePointAt(0))];
+    
+    return entries.flatMap(entry => [
+        catalogRef(entry.id),
+        ...kind.numbers.map(({ key }) => entry[key]),
+        ...(kind.hasColor ? [parseInt(entry.color.slice(1), 16)] : []),
+        ...(kind.hasTerrain ? [TERRAIN_TYPES.findIndex(t => t.id === entry.terrain) + 1] : []),
+        ...(kind.hasPlacementRules ? [
+            ...PLACEMENT_COUNTS.map(({ key }) => entry[key] === undefined ? 0 : entry[key] + 1),
+            PLACEMENT_FLAGS.reduce((bits, { key }, i) => entry[key] ? bits | (1 << i) : bits, 0),
+        ] : []),
+        ...text(entry.name),
+        ...text(entry.emoji),
+        ...(kind.id === 'animals' ? text(entry.plural || '') : []),
+    ]);
+}
+
+// Read catalog entries written by encodeCatalogEntries (throws if the section is damaged)
+function decodeCatalogEntries(kindId, fields, catalogIds) {
+    const kind = CATALOG_KINDS.find(k => k.id === kindId);
+    let i = 0;
+    const next = () => {
+        if (i >= fields.length) throw new Error(`The custom ${kind.id} section is damaged`);
+        return fields[i++];
+    };
+    const text = () => {
+        const length = next();
+        const codes = fields.slice(i, i + length);
+        if (codes.length !== length) throw new Error(`The custom ${kind.id} section is damaged`);
+        i += length;
+        return String.fromCodePoint(...codes);
+    };
+    
+    const entries = [];
+    while (i < fields.length) {
+        const entry = { id: resolveCatalogRef(next(), catalogIds, `custom ${kind.id}`) };
+        kind.numbers.forEach(({ key }) => {
+            entry[key] = next();
+        });
+        if (kind.hasColor) {
+            entry.color = `#${next().toString(16).padStart(6, '0')}`;
+        }
+        if (kind.hasTerrain) {
+            const terrain = TERRAIN_TYPES[next() - 1];
+            if (terrain) entry.terrain = terrain.id;
+        }
+        if (kind.hasPlacementRules) {
+            PLACEMENT_COUNTS.forEach(({ key }) => {
+                const count = next();
+                if (count > 0) entry[key] = count - 1;
+            });
+            const bits = next();
+            PLACEMENT_FLAGS.forEach(({ key }, i) => {
+                if (bits & (1 << i)) entry[key] = true;
+            });
+        }
+        entry.name = text();
+        entry.emoji = text();
+        if (kind.id === 'animals') {
+            const plural = text();
+            if (plural) entry.plural = plural;
+        }
+        entries.push(entry);
+    }
+    return entries;
+}
+
+// Animal habitats as share code fields, in their own section so older versions can skip it: per
+// animal with a habitat its position in the entries and how many terrains it likes, then per
+// terrain its place in TERRAIN_TYPES and the percentage in tenths
+function encodeCatalogHabitats(animals) {
+    return animals.flatMap((animal, i) => {
+        const needs = Object.entries(animal.habitat || {});
+        return needs.length > 0 ? [i, needs.length, ...needs.flatMap(([terrainId, percent]) =>
+            [TERRAIN_TYPES.findIndex(t => t.id === terrainId), Math.round(percent * 10)])] : [];
+    });
+}
+
+// Put habitats written by encodeCatalogHabitats back on their animals (throws if the section is damaged)
+function decodeCatalogHabitats(fields, animals, sectionName) {
+    let i = 0;
+    const next = () => {
+        if (i >= fields.length) throw new Error(`The ${sectionName} section is damaged`);
+        return fields[i++];
+    };
+    
+    while (i < fields.length) {
+        const animal = animals[next()];
+        const count = next();
+        if (!animal) throw new Error(`The ${sectionName} section refers to an animal that isn't in the link`);
+        
+        animal.habitat = {};
+        for (let n = 0; n < count; n++) {
+            const terrain = TERRAIN_TYPES[next()];
+            const percent = next() / 10;
+            if (!terrain) throw new Error(`The ${sectionName} section is damaged`);
+            animal.habitat[terrain.id] = percent;
+        }
+    }
+}
+
+// Write a custom catalog as a code for the `catalog` URL parameter
+function encodeCatalogCode(catalog) {
+    const catalogIds = [];
+    const catalogRef = (id) => {
+        if (!catalogIds.includes(id)) catalogIds.push(id);
+        return catalogIds.indexOf(id);
+    };
+    
+    // Refs first, so the catalog ids list is complete when it's written
+    const entrySections = CATALOG_KINDS.map(kind =>
+        [CATALOG_CODE_SECTIONS[kind.id], encodeCatalogEntries(kind.id, catalog[kind.id], catalogRef)]);
+    const removedFields = catalog.removed.map(catalogRef);
+    
+    return packSections(CATALOG_CODE_VERSION, [
+        [CATALOG_CODE_SECTIONS.catalogIds, encodeCatalogIds(catalogIds)],
+        ...entrySections,
+        [CATALOG_CODE_SECTIONS.removed, removedFields],
+        [CATALOG_CODE_SECTIONS.animalHabitats, encodeCatalogHabitats(catalog.animals)],
+    ]);
+}
+
+// Read a catalog code (throws if it's broken): { catalog, problems } like cleanCustomCatalog
+function decodeCatalogCode(compact) {
+    const { version, sections } = unpackSections(compact);
+    if (version !== CATALOG_CODE_VERSION) {
+        throw new Error(`Catalog version ${version} is newer than this Zoo Planner`);
+    }
+    
+    const catalogIds = decodeCatalogIds(sections[CATALOG_CODE_SECTIONS.catalogIds] || []);
+    const data = {
+        removed: (sections[CATALOG_CODE_SECTIONS.removed] || []).map(ref => resolveCatalogRef(ref, catalogIds, 'removed')),
+    };
+    CATALOG_KINDS.forEach(kind => {
+        data[kind.id] = decodeCatalogEntries(kind.id, sections[CATALOG_CODE_SECTIONS[kind.id]] || [], catalogIds);
+    });
+    decodeCatalogHabitats(sections[CATALOG_CODE_SECTIONS.animalHabitats] || [], data.animals, 'animal habitats');
+    return cleanCustomCatalog(data);
+}
+
+// Link that adds this browser's custom catalog to another one
+function buildCatalogURL() {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.searchParams.set('catalog', encodeCatalogCode(loadCustomCatalog()));
+    return url;
+}
+
+// Save the custom catalog as a file
+function downloadCatalog() {
+    const file = {
+        format: CATALOG_FILE_FORMAT,
+        schemaVersion: CATALOG_FILE_VERSION,
+        ...loadCustomCatalog(),
+    };
+    downloadFile('zoo-catalog.json', JSON.stringify(file, null, 2), 'application/json');
+}
+
+// How many entries a custom catalog adds, changes or removes
+function catalogEntryCount(catalog) {
+    return CATALOG_KINDS.reduce((total, kind) => total + catalog[kind.id].length, catalog.removed.length);
+}
+
+// Ask before adding a catalog from a link or file to this browser's one - entries with the
+// same id are replaced
+function confirmCatalogImport({ catalog, problems }, source) {
+    // Ids this browser already uses for another kind (e.g. its own custom animal) can't be added
+    CATALOG_KINDS.forEach(kind => {
+        catalog[kind.id] = catalog[kind.id].filter(entry => {
+            const other = CATALOG_KINDS.filter(k => k.id !== kind.id)
+                .map(k => k.list().find(e => e.id === entry.id))
+                .find(Boolean);
+            if (other) {
+                problems = [...problems, `${entry.name} has the same id as the ${other.name} ("${entry.id}")`];
+            }
+            return !other;
+        });
+    });
+    
+    const count = catalogEntryCount(catalog);
+    const skipped = problems.length > 0
+        ? `<p>Some entries couldn't be used:</p><ul class="import-skipped">${problems.map(p => `<li>${escapeHTML(p)}</li>`).join('')}</ul>`
+        : '';
+    if (count === 0) {
+        showMessageDialog(`${escapeHTML(source)} has nothing to add to your catalog.${skipped}`, '🗂️', 'Catalog');
+        return;
+    }
+    
+    showConfirmDialog(
+        `Add ${count} catalog entr${count === 1 ? 'y' : 'ies'} from ${escapeHTML(source)} to your catalog? ` +
+        `Entries you already have with the same id are replaced.${skipped}`,
+        () => {
+            const merged = loadCustomCatalog();
+            CATALOG_KINDS.forEach(kind => {
+                const ids = catalog[kind.id].map(entry => entry.id);
+                merged[kind.id] = [...merged[kind.id].filter(entry => !ids.includes(entry.id)), ...catalog[kind.id]];
+            });
+            merged.removed = Array.from(new Set([...merged.removed, ...catalog.removed]));
+            applyCustomCatalog(merged);
+        },
+        '🗂️',
+        'Add to Catalog'
+    );
+}
+
+// Read a catalog file (the Open File button passes these on - see importZooFile)
+function importCatalogFile(file, fileName) {
+    if (!Number.isInteger(file.schemaVersion) || file.schemaVersion > CATALOG_FILE_VERSION) {
+        throw new Error('This catalog was made with a newer Zoo Planner.');
+    }
+    confirmCatalogImport(cleanCustomCatalog(file), `"${fileName}"`);
+}
+
+// Open a `catalog` link
+function openCatalogLink(compact) {
+    // The code isn't needed in the address once it's been read
+    window.history.replaceState({}, '', buildZooURL());
+    
+    try {
+        confirmCatalogImport(decodeCatalogCode(compact), 'this link');
+    } catch (error) {
+        console.error('Error decoding catalog:', error);
+        showMessageDialog(
+            'This catalog link is broken or incomplete, so it can\'t be opened. Ask for the link again!',
+            '🔗',
+            'Broken Catalog Link'
+        );
+    }
+}
+
+// Set up the catalog button
+function setupCatalogEditor() {
+    document.getElementById('catalogBtn').addEventListener('click', () => showCatalogEditor());
+}
+
+// Show the catalog editor, open at one catalog
+function showCatalogEditor(kindId = 'animals') {
+    const modal = document.createElement('div');
+    modal.className = 'confirm-modal library-modal';
+    modal.innerHTML = `
+        <div class="library-content catalog-content">
+            <div class="library-header">
+                <h3>🗂️ Catalog</h3>
+                <button class="library-new-btn catalog-add">➕ Add</button>
+                <button class="math-practice-close library-close">✕</button>
+            </div>
+            <p class="library-hint">Add your own animals, buildings and decorations, or change the built-in ones.
+                Your catalog is saved in this browser - share it with a link or a file.</p>
+            <div class="catalog-tabs">
+                ${CATALOG_KINDS.map(kind => `
+                    <button class="catalog-tab" data-kind="${kind.id}" aria-pressed="false">${kind.title}</button>
+                `).join('')}
+            </div>
+            <ul class="catalog-list"></ul>
+            <div class="catalog-actions">
+                <button class="tool-btn catalog-link">🔗 Copy Link</button>
+                <button class="tool-btn catalog-download">💾 Download</button>
+                <button class="tool-btn catalog-open">📂 Open File</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    let currentKind = kindId;
+    const showKind = (id) => {
+        currentKind = id;
+        modal.querySelectorAll('.catalog-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.kind === id);
+            tab.setAttribute('aria-pressed', tab.dataset.kind === id);
+        });
+        const kind = CATALOG_KINDS.find(k => k.id === id);
+        modal.querySelector('.catalog-add').textContent = `➕ Add ${kind.singular}`;
+        renderCatalogList(modal, kind);
+    };
+    modal.querySelectorAll('.catalog-tab').forEach(tab => {
+        tab.addEventListener('click', () => showKind(tab.dataset.kind));
+    });
+    
+    modal.querySelector('.catalog-add').addEventListener('click', () => {
+        showCatalogEntryForm(CATALOG_KINDS.find(k => k.id === currentKind), null, () => showKind(currentKind));
+    });
+    modal.querySelector('.catalog-link').addEventListener('click', async (e) => {
+        const button = e.currentTarget;
+        await copyToClipboard(buildCatalogURL().toString());
+        flashCopied(button);
+    });
+    modal.querySelector('.catalog-download').addEventListener('click', downloadCatalog);
+    modal.querySelector('.catalog-open').addEventListener('click', () => {
+        modal.remove();
+        document.getElementById('zooFileInput').click();
+    });
+    
+    const closePanel = () => modal.remove();
+    modal.querySelector('.library-close').addEventListener('click', closePanel);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closePanel();
+        }
+    });
+    
+    showKind(kindId);
+}
+
+// Fill the catalog editor with a row per entry of one catalog, and the built-in ones taken out
+function renderCatalogList(modal, kind) {
+    const list = modal.querySelector('.catalog-list');
+    const custom = loadCustomCatalog();
+    const refresh = () => renderCatalogList(modal, kind);
+    list.innerHTML = '';
+    
+    kind.list().forEach(entry => {
+        const builtIn = builtInCatalog[kind.id].find(b => b.id === entry.id);
+        const changed = custom[kind.id].some(c => c.id === entry.id);
+        const badge = !builtIn ? 'Custom' : (changed ? 'Changed' : (entry.custom ? 'From a zoo' : ''));
+        
+        const row = document.createElement('li');
+        row.className = 'catalog-row';
+        row.innerHTML = `
+            <span class="building-emoji">${entry.emoji}</span>
+            <div class="catalog-info">
+                <strong>${entry.name}</strong>
+                <small>${kind.describe(entry)}</small>
+            </div>
+            ${badge ? `<span class="catalog-badge">${badge}</span>` : ''}
+            <button class="catalog-edit" title="Change">✏️</button>
+            ${builtIn && changed ? '<button class="catalog-reset" title="Put back the built-in one">↩️</button>' : ''}
+            <button class="catalog-remove" title="Take out of the catalog">🗑️</button>
+        `;
+        
+        row.querySelector('.catalog-edit').addEventListener('click', () => showCatalogEntryForm(kind, entry, refresh));
+        row.querySelector('.catalog-remove').addEventListener('click', () => removeCatalogEntry(kind, entry, refresh));
+        const resetBtn = row.querySelector('.catalog-reset');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                const catalog = loadCustomCatalog();
+                catalog[kind.id] = catalog[kind.id].filter(c => c.id !== entry.id);
+                applyCustomCatalog(catalog);
+                refresh();
+            });
+        }
+        list.appendChild(row);
+    });
+    
+    // Built-in entries that were taken out can be put back
+    builtInCatalog[kind.id].filter(entry => custom.removed.includes(entry.id)).forEach(entry => {
+        const row = document.createElement('li');
+        row.className = 'catalog-row catalog-removed';
+        row.innerHTML = `
+            <span class="building-emoji">${entry.emoji}</span>
+            <div class="catalog-info">
+                <strong>${entry.name}</strong>
+                <small>Taken out of the catalog</small>
+            </div>
+            <button class="catalog-restore" title="Put back in the catalog">↩️ Put back</button>
+        `;
+        row.querySelector('.catalog-restore').addEventListener('click', () => {
+            const catalog = loadCustomCatalog();
+            catalog.removed = catalog.removed.filter(id => id !== entry.id);
+            applyCustomCatalog(catalog);
+            refresh();
+        });
+        list.appendChild(row);
+    });
+}
+
+// Take an entry out of the catalog - not while the zoo still uses it
+function removeCatalogEntry(kind, entry, onRemoved) {
+    const placed = kind.placed(entry.id);
+    if (placed > 0) {
+        showMessageDialog(
+            `The zoo still has ${placed} ${kind.id === 'animals' ? `enclosure${placed === 1 ? '' : 's'} with ${entry.plural}` : `× ${entry.name}`}. ` +
+            'Take them out of the zoo first.',
+            '🗂️',
+            'Still in Use'
+        );
+        return;
+    }
+    
+    showConfirmDialog(`Take the ${entry.name} out of the catalog?`, () => {
+        const catalog = loadCustomCatalog();
+        catalog[kind.id] = catalog[kind.id].filter(c => c.id !== entry.id);
+        if (builtInCatalog[kind.id].some(b => b.id === entry.id)) {
+            catalog.removed.push(entry.id);
+        }
+        zooCatalog[kind.id] = zooCatalog[kind.id].filter(c => c.id !== entry.id);
+        applyCustomCatalog(catalog);
+        onRemoved();
+    }, '🗑️', 'Remove from Catalog');
+}
+
+// An id for a new entry from its name, e.g. "Snow Owl" -> "snowowl" (or "snowowl2" if that's taken)
+function newCatalogId(name, kind) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 18) || kind.singular;
+    const taken = id => CATALOG_KINDS.some(k => k.list().some(entry => entry.id === id) ||
+                                                builtInCatalog[k.id].some(entry => entry.id === id));
+    let id = base;
+    for (let n = 2; taken(id); n++) {
+        id = `${base}${n}`;
+    }
+    return id;
+}
+
+// Form to add an entry (entry is null) or change one
+function showCatalogEntryForm(kind, entry, onSaved) {
+    const values = entry || {
+        name: '',
+        emoji: '',
+        ...Object.fromEntries(kind.numbers.map(({ key, min }) => [key, min])),
+        color: '#C8E6C9',
+    };
+    
+    const modal = document.createElement('div');
+    modal.className = 'confirm-modal';
+    modal.innerHTML = `
+        <div class="confirm-content catalog-form">
+            <div class="confirm-emoji">${entry ? entry.emoji : '🗂️'}</div>
+            <h3>${entry ? 'Change' : 'Add'} ${kind.singular}</h3>
+            <div class="catalog-fields">
+                <label>Name <input type="text" class="prompt-input catalog-name" maxlength="${CATALOG_NAME_LENGTH}"></label>
+                <label>Emoji <input type="text" class="prompt-input catalog-emoji"></label>
+                ${kind.id === 'animals' ? '<label>Plural <input type="text" class="prompt-input catalog-plural" placeholder="e.g. Mice"></label>' : ''}
+                ${kind.numbers.map(({ key, label, min, max }) => `
+                    <label>${label} <input type="number" class="grid-size-input" data-key="${key}" min="${min}" max="${max}" step="1"
+                                           value="${values[key]}"></label>
+                `).join('')}
+                ${kind.hasColor ? `<label>Colour <input type="color" class="catalog-color" value="${values.color}"></label>` : ''}
+                ${kind.hasPlacementRules ? PLACEMENT_COUNTS.map(({ key, label, min, max }) => `
+                    <label>${label} <input type="number" class="grid-size-input" data-count="${key}" min="${min}" max="${max}" step="1"
+                                           placeholder="Any" value="${Number.isFinite(values[key]) && values[key] > 0 ? values[key] : ''}"></label>
+                `).join('') + PLACEMENT_FLAGS.map(({ key, label }) => `
+                    <label>${label} <input type="checkbox" data-flag="${key}" ${values[key] ? 'checked' : ''}></label>
+                `).join('') : ''}
+                ${kind.hasTerrain ? `
+                    <label>Inside an enclosure it counts as
+                        <select class="catalog-terrain">
+                            <option value="">Nothing</option>
+                            ${TERRAIN_TYPES.map(t => `<option value="${t.id}" ${values.terrain === t.id ? 'selected' : ''}>${t.emoji} ${t.name}</option>`).join('')}
+                        </select>
+                    </label>
+                ` : ''}
+            </div>
+            <ul class="catalog-problems"></ul>
+            <div class="confirm-buttons">
+                <button class="confirm-ok catalog-save">Save</button>
+                <button class="confirm-no">Cancel</button>
+            </div>
+        </div>
+    `;
+    
+    // Typed text goes in as values, never as HTML
+    modal.querySelector('.catalog-name').value = values.name;
+    modal.querySelector('.catalog-emoji').value = values.emoji;
+    if (kind.id === 'animals' && entry && entry.plural !== `${entry.name}s`) {
+        modal.querySelector('.catalog-plural').value = entry.plural;
+    }
+    
+    document.body.appendChild(modal);
+    modal.querySelector('.catalog-name').focus();
+    
+    modal.querySelector('.catalog-save').addEventListener('click', () => {
+        const name = modal.querySelector('.catalog-name').value.trim();
+        const changed = {
+            id: entry ? entry.id : newCatalogId(name, kind),
+            name,
+            emoji: modal.querySelector('.catalog-emoji').value.trim(),
+        };
+        kind.numbers.forEach(({ key }) => {
+            changed[key] = Number(modal.querySelector(`[data-key="${key}"]`).value);
+        });
+        if (kind.id === 'animals' && modal.querySelector('.catalog-plural').value.trim()) {
+            changed.plural = modal.querySelector('.catalog-plural').value.trim();
+        }
+        // The form doesn't edit the terrain an animal likes, so a changed animal keeps it
+        if (kind.id === 'animals' && entry && entry.habitat && Object.keys(entry.habitat).length > 0) {
+            changed.habitat = { ...entry.habitat };
+        }
+        if (kind.hasColor) changed.color = modal.querySelector('.catalog-color').value;
+        if (kind.hasTerrain && modal.querySelector('.catalog-terrain').value) {
+            changed.terrain = modal.querySelector('.catalog-terrain').value;
+        }
+        if (kind.hasPlacementRules) {
+            PLACEMENT_COUNTS.forEach(({ key }) => {
+                const value = modal.querySelector(`[data-count="${key}"]`).value;
+                if (value !== '') changed[key] = Number(value);
+            });
+            PLACEMENT_FLAGS.forEach(({ key }) => {
+                if (modal.querySelector(`[data-flag="${key}"]`).checked) changed[key] = true;
+            });
+        }
+        
+        const problems = validateCatalogEntry(kind.id, changed);
+        if (problems.length > 0) {
+            modal.querySelector('.catalog-problems').innerHTML = problems.map(p => `<li>${escapeHTML(p)}</li>`).join('');
+            return;
+        }
+        
+        const catalog = loadCustomCatalog();
+        catalog[kind.id] = [...catalog[kind.id].filter(c => c.id !== changed.id), changed];
+        zooCatalog[kind.id] = zooCatalog[kind.id].filter(c => c.id !== changed.id);
+        applyCustomCatalog(catalog);
+        modal.remove();
+        onSaved();
+    });
+    modal.querySelector('.confirm-no').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+}
+
+// Teacher assignments - a link that fixes the grid size, lists the animals and buildings
+// the zoo must have, can cap the land used, and can lock items in place (like an entrance
+// students have to build around). The assignment code uses the share code format with its
+// own sections, and rides along in every link (`a`) so a student's zoo keeps its assignment.
+const ASSIGNMENT_CODE_VERSION = 1;
+const ASSIGNMENT_TITLE_LENGTH = 60;
+
+const ASSIGNMENT_SECTIONS = {
+    title: 1,             // character codes
+    grid: 2,              // width, height
+    catalogIds: 3,        // as in share codes
+    animals: 4,           // animals that need an enclosure
+    buildings: 5,         // buildings that must be built
+    landBudget: 6,        // most squares the zoo may cover
+    lockedBuildings: 7,   // type, x, y per locked building
+    lockedDecorations: 8, // type, x, y per locked decoration
+    lockedRotations: 9,   // locked item position (buildings, then decorations), quarter turns (1-3)
+};
+
+// Write an assignment as a code for the `a` URL parameter
+function encodeAssignment(assignment) {
+    const catalogIds = [];
+    const catalogRef = (id) => {
+        if (!catalogIds.includes(id)) catalogIds.push(id);
+        return catalogIds.indexOf(id);
+    };
+    const lockedOf = (kind) => assignment.locked.filter(spec => spec.kind === kind);
+    const lockedFields = (kind) => lockedOf(kind).flatMap(spec => [catalogRef(spec.typeId), spec.x, spec.y]);
+    const lockedRotationFields = [...lockedOf('building'), ...lockedOf('decoration')]
+        .flatMap((spec, i) => spec.rotation ? [i, spec.rotation / ROTATION_STEP] : []);
+    
+    // Refs first, so the catalog ids list is complete when it's written
+    const animalFields = assignment.animals.map(catalogRef);
+    const buildingFields = assignment.buildings.map(catalogRef);
+    const lockedBuildingFields = lockedFields('building');
+    const lockedDecorationFields = lockedFields('decoration');
+    
+    return packSections(ASSIGNMENT_CODE_VERSION, [
+        [ASSIGNMENT_SECTIONS.title, Array.from(assignment.title, char => char.codePointAt(0))],
+        [ASSIGNMENT_SECTIONS.grid, [assignment.grid.width, assignment.grid.height]],
+        [ASSIGNMENT_SECTIONS.catalogIds, encodeCatalogIds(catalogIds)],
+        [ASSIGNMENT_SECTIONS.animals, animalFields],
+        [ASSIGNMENT_SECTIONS.buildings, buildingFields],
+        [ASSIGNMENT_SECTIONS.landBudget, assignment.landBudget ? [assignment.landBudget] : []],
+        [ASSIGNMENT_SECTIONS.lockedBuildings, lockedBuildingFields],
+        [ASSIGNMENT_SECTIONS.lockedDecorations, lockedDecorationFields],
+        [ASSIGNMENT_SECTIONS.lockedRotations, lockedRotationFields],
+    ]);
+}
+
+// Read an assignment code (throws if it's broken); catalog entries that are gone are left out
+function decodeAssignment(compact) {
+    const { version, sections } = unpackSections(compact);
+    if (version !== ASSIGNMENT_CODE_VERSION) {
+        throw new Error(`Assignment version ${version} is newer than this Zoo Planner`);
+    }
+    
+    const catalogIds = decodeCatalogIds(sections[ASSIGNMENT_SECTIONS.catalogIds] || []);
+    const refsTo = (tag, catalog) => (sections[tag] || [])
+        .map(ref => resolveCatalogRef(ref, catalogIds, 'assignment'))
+        .filter(id => catalog.some(entry => entry.id === id));
+    const lockedOf = (tag, kind) => toRecords(sections[tag] || [], ['type', 'x', 'y'], 'locked items').map(r => ({ ...r, kind }));
+    const lockedRecords = [
+        ...lockedOf(ASSIGNMENT_SECTIONS.lockedBuildings, 'building'),
+        ...lockedOf(ASSIGNMENT_SECTIONS.lockedDecorations, 'decoration'),
+    ];
+    decodeRotations(sections[ASSIGNMENT_SECTIONS.lockedRotations] || [], lockedRecords, 'locked item rotations');
+    
+    const gridFields = sections[ASSIGNMENT_SECTIONS.grid] || [];
+    const grid = parseGridSize(`${gridFields[0]}x${gridFields[1]}`);
+    if (!grid) {
+        throw new Error('The assignment\'s grid size is missing or out of range');
+    }
+    
+    const budgetFields = sections[ASSIGNMENT_SECTIONS.landBudget];
+    return {
+        title: String.fromCodePoint(...(sections[ASSIGNMENT_SECTIONS.title] || [])),
+        grid,
+        animals: refsTo(ASSIGNMENT_SECTIONS.animals, ANIMALS),
+        buildings: refsTo(ASSIGNMENT_SECTIONS.buildings, BUILDINGS),
+        landBudget: budgetFields ? budgetFields[0] : null,
+        locked: lockedRecords
+            .map(r => ({
+                kind: r.kind,
+                typeId: resolveCatalogRef(r.type, catalogIds, 'locked items'),
+                x: r.x,
+                y: r.y,
+                rotation: r.rotation,
+            }))
+            .filter(spec => (spec.kind === 'building' ? BUILDINGS : DECORATIONS).some(entry => entry.id === spec.typeId)),
+    };
+}
+
+// Start working on an assignment: its grid size applies straight away (returns false if the code is broken)
+function loadAssignment(compact) {
+    let assignment;
+    try {
+        assignment = decodeAssignment(compact);
+    } catch (error) {
+        console.error('Error decoding assignment:', error);
+        showMessageDialog(
+            'This assignment link is broken or incomplete, so it can\'t be opened. Ask your teacher for the link again!',
+            '📝',
+            'Broken Assignment Link'
+        );
+        return false;
+    }
+    
+    state.assignment = assignment;
+    state.assignmentCode = compact;
+    setGridSize(assignment.grid.width, assignment.grid.height);
+    return true;
+}
+
+// Lock the assignment's items, putting back any that aren't on the grid yet
+function applyAssignmentLocks(placeMissing = true) {
+    let added = false;
+    const blocked = [];
+    
+    state.assignment.locked.forEach(spec => {
+        const isBuilding = spec.kind === 'building';
+        const placed = () => (isBuilding ? state.placedBuildings : state.placedDecorations);
+        const match = placed().find(item => !item.locked && isLockedSpot(spec, item));
+        if (match) {
+            match.locked = true;
+            return;
+        }
+        if (!placeMissing) return;
+        
+        const def = (isBuilding ? BUILDINGS : DECORATIONS).find(d => d.id === spec.typeId);
+        const { width, height } = rotatedSize(def, spec.rotation);
+        const fits = fitsInGrid(spec.x, spec.y, width, height) &&
+                     !checkOverlap(spec.x, spec.y, width, height, null, null, overlapRole(spec.kind, def));
+        if (fits) {
+            if (isBuilding) {
+                addBuilding(def, spec.x, spec.y, true, spec.rotation);
+            } else {
+                addDecoration(def, spec.x, spec.y, true, spec.rotation);
+            }
+            placed()[placed().length - 1].locked = true;
+            added = true;
+        } else {
+            blocked.push(`${def.emoji} ${def.name} at ${describeSquare(spec.x, spec.y)}`);
+        }
+    });
+    
+    renderAllItems();
+    renderBuildingList();
+    renderDecorationList();
+    updateSummaryTable();
+    renderAssignmentBanner();
+    if (added) updateURL();
+    
+    if (blocked.length > 0) {
+        const list = blocked.map(item => `<li>${escapeHTML(item)}</li>`).join('');
+        showMessageDialog(
+            `Your teacher placed some things that can't go on the grid, because something is in their way:` +
+            `<ul class="import-skipped">${list}</ul>Move your things out of the way and open the assignment link again - ` +
+            'the checklist counts them as missing until then.',
+            '🔒',
+            'Assignment Items Missing'
+        );
+    }
+}
+
+// Is a placed building or decoration the one an assignment locks at this spot?
+function isLockedSpot(spec, item) {
+    return item.id.split('-')[0] === spec.typeId && item.gridX === spec.x && item.gridY === spec.y &&
+           item.rotation === spec.rotation;
+}
+
+// Tell the student why a locked item won't move
+function showLockedMessage(item) {
+    showMessageDialog(
+        `The ${escapeHTML(item.name)} is part of the assignment, so it stays where your teacher put it.`,
+        '🔒',
+        'Locked'
+    );
+}
+
+// Check the zoo against the assignment: one rubric point per criterion
+function gradeAssignment() {
+    const { animals, buildings, landBudget, locked } = state.assignment;
+    const summaries = getEnclosureSummaries();
+    const criteria = [];
+    
+    // The teacher's fixed items have to be there, where they were put
+    if (locked.length > 0) {
+        const present = locked.filter(spec =>
+            (spec.kind === 'building' ? state.placedBuildings : state.placedDecorations).some(item => isLockedSpot(spec, item))
+        ).length;
+        criteria.push({
+            label: (locked.length === 1 ? 'The teacher-placed item is in place' : `All ${locked.length} teacher-placed items are in place`) +
+                   (present < locked.length ? ` (${locked.length - present} missing)` : ''),
+            passed: present === locked.length,
+        });
+    }
+    
+    animals.forEach(animalId => {
+        const animal = ANIMALS.find(a => a.id === animalId);
+        criteria.push({
+            label: `${animal.emoji} ${animal.name} has an enclosure with enough space`,
+            passed: summaries.some(s => s.enclosure.animals.includes(animalId) && !s.needsWarning),
+        });
+    });
+    
+    buildings.forEach(buildingId => {
+        const building = BUILDINGS.find(b => b.id === buildingId);
+        criteria.push({
+            label: `${building.emoji} ${building.name} is built`,
+            passed: state.placedBuildings.some(b => b.id.split('-')[0] === buildingId),
+        });
+    });
+    
+    // Editing never allows overlaps, but a hand-made link could
+    const items = [
+        ...state.enclosures.map(item => ({ item, role: 'enclosure' })),
+        ...state.placedBuildings.map(item => ({ item, role: null })),
+        ...state.placedDecorations.map(item => ({ item, role: overlapRole('decoration', item) })),
+    ];
+    criteria.push({
+        label: 'Nothing overlaps or sticks out of the zoo',
+        passed: items.every(({ item, role }, i) =>
+            fitsInGrid(item.gridX, item.gridY, item.width, item.height) &&
+            items.slice(i + 1).every(other => !itemsClash(item, role, other.item, other.role))
+        ),
+    });
+    
+    if (landBudget) {
+        const used = squaresUsed();
+        criteria.push({
+            label: `Uses at most ${landBudget} squares of land (${used} used)`,
+            passed: used <= landBudget,
+        });
+    }
+    
+    return {
+        criteria,
+        points: criteria.filter(c => c.passed).length,
+        total: criteria.length,
+    };
+}
+
+// Link to this zoo as submitted by a student, with their name, time and score. Nothing in the
+// link is signed (there's no server to keep a key), so the teacher's copy regrades the zoo and
+// says the name and time can't be checked
+function createResultURL(student, submittedAt, points) {
+    const url = buildZooURL();
+    url.searchParams.set('s', student);
+    url.searchParams.set('t', submittedAt);
+    url.searchParams.set('p', points);
+    return url;
+}
+
+// Copy text, falling back to a hidden input for older browsers
+async function copyToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+    } catch (err) {
+        const input = document.createElement('input');
+        input.value = text;
+        document.body.appendChild(input);
+        input.select();
+        document.execCommand('copy');
+        document.body.removeChild(input);
+    }
+}
+
+// Briefly show "Copied!" on a button
+function flashCopied(button) {
+    const label = button.textContent;
+    button.textContent = '✓ Copied!';
+    setTimeout(() => {
+        button.textContent = label;
+    }, 2000);
+}
+
+// Set up the assignment button
+function setupAssignments() {
+    document.getElementById('assignmentBtn').addEventListener('click', showAssignmentDialog);
+}
+
+// Show the assignment's checklist above the grid while a student works on it
+function renderAssignmentBanner() {
+    const banner = document.getElementById('assignmentBanner');
+    const gridSizeBtn = document.getElementById('gridSizeBtn');
+    
+    // The assignment fixes the grid size
+    gridSizeBtn.disabled = state.assignment !== null;
+    
+    if (!state.assignment) {
+        banner.hidden = true;
+        banner.innerHTML = '';
+        return;
+    }
+    
+    const { criteria } = gradeAssignment();
+    banner.hidden = false;
+    banner.innerHTML = `
+        <div class="assignment-header">
+            <h2 class="assignment-title"></h2>
+            <button class="assignment-submit-btn" id="assignmentSubmitBtn">✅ Submit</button>
+        </div>
+        <ul class="assignment-checklist">
+            ${criteria.map(c => `
+                <li class="${c.passed ? 'passed' : ''}">${c.passed ? '✅' : '⬜'} ${escapeHTML(c.label)}</li>
+            `).join('')}
+        </ul>
+    `;
+    
+    // The title is typed by the teacher, so never put it in as HTML
+    banner.querySelector('.assignment-title').textContent = `📝 ${state.assignment.title || 'Assignment'}`;
+    banner.querySelector('#assignmentSubmitBtn').addEventListener('click', submitAssignment);
+}
+
+// Teachers: make an assignment link from the zoo on screen
+function showAssignmentDialog() {
+    const current = state.assignment;
+    const lockable = state.placedBuildings.length + state.placedDecorations.length;
+    const checked = (list, id) => (current && list.includes(id) ? 'checked' : '');
+    
+    const modal = document.createElement('div');
+    modal.className = 'confirm-modal';
+    modal.innerHTML = `
+        <div class="confirm-content assignment-content">
+            <div class="confirm-emoji">📝</div>
+            <h3>Make an Assignment</h3>
+            <p class="confirm-message">Students who open the link get a ${state.gridWidth} × ${state.gridHeight} zoo to fill in.</p>
+            <label class="assignment-field">Title
+                <input type="text" id="assignmentTitle" class="prompt-input" maxlength="${ASSIGNMENT_TITLE_LENGTH}">
+            </label>
+            <fieldset class="assignment-options">
+                <legend>Animals that need an enclosure</legend>
+                ${ANIMALS.map(animal => `
+                    <label><input type="checkbox" class="assignment-animal" value="${animal.id}" ${checked(current ? current.animals : [], animal.id)}>
+                        ${animal.emoji} ${animal.name}</label>
+                `).join('')}
+            </fieldset>
+            <fieldset class="assignment-options">
+                <legend>Buildings that must be built</legend>
+                ${BUILDINGS.map(building => `
+                    <label><input type="checkbox" class="assignment-building" value="${building.id}" ${checked(current ? current.buildings : [], building.id)}>
+                        ${building.emoji} ${building.name}</label>
+                `).join('')}
+            </fieldset>
+            <label class="assignment-field">Land budget (squares, blank for none)
+                <input type="number" id="assignmentBudget" class="grid-size-input" min="1" max="${state.gridWidth * state.gridHeight}" step="1"
+                       value="${current && current.landBudget ? current.landBudget : ''}">
+            </label>
+            <label class="assignment-field">
+                <input type="checkbox" id="assignmentLock" ${lockable > 0 ? 'checked' : 'disabled'}>
+                Lock the ${lockable} buildings and decorations on the grid now
+            </label>
+            <input type="text" id="assignmentLink" class="prompt-input" readonly hidden>
+            <div class="confirm-buttons">
+                <button class="confirm-ok" id="assignmentCopyBtn">🔗 Copy Assignment Link</button>
+                <button class="confirm-no">Close</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const titleInput = modal.querySelector('#assignmentTitle');
+    const budgetInput = modal.querySelector('#assignmentBudget');
+    const linkInput = modal.querySelector('#assignmentLink');
+    const copyBtn = modal.querySelector('#assignmentCopyBtn');
+    const checkedValues = (selector) => Array.from(modal.querySelectorAll(`${selector}:checked`), box => box.value);
+    
+    titleInput.value = current ? current.title : state.zooName;
+    
+    // A blank budget means no limit; anything else has to be a sensible number of squares
+    const budget = () => (budgetInput.value.trim() ? parseInt(budgetInput.value, 10) : null);
+    const validate = () => {
+        const value = budget();
+        copyBtn.disabled = value !== null && !(value >= 1 && value <= state.gridWidth * state.gridHeight);
+    };
+    budgetInput.addEventListener('input', validate);
+    
+    copyBtn.addEventListener('click', async () => {
+        const lock = modal.querySelector('#assignmentLock').checked;
+        const assignment = {
+            title: titleInput.value.trim(),
+            grid: { width: state.gridWidth, height: state.gridHeight },
+            animals: checkedValues('.assignment-animal'),
+            buildings: checkedValues('.assignment-building'),
+            landBudget: budget(),
+            locked: lock ? [
+                ...state.placedBuildings.map(b => ({
+                    kind: 'building', typeId: b.id.split('-')[0], x: b.gridX, y: b.gridY, rotation: b.rotation,
+                })),
+                ...state.placedDecorations.map(d => ({
+                    kind: 'decoration', typeId: d.id.split('-')[0], x: d.gridX, y: d.gridY, rotation: d.rotation,
+                })),
+            ] : [],
+        };
+        
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.searchParams.set('a', encodeAssignment(assignment));
+        
+        // Shown as well, for pasting into places the clipboard can't reach
+        linkInput.value = url.toString();
+        linkInput.hidden = false;
+        await copyToClipboard(linkInput.value);
+        flashCopied(copyBtn);
+    });
+    
+    modal.querySelector('.confirm-no').addEventListener('click', () => modal.remove());
+    
+    // Click outside to close
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+    
+    setTimeout(() => titleInput.focus(), 100);
+}
+
+// Student: hand the zoo in - ask for a name, then show the graded result
+function submitAssignment() {
+    showPromptDialog('What\'s your name? It goes on the result your teacher sees.', state.studentName, (name) => {
+        if (!name) return;
+        setStudentName(name);
+        
+        const submittedAt = Date.now();
+        const grade = gradeAssignment();
+        showAssignmentResult(grade, name, submittedAt, createResultURL(name, submittedAt, grade.points));
+    }, '✅', 'Submit Assignment');
+}
+
+// Teacher opening a result link: regrade the zoo rather than trust the score in the link
+function showSubmittedResult(params) {
+    const student = params.get('s') || '';
+    const submittedAt = parseInt(params.get('t'), 10);
+    const claimedPoints = parseInt(params.get('p'), 10);
+    
+    showAssignmentResult(gradeAssignment(), student, submittedAt, null, isNaN(claimedPoints) ? null : claimedPoints);
+}
+
+// Rubric dialog - with copy and download buttons for the student, or notes on the link for the teacher
+function showAssignmentResult(grade, student, submittedAt, resultURL, claimedPoints = null) {
+    const percent = grade.total > 0 ? Math.round(grade.points / grade.total * 100) : 100;
+    const title = state.assignment.title || 'Assignment';
+    
+    const modal = document.createElement('div');
+    modal.className = 'confirm-modal';
+    modal.innerHTML = `
+        <div class="confirm-content assignment-content">
+            <div class="confirm-emoji">${percent === 100 ? '🏆' : '📝'}</div>
+            <h3 class="assignment-result-title"></h3>
+            <p class="assignment-score">${percent}%</p>
+            <p class="assignment-result-meta"></p>
+            ${claimedPoints !== null && claimedPoints !== grade.points ? `
+                <p class="assignment-warning">⚠️ The link says ${claimedPoints} of ${grade.total} points, but the zoo in it
+                earns ${grade.points}. The score above is the one the zoo earns now.</p>
+            ` : ''}
+            ${resultURL ? '' : `
+                <p class="assignment-note">ℹ️ The score is worked out again from the zoo in the link. The name and time
+                are only what the link says - anyone with the link can change them.</p>
+            `}
+            <ul class="assignment-checklist assignment-rubric">
+                ${grade.criteria.map(c => `
+                    <li class="${c.passed ? 'passed' : ''}">${c.passed ? '✅' : '❌'} ${escapeHTML(c.label)}</li>
+                `).join('')}
+            </ul>
+            <div class="confirm-buttons">
+                ${resultURL ? `
+                    <button class="confirm-ok" id="resultCopyBtn">🔗 Copy Result Link</button>
+                    <button class="confirm-no" id="resultDownloadBtn">💾 Download</button>
+                ` : ''}
+                <button class="confirm-no" id="resultCloseBtn">Close</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    // Titles and names are typed by people, so never put them in as HTML
+    modal.querySelector('.assignment-result-title').textContent = title;
+    modal.querySelector('.assignment-result-meta').textContent =
+        `${grade.points} of ${grade.total} points · ${student || 'No name'} · ${new Date(submittedAt).toLocaleString()}`;
+    
+    if (resultURL) {
+        const copyBtn = modal.querySelector('#resultCopyBtn');
+        copyBtn.addEventListener('click', async () => {
+            await copyToClipboard(resultURL.toString());
+            flashCopied(copyBtn);
+        });
+        
+        modal.querySelector('#resultDownloadBtn').addEventListener('click', () => {
+            const result = {
+                format: 'zoo-planner-result',
+                assignment: title,
+                student,
+                submittedAt: new Date(submittedAt).toISOString(),
+                score: { points: grade.points, total: grade.total, percent },
+                rubric: grade.criteria.map(c => ({ criterion: c.label, passed: c.passed })),
+                link: resultURL.toString(),
+            };
+            downloadFile(`${zooFileBaseName()}-result.json`, JSON.stringify(result, null, 2), 'application/json');
+        });
+    }
+    
+    modal.querySelector('#resultCloseBtn').addEventListener('click', () => modal.remove());
+    
+    // Click outside to close
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+}
+
+// Styles copied from styles.css onto exported shapes so the SVG draws on its own
+const EXPORT_STYLE_PROPERTIES = [
+    'fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity',
+    'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline',
+    'paint-order', 'stroke-linejoin'
+];
+const EXPORT_PADDING = 20;
+const EXPORT_MIN_WIDTH = 480; // Room for the legend columns on small grids
+const EXPORT_TITLE_HEIGHT = 50;
+const EXPORT_LEGEND_ROW_HEIGHT = 24;
+
+// Build a self-contained copy of the zoo map: styles inlined, emoji as plain SVG text,
+// with an optional title block and legend
+function createStandaloneSvg({ title = false, legend = false, gridLines = true } = {}) {
+    const svg = document.getElementById('zooGrid');
+    const clone = svg.cloneNode(true);
+    
+    // Copy the computed look onto each SVG shape (the clone has the same elements in the same order)
+    const originals = svg.querySelectorAll('*');
+    const copies = clone.querySelectorAll('*');
+    originals.forEach((original, i) => {
+        if (original.namespaceURI !== 'http://www.w3.org/2000/svg') return; // Skip the emoji <div>s
+        
+        const computed = window.getComputedStyle(original);
+        EXPORT_STYLE_PROPERTIES.forEach(prop => {
+            const value = computed.getPropertyValue(prop);
+            if (value) copies[i].style.setProperty(prop, value);
+        });
+        copies[i].removeAttribute('class');
+    });
+    
+    // Enclosure emoji are HTML inside a foreignObject, which many viewers can't draw - use SVG text
+    clone.querySelectorAll('foreignObject').forEach(foreignObject => {
+        const div = foreignObject.querySelector('div');
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', Number(foreignObject.getAttribute('x')) + Number(foreignObject.getAttribute('width')) / 2);
+        text.setAttribute('y', Number(foreignObject.getAttribute('y')) + Number(foreignObject.getAttribute('height')) / 2);
+        text.setAttribute('text-anchor', 'middle');
+        text.setAttribute('dominant-baseline', 'central');
+        text.setAttribute('font-size', div ? parseFloat(div.style.fontSize) : 20);
+        text.textContent = div ? div.textContent : '';
+        foreignObject.replaceWith(text);
+    });
+    
+    // Drag previews, turn handles and the selection aren't part of the zoo
+    clone.querySelectorAll('#buildingPreview, #tempEnclosure, #tempEnclosureLabel, #gridCursor, #selectionBox, .rotate-handle')
+        .forEach(el => el.remove());
+    clone.querySelectorAll('.selected').forEach(el => el.classList.remove('selected'));
+    if (!gridLines) {
+        clone.querySelector('#gridLines').innerHTML = '';
+    }
+    
+    const mapWidth = state.gridWidth * CELL_SIZE;
+    const mapHeight = state.gridHeight * CELL_SIZE;
+    const summaries = legend ? getEnclosureSummaries() : [];
+    const titleHeight = title ? EXPORT_TITLE_HEIGHT : 0;
+    const legendHeight = summaries.length > 0 ? 50 + summaries.length * EXPORT_LEGEND_ROW_HEIGHT : 0;
+    const width = Math.max(mapWidth, title || legend ? EXPORT_MIN_WIDTH : 0) + EXPORT_PADDING * 2;
+    const height = EXPORT_PADDING * 2 + titleHeight + mapHeight + legendHeight;
+    
+    const out = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    out.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    out.setAttribute('width', width);
+    out.setAttribute('height', height);
+    out.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    out.setAttribute('font-family', "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif");
+    
+    // Helper for the extra labels around the map
+    const addText = (parent, x, y, content, attributes = {}) => {
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', x);
+        text.setAttribute('y', y);
+        Object.entries(attributes).forEach(([name, value]) => text.setAttribute(name, value));
+        text.textContent = content;
+        parent.appendChild(text);
+        return text;
+    };
+    
+    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    background.setAttribute('width', width);
+    background.setAttribute('height', height);
+    background.setAttribute('fill', 'white');
+    out.appendChild(background);
+    
+    if (title) {
+        addText(out, width / 2, EXPORT_PADDING + 28, state.zooName || 'My Zoo', {
+            'text-anchor': 'middle', 'font-size': 26, 'font-weight': 'bold', fill: '#333'
+        });
+    }
+    
+    // The map itself, centred, with the border the page draws in CSS
+    const map = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    map.setAttribute('transform', `translate(${(width - mapWidth) / 2}, ${EXPORT_PADDING + titleHeight})`);
+    Array.from(clone.childNodes).forEach(child => map.appendChild(child));
+    
+    const border = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    border.setAttribute('width', mapWidth);
+    border.setAttribute('height', mapHeight);
+    border.setAttribute('fill', 'none');
+    border.setAttribute('stroke', '#333');
+    border.setAttribute('stroke-width', 2);
+    map.appendChild(border);
+    out.appendChild(map);
+    
+    // Legend - the enclosure summary table as text rows
+    if (summaries.length > 0) {
+        const legendGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        legendGroup.setAttribute('transform', `translate(${EXPORT_PADDING}, ${EXPORT_PADDING + titleHeight + mapHeight + 30})`);
+        legendGroup.setAttribute('font-size', 14);
+        
+        const columns = [0, 200, 290, 390];
+        ['Animal', 'Size', 'Perimeter', 'Area'].forEach((heading, i) => {
+            addText(legendGroup, columns[i], 0, heading, { 'font-weight': 'bold', fill: '#667eea' });
+        });
+        
+        summaries.forEach(({ enclosure, name, emoji, minArea, minPerimeter, area, perimeter, areaTooSmall, perimeterTooSmall }, row) => {
+            const y = (row + 1) * EXPORT_LEGEND_ROW_HEIGHT;
+            addText(legendGroup, columns[0], y, `${emoji} ${name}`, { fill: '#333' });
+            addText(legendGroup, columns[1], y, enclosureSizeLabel(enclosure), { fill: '#666' });
+            addText(legendGroup, columns[2], y, `${perimeter}/${minPerimeter}`, {
+                fill: perimeterTooSmall ? '#e0a800' : '#333', 'font-weight': perimeterTooSmall ? 'bold' : 'normal'
+            });
+            addText(legendGroup, columns[3], y, `${area}/${minArea}`, {
+                fill: areaTooSmall ? '#e0a800' : '#333', 'font-weight': areaTooSmall ? 'bold' : 'normal'
+            });
+        });
+        
+        out.appendChild(legendGroup);
+    }
+    
+    return out;
+}
+
+// Turn an SVG element into a standalone .svg file's text
+function serializeSvg(svg) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+}
+
+// Download the map as an SVG file
+function exportSvg(options) {
+    downloadFile(`${zooFileBaseName()}.svg`, serializeSvg(createStandaloneSvg(options)), 'image/svg+xml');
+}
+
+// Download the map as a PNG, drawn at `scale` times the on-screen size
+function exportPng(options, scale) {
+    const svg = createStandaloneSvg(options);
+    const width = Number(svg.getAttribute('width'));
+    const height = Number(svg.getAttribute('height'));
+    
+    const img = new Image();
+    img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.drawImage(img, 0, 0, width, height);
+        
+        canvas.toBlob(blob => {
+            if (blob) {
+                downloadFile(`${zooFileBaseName()}.png`, blob);
+            } else {
+                showMessageDialog('The picture was too big to make. Try a smaller size.', '🖼️', 'Export Picture');
+            }
+        }, 'image/png');
+    };
+    img.onerror = () => {
+        console.error('Error drawing zoo picture');
+        showMessageDialog('Sorry, the picture couldn\'t be made in this browser. Try SVG instead.', '🖼️', 'Export Picture');
+    };
+    img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(serializeSvg(svg));
+}
+
+// Show the export picture dialog
+function showExportDialog() {
+    const modal = document.createElement('div');
+    modal.className = 'confirm-modal';
+    modal.innerHTML = `
+        <div class="confirm-content export-content">
+            <div class="confirm-emoji">🖼️</div>
+            <h3>Export Picture</h3>
+            <div class="export-options">
+                <label><input type="radio" name="exportFormat" value="png" checked> PNG picture</label>
+                <label><input type="radio" name="exportFormat" value="svg"> SVG (sharp at any size)</label>
+                <label class="export-scale">Size
+                    <select id="exportScale">
+                        <option value="1">1× (screen)</option>
+                        <option value="2" selected>2× (good for printing)</option>
+                        <option value="4">4× (poster)</option>
+                    </select>
+                </label>
+                <label><input type="checkbox" id="exportTitle" checked> Zoo name as a title</label>
+                <label><input type="checkbox" id="exportLegend" checked> Enclosure legend</label>
+            </div>
+            <div class="confirm-buttons">
+                <button class="confirm-ok" id="exportDownload">Download</button>
+                <button class="confirm-no">Cancel</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const scaleSelect = modal.querySelector('#exportScale');
+    const formatInputs = modal.querySelectorAll('input[name="exportFormat"]');
+    
+    // Scale only matters for PNG
+    formatInputs.forEach(input => {
+        input.addEventListener('change', () => {
+            scaleSelect.disabled = modal.querySelector('input[name="exportFormat"]:checked').value !== 'png';
+        });
+    });
+    
+    modal.querySelector('#exportDownload').addEventListener('click', () => {
+        const format = modal.querySelector('input[name="exportFormat"]:checked').value;
+        const options = {
+            title: modal.querySelector('#exportTitle').checked,
+            legend: modal.querySelector('#exportLegend').checked,
+        };
+        modal.remove();
+        
+        if (format === 'svg') {
+            exportSvg(options);
+        } else {
+            exportPng(options, Number(scaleSelect.value));
+        }
+    });
+    
+    modal.querySelector('.confirm-no').addEventListener('click', () => modal.remove());
+    
+    // Click outside to cancel
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+}
+
+// Fill in the printable report: map, zoo name and a table of every enclosure
+function renderPrintReport() {
+    const report = document.getElementById('printReport');
+    const summaries = getEnclosureSummaries();
+    
+    const gridArea = state.gridWidth * state.gridHeight;
+    const footprint = items => items.reduce((total, item) => total + item.width * item.height, 0);
+    const enclosureArea = summaries.reduce((total, summary) => total + summary.area, 0);
+    const buildingArea = footprint(state.placedBuildings);
+    const decorationArea = footprint(state.placedDecorations.filter(d => !insideEnclosure(d)));
+    const landUsed = enclosureArea + buildingArea + decorationArea;
+    const passed = summaries.filter(summary => !summary.needsWarning).length;
+    
+    const rows = summaries.map(({ enclosure, name, emoji, minArea, minPerimeter, area, perimeter, areaTooSmall, perimeterTooSmall, needsWarning,
+                                  habitatScore, habitatWarning }) => `
+        <tr class="${needsWarning ? 'report-fail' : ''}">
+            <td>${emoji} ${escapeHTML(name)}</td>
+            <td>${enclosureSizeLabel(enclosure)}</td>
+            <td class="${perimeterTooSmall ? 'too-small' : ''}">${perimeter}</td>
+            <td>${minPerimeter}</td>
+            <td class="${areaTooSmall ? 'too-small' : ''}">${area}</td>
+            <td>${minArea}</td>
+            <td class="${habitatWarning ? 'too-small' : ''}">${formatPercent(habitatScore)}</td>
+            <td class="report-result">${needsWarning ? '✗ Too small' : '✓ Pass'}</td>
+        </tr>
+    `).join('');
+    
+    report.innerHTML = `
+        <h1 class="report-title"></h1>
+        <p class="report-meta">${state.gridWidth} × ${state.gridHeight} grid · Printed ${new Date().toLocaleDateString()}</p>
+        <div class="report-map"></div>
+        <table class="report-table">
+            <thead>
+                <tr>
+                    <th>Animal</th>
+                    <th>Size</th>
+                    <th>Perimeter</th>
+                    <th>Min</th>
+                    <th>Area</th>
+                    <th>Min</th>
+                    <th>Habitat</th>
+                    <th>Result</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows || '<tr><td colspan="8">No enclosures yet</td></tr>'}
+            </tbody>
+        </table>
+        <p class="report-totals">
+            <strong>${passed} of ${summaries.length}</strong> enclosures have enough space.<br>
+            <strong>Land used:</strong> ${landUsed} of ${gridArea} squares
+            (enclosures ${enclosureArea}, buildings ${buildingArea}, decorations ${decorationArea}) -
+            ${gridArea - landUsed} squares left
+        </p>
+    `;
+    
+    // Zoo name is typed by the user, so set it as text
+    report.querySelector('.report-title').textContent = state.zooName || 'My Zoo';
+    report.querySelector('.report-map').appendChild(createStandaloneSvg());
+}
+
+// Print the report (the print stylesheet hides the editor)
+function printReport() {
+    renderPrintReport();
+    window.print();
+}
+
+// Set up the print button - Ctrl+P prints the report too
+function setupPrintReport() {
+    document.getElementById('printReportBtn').addEventListener('click', printReport);
+    window.addEventListener('beforeprint', renderPrintReport);
+}
+
+// Escape text for use inside innerHTML
+function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Setup collapsible sections
+function setupCollapsibleSections() {
+    const decorationsHeader = document.getElementById('decorationsHeader');
+    const decorationsContent = document.getElementById('decorationsContent');
+    
+    decorationsHeader.addEventListener('click', () => {
+        // Toggle collapsed class on header and content
+        decorationsHeader.classList.toggle('collapsed');
+        decorationsContent.classList.toggle('collapsed');
+    });
+    
+    // Start collapsed by default
+    decorationsHeader.classList.add('collapsed');
+    decorationsContent.classList.add('collapsed');
+}
+
+// Setup math practice toggle
+function setupMathPracticeToggle() {
+    const toggle = document.getElementById('mathPracticeToggle');
+    
+    if (!toggle) {
+        console.error('Math practice toggle not found!');
+        return;
+    }
+    
+    // Set initial state
+    state.mathPractice = toggle.checked;
+    state.mathSettings = loadMathSettings();
+    document.getElementById('mathSettingsBtn').addEventListener('click', showMathSettingsDialog);
+    
+    // Handle change event on checkbox
+    toggle.addEventListener('change', (e) => {
+        state.mathPractice = e.target.checked;
+        console.log('Math practice mode:', state.mathPractice ? 'ON' : 'OFF');
+    });
+    
+    console.log('Math practice toggle initialized, initial state:', state.mathPractice ? 'ON' : 'OFF');
+}
+
+// Diagram of a painted enclosure for the math practice modal, with every side's length
+function createShapeDiagram(enclosure) {
+    const margin = 25;
+    const scale = Math.min(150 / enclosure.width, 100 / enclosure.height, 30);
+    const viewWidth = enclosure.width * scale + margin * 2;
+    const viewHeight = enclosure.height * scale + margin * 2;
+    
+    // Each side's length goes just outside it - loops run clockwise, so outside is on the left
+    const labels = shapeOutline(enclosure).flatMap(loop => loop.map((start, i) => {
+        const end = loop[(i + 1) % loop.length];
+        const length = Math.abs(end[0] - start[0]) + Math.abs(end[1] - start[1]);
+        const outX = Math.sign(end[1] - start[1]);
+        const outY = -Math.sign(end[0] - start[0]);
+        const x = margin + (start[0] + end[0]) / 2 * scale + outX * 10;
+        const y = margin + (start[1] + end[1]) / 2 * scale + outY * 10;
+        return `<text x="${x}" y="${y}" text-anchor="middle" dominant-baseline="central" font-size="12" font-weight="bold" fill="#333">${length}</text>`;
+    }));
+    
+    return `
+        <svg class="math-practice-rectangle" viewBox="0 0 ${viewWidth} ${viewHeight}" width="${viewWidth}" height="${viewHeight}">
+            <path d="${shapePath(enclosure, scale)}" transform="translate(${margin} ${margin})"
+                  fill="rgba(102, 126, 234, 0.2)" stroke="#667eea" stroke-width="3" stroke-linejoin="round"/>
+            ${labels.join('')}
+        </svg>
+    `;
+}
+
+// Setup the rectangle / paint squares choice for drawing enclosures
+function setupShapeMode() {
+    const buttons = document.querySelectorAll('.shape-mode-btn');
+    buttons.forEach(button => {
+        button.addEventListener('click', () => {
+            state.enclosureMode = button.dataset.mode;
+            buttons.forEach(other => {
+                const active = other === button;
+                other.classList.toggle('active', active);
+                other.setAttribute('aria-pressed', active);
+            });
+        });
+    });
+}
+
+// Labelled rectangle for the math practice modal - any side label can be '?'
+function createRectangleDiagram(top, right, bottom = top, left = right) {
+    return `
+        <svg class="math-practice-rectangle" viewBox="0 0 200 150" width="200" height="150">
+            <rect x="40" y="30" width="120" height="90" 
+                  fill="rgba(102, 126, 234, 0.2)" 
+                  stroke="#667eea" 
+                  stroke-width="3" 
+                  rx="5"/>
+            
+            <!-- Top edge -->
+            <line x1="40" y1="20" x2="160" y2="20" stroke="#333" stroke-width="2"/>
+            <text x="100" y="15" text-anchor="middle" font-size="14" font-weight="bold" fill="#333">${top}</text>
+            
+            <!-- Right edge -->
+            <line x1="170" y1="30" x2="170" y2="120" stroke="#333" stroke-width="2"/>
+            <text x="180" y="75" text-anchor="middle" font-size="14" font-weight="bold" fill="#333">${right}</text>
+            
+            <!-- Bottom edge -->
+            <line x1="40" y1="130" x2="160" y2="130" stroke="#333" stroke-width="2"/>
+            <text x="100" y="145" text-anchor="middle" font-size="14" font-weight="bold" fill="#333">${bottom}</text>
+            
+            <!-- Left edge -->
+            <line x1="30" y1="30" x2="30" y2="120" stroke="#333" stroke-width="2"/>
+            <text x="20" y="75" text-anchor="middle" font-size="14" font-weight="bold" fill="#333">${left}</text>
+        </svg>
+    `;
+}
+
+// Diagram of an enclosure with its side lengths - rectangles or painted shapes
+function createEnclosureDiagram(enclosure) {
+    return enclosure.shape ? createShapeDiagram(enclosure) : createRectangleDiagram(enclosure.width, enclosure.height);
+}
+
+// Squares covered by everything on the grid, optionally leaving one item out
+function squaresUsed(excludeId = null) {
+    return [...state.enclosures, ...state.placedBuildings, ...state.placedDecorations.filter(d => !insideEnclosure(d))]
+        .filter(item => item.id !== excludeId)
+        .reduce((total, item) => total + itemCells(item).length, 0);
+}
+
+// Does a typed fraction like "3/10" equal numerator/denominator?
+function isEquivalentFraction(text, numerator, denominator) {
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(text);
+    if (!match || parseInt(match[2], 10) === 0) return false;
+    return parseInt(match[1], 10) * denominator === parseInt(match[2], 10) * numerator;
+}
+
+// Pick one of a list at random
+function randomChoice(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+// Math challenges - the math practice modal asks one question before an enclosure is built.
+// Each question type has a name (shown in the progress panel), a level, says whether it fits
+// the enclosure being built (`fits`), and `create`s a question: { instructions, visual, details, fields }. A field is
+// { id, label, answer } for a whole number, or { id, label, check, placeholder } for text
+// like a fraction. Add a type to MATH_QUESTION_TYPES and it joins the rotation for its level.
+//
+// The context passed in is { enclosure, isResizing } - the enclosure as it will be built
+// (with its real position and residents; for a resize, the existing enclosure itself).
+const MATH_LEVELS = [
+    { level: 1, name: 'Perimeter and area' },
+    { level: 2, name: 'Missing sides and comparing enclosures' },
+    { level: 3, name: 'Whole zoo area and metres' },
+    { level: 4, name: 'Fractions of the zoo' },
+];
+const MATH_SETTINGS_KEY = 'zooPlanner.mathSettings';
+const DEFAULT_MATH_SETTINGS = { levels: [1], metresPerSquare: 5 };
+
+const MATH_QUESTION_TYPES = [
+    {
+        id: 'perimeterArea',
+        name: 'Perimeter and area',
+        level: 1,
+        fits: () => true,
+        create: ({ enclosure }) => ({
+            instructions: 'Calculate the perimeter and area of this enclosure:',
+            visual: createEnclosureDiagram(enclosure),
+            details: enclosure.shape
+                ? 'Count the squares inside for the area, and add up every side for the perimeter'
+                : `<strong>Dimensions:</strong> ${enclosure.width} × ${enclosure.height} squares`,
+            fields: [
+                { id: 'perimeter', label: 'Perimeter', answer: enclosurePerimeter(enclosure) },
+                { id: 'area', label: 'Area', answer: enclosureArea(enclosure) },
+            ],
+        }),
+    },
+    {
+        id: 'missingSide',
+        name: 'Missing side',
+        level: 2,
+        fits: ({ enclosure }) => !enclosure.shape,
+        create: ({ enclosure }) => {
+            const { width, height } = enclosure;
+            const useArea = Math.random() < 0.5;
+            const clue = useArea
+                ? `The area of this enclosure is <strong>${width * height}</strong> squares.`
+                : `The fence around this enclosure is <strong>${2 * (width + height)}</strong> squares long.`;
+            return {
+                instructions: `${clue} One side is ${width} squares long. How long is the other side?`,
+                visual: createRectangleDiagram(width, '?'),
+                details: useArea ? 'Area = side × side' : 'Perimeter = side + side + side + side',
+                fields: [
+                    { id: 'side', label: 'Other side', answer: height },
+                ],
+            };
+        },
+    },
+    {
+        id: 'compareEnclosures',
+        name: 'Comparing enclosures',
+        level: 2,
+        fits: ({ enclosure }) => state.enclosures.some(other => other.id !== enclosure.id),
+        create: ({ enclosure }) => {
+            const other = randomChoice(state.enclosures.filter(e => e.id !== enclosure.id));
+            const area = enclosureArea(enclosure);
+            const otherArea = enclosureArea(other);
+            return {
+                instructions: `Compare this enclosure with the ${enclosureName(other)} enclosure. How much bigger is the bigger one?`,
+                visual: createEnclosureDiagram(enclosure),
+                details: `<strong>This one:</strong> ${enclosureSizeLabel(enclosure)} · ` +
+                         `<strong>${enclosureName(other)}:</strong> ${enclosureSizeLabel(other)}`,
+                fields: [
+                    { id: 'area', label: 'Area of this one', answer: area },
+                    { id: 'otherArea', label: `Area of the ${enclosureName(other)} one`, answer: otherArea },
+                    { id: 'difference', label: 'Difference', answer: Math.abs(area - otherArea) },
+                ],
+            };
+        },
+    },
+    {
+        id: 'zooArea',
+        name: 'Whole zoo area',
+        level: 3,
+        fits: () => true,
+        create: ({ enclosure }) => {
+            const total = state.gridWidth * state.gridHeight;
+            const used = squaresUsed(enclosure.id);
+            return {
+                instructions: 'How big is the whole zoo, and how many squares will be free after you build this?',
+                visual: createEnclosureDiagram(enclosure),
+                details: `<strong>Zoo:</strong> ${state.gridWidth} × ${state.gridHeight} squares · ` +
+                         `<strong>Already used:</strong> ${used} squares · ` +
+                         `<strong>This enclosure:</strong> ${enclosureSizeLabel(enclosure)}`,
+                fields: [
+                    { id: 'zooArea', label: 'Whole zoo area', answer: total },
+                    { id: 'free', label: 'Squares still free', answer: total - used - enclosureArea(enclosure) },
+                ],
+            };
+        },
+    },
+    {
+        id: 'metres',
+        name: 'Metres',
+        level: 3,
+        fits: () => true,
+        create: ({ enclosure }) => {
+            const metres = state.mathSettings.metresPerSquare;
+            return {
+                instructions: `Each square is ${metres} metres long. How much fence does this enclosure need, and how much ground does it cover?`,
+                visual: createEnclosureDiagram(enclosure),
+                details: enclosure.shape
+                    ? `Perimeter ${enclosurePerimeter(enclosure)} squares, area ${enclosureArea(enclosure)} squares`
+                    : `<strong>Dimensions:</strong> ${enclosure.width} × ${enclosure.height} squares`,
+                fields: [
+                    { id: 'fence', label: 'Fence (metres)', answer: enclosurePerimeter(enclosure) * metres },
+                    { id: 'ground', label: 'Ground (square metres)', answer: enclosureArea(enclosure) * metres * metres },
+                ],
+            };
+        },
+    },
+    {
+        id: 'fractionOfZoo',
+        name: 'Fractions of the zoo',
+        level: 4,
+        fits: () => true,
+        create: ({ enclosure }) => {
+            const total = state.gridWidth * state.gridHeight;
+            const area = enclosureArea(enclosure);
+            const free = total - squaresUsed(enclosure.id) - area;
+            return {
+                instructions: 'What fraction of the whole zoo does this enclosure cover? What fraction is still free after building it?',
+                visual: createEnclosureDiagram(enclosure),
+                details: `<strong>Zoo:</strong> ${state.gridWidth} × ${state.gridHeight} squares · ` +
+                         `<strong>This enclosure:</strong> ${area} squares · ` +
+                         `<strong>Free afterwards:</strong> ${free} squares`,
+                fields: [
+                    { id: 'covered', label: 'Covered', placeholder: 'like 3/10', check: text => isEquivalentFraction(text, area, total) },
+                    { id: 'freeFraction', label: 'Free', placeholder: 'like 3/10', check: text => isEquivalentFraction(text, free, total) },
+                ],
+            };
+        },
+    },
+];
+
+// Read the teacher's math settings (levels and metres per square)
+function loadMathSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(MATH_SETTINGS_KEY)) || {};
+        const levels = Array.isArray(saved.levels)
+            ? saved.levels.filter(level => MATH_LEVELS.some(l => l.level === level))
+            : [];
+        return {
+            levels: levels.length > 0 ? levels : DEFAULT_MATH_SETTINGS.levels,
+            metresPerSquare: Number.isInteger(saved.metresPerSquare) && saved.metresPerSquare > 0
+                ? saved.metresPerSquare
+                : DEFAULT_MATH_SETTINGS.metresPerSquare,
+        };
+    } catch (error) {
+        console.error('Error reading math settings:', error);
+        return { ...DEFAULT_MATH_SETTINGS };
+    }
+}
+
+// Remember the teacher's math settings in this browser
+function saveMathSettings(settings) {
+    state.mathSettings = settings;
+    try {
+        localStorage.setItem(MATH_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Error saving math settings:', error);
+    }
+}
+
+// Choose a question from the levels the teacher turned on
+function pickMathQuestion(context) {
+    const candidates = MATH_QUESTION_TYPES.filter(type =>
+        state.mathSettings.levels.includes(type.level) && type.fits(context)
+    );
+    const type = candidates.length > 0 ? randomChoice(candidates) : MATH_QUESTION_TYPES[0];
+    return { type: type.id, level: type.level, ...type.create(context) };
+}
+
+// Teacher settings: which math levels come up and how long a square is
+function showMathSettingsDialog() {
+    const modal = document.createElement('div');
+    modal.className = 'confirm-modal';
+    modal.innerHTML = `
+        <div class="confirm-content">
+            <div class="confirm-emoji">📐</div>
+            <h3>Math Levels</h3>
+            <p class="confirm-message">Choose which kinds of questions come up before an enclosure is built.</p>
+            <div class="math-settings-options">
+                ${MATH_LEVELS.map(({ level, name }) => `
+                    <label><input type="checkbox" class="math-level-option" value="${level}"
+                        ${state.mathSettings.levels.includes(level) ? 'checked' : ''}> Level ${level}: ${name}</label>
+                `).join('')}
+                <label>Each square is
+                    <input type="number" id="metresPerSquare" class="grid-size-input" min="1" max="100" step="1"
+                           value="${state.mathSettings.metresPerSquare}"> metres
+                </label>
+            </div>
+            <div class="confirm-buttons">
+                <button class="confirm-ok" id="mathSettingsSave">Save</button>
+                <button class="confirm-no">Cancel</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const saveBtn = modal.querySelector('#mathSettingsSave');
+    const metresInput = modal.querySelector('#metresPerSquare');
+    const checkedLevels = () => Array.from(modal.querySelectorAll('.math-level-option:checked'), box => parseInt(box.value, 10));
+    const metres = () => parseInt(metresInput.value, 10);
+    
+    // At least one level, and a sensible square size
+    const validate = () => {
+        saveBtn.disabled = checkedLevels().length === 0 || !(metres() >= 1 && metres() <= 100);
+    };
+    modal.querySelectorAll('input').forEach(input => input.addEventListener('input', validate));
+    modal.querySelectorAll('.math-level-option').forEach(box => box.addEventListener('change', validate));
+    
+    saveBtn.addEventListener('click', () => {
+        saveMathSettings({ levels: checkedLevels(), metresPerSquare: metres() });
+        modal.remove();
+    });
+    modal.querySelector('.confirm-no').addEventListener('click', () => modal.remove());
+    
+    // Click outside to cancel
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+}
+
+// Student progress - every math question is logged in this browser so the teacher can see
+// how each student is doing. An entry is { student, type, level, startedAt, seconds,
+// wrongAnswers, built, firstTry }: `built` is false when the student closed the question,
+// and `firstTry` means every answer was right without a wrong one along the way.
+const PROGRESS_KEY = 'zooPlanner.progress';
+const STUDENT_KEY = 'zooPlanner.student';
+const PROGRESS_LOG_LIMIT = 2000; // oldest entries are dropped beyond this
+const STRUGGLING_ACCURACY = 0.6; // question types answered first try less often than this need practice
+
+// Read the whole progress log, oldest first
+function loadProgressLog() {
+    try {
+        const entries = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+        return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+        console.error('Error reading progress log:', error);
+        return [];
+    }
+}
+
+// Write the progress log (returns false if storage is full or unavailable)
+function saveProgressLog(entries) {
+    try {
+        localStorage.setItem(PROGRESS_KEY, JSON.stringify(entries.slice(-PROGRESS_LOG_LIMIT)));
+        return true;
+    } catch (error) {
+        console.error('Error saving progress log:', error);
+        return false;
+    }
+}
+
+// Add one answered (or abandoned) question to the log for whoever is practising
+function recordProgress(entry) {
+    const entries = loadProgressLog();
+    entries.push({ student: state.studentName, ...entry });
+    saveProgressLog(entries);
+}
+
+// Remember who is practising on this computer
+function setStudentName(name) {
+    state.studentName = name;
+    try {
+        localStorage.setItem(STUDENT_KEY, name);
+    } catch (error) {
+        console.error('Error saving student name:', error);
+    }
+}
+
+// Name of a question type for the panel and the CSV, e.g. 'missingSide' -> 'Missing side'
+function questionTypeName(typeId) {
+    const type = MATH_QUESTION_TYPES.find(t => t.id === typeId);
+    return type ? type.name : typeId;
+}
+
+// Accuracy, streaks and time for a list of log entries, overall and per question type
+function progressStats(entries) {
+    const firstTry = entries.filter(entry => entry.firstTry).length;
+    const totalSeconds = entries.reduce((total, entry) => total + entry.seconds, 0);
+    
+    // A streak is a run of questions answered right first try
+    let streak = 0;
+    let bestStreak = 0;
+    entries.forEach(entry => {
+        streak = entry.firstTry ? streak + 1 : 0;
+        bestStreak = Math.max(bestStreak, streak);
+    });
+    
+    const typeIds = [...new Set(entries.map(entry => entry.type))];
+    const byType = typeIds.map(typeId => {
+        const ofType = entries.filter(entry => entry.type === typeId);
+        const right = ofType.filter(entry => entry.firstTry).length;
+        return {
+            type: typeId,
+            name: questionTypeName(typeId),
+            questions: ofType.length,
+            accuracy: right / ofType.length,
+            averageSeconds: Math.round(ofType.reduce((total, entry) => total + entry.seconds, 0) / ofType.length),
+            // One slip isn't struggling - wait for a couple of questions
+            struggling: ofType.length >= 2 && right / ofType.length < STRUGGLING_ACCURACY,
+        };
+    }).sort((a, b) => a.accuracy - b.accuracy);
+    
+    return {
+        questions: entries.length,
+        accuracy: entries.length > 0 ? firstTry / entries.length : 0,
+        streak,
+        bestStreak,
+        averageSeconds: entries.length > 0 ? Math.round(totalSeconds / entries.length) : 0,
+        byType,
+    };
+}
+
+// 0.756 -> "76%"
+function formatPercent(fraction) {
+    return `${Math.round(fraction * 100)}%`;
+}
+
+// One CSV cell, quoted when it holds commas, quotes or line breaks. Text that a spreadsheet
+// would run as a formula (a student named "=HYPERLINK(...)") gets a ' in front so it stays text
+function csvField(value) {
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The whole log as CSV for the teacher's gradebook
+function progressLogCSV(entries) {
+    const header = ['Student', 'Date', 'Time', 'Question type', 'Level', 'Result', 'First try', 'Wrong answers', 'Seconds'];
+    const rows = entries.map(entry => {
+        const started = new Date(entry.startedAt);
+        return [
+            entry.student || 'No name',
+            started.toLocaleDateString(),
+            started.toLocaleTimeString(),
+            questionTypeName(entry.type),
+            entry.level,
+            entry.built ? 'Built' : 'Closed',
+            entry.firstTry ? 'Yes' : 'No',
+            entry.wrongAnswers,
+            entry.seconds,
+        ];
+    });
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Set up the progress panel button and remember who was practising last time
+function setupProgress() {
+    try {
+        state.studentName = localStorage.getItem(STUDENT_KEY) || '';
+    } catch (error) {
+        console.error('Error reading student name:', error);
+    }
+    document.getElementById('progressBtn').addEventListener('click', showProgressPanel);
+}
+
+// Show the progress panel: who's practising, their streaks and the question types they find hard
+function showProgressPanel() {
+    const modal = document.createElement('div');
+    modal.className = 'confirm-modal progress-modal';
+    modal.innerHTML = `
+        <div class="library-content progress-content">
+            <div class="library-header">
+                <h3>📈 Math Progress</h3>
+                <button class="math-practice-close library-close">✕</button>
+            </div>
+            <label class="progress-student">Who's practising?
+                <input type="text" id="progressStudentName" class="grid-size-input" maxlength="40" placeholder="Your name">
+            </label>
+            <div id="progressDetails"></div>
+            <div class="progress-actions">
+                <button class="library-new-btn" id="progressExportBtn">⬇️ Export CSV</button>
+                <button class="library-new-btn" id="progressClearBtn">🗑️ Clear Log</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const closePanel = () => modal.remove();
+    const nameInput = modal.querySelector('#progressStudentName');
+    
+    // Names are typed by students, so set them as values rather than HTML
+    nameInput.value = state.studentName;
+    nameInput.addEventListener('change', () => {
+        setStudentName(nameInput.value.trim());
+        renderProgressDetails(modal);
+    });
+    
+    modal.querySelector('#progressExportBtn').addEventListener('click', () => {
+        const entries = loadProgressLog();
+        if (entries.length === 0) {
+            alert('No math questions have been answered yet.');
+            return;
+        }
+        downloadFile('math-progress.csv', progressLogCSV(entries), 'text/csv');
+    });
+    
+    modal.querySelector('#progressClearBtn').addEventListener('click', () => {
+        showConfirmDialog('Clear the math progress of every student on this computer?', () => {
+            saveProgressLog([]);
+            renderProgressDetails(modal);
+        }, '🗑️', 'Clear Log');
+    });
+    
+    modal.querySelector('.library-close').addEventListener('click', closePanel);
+    
+    // Click outside to close
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closePanel();
+        }
+    });
+    
+    renderProgressDetails(modal);
+}
+
+// Fill the progress panel with this student's stats and a row per student in the log
+function renderProgressDetails(modal) {
+    const details = modal.querySelector('#progressDetails');
+    const entries = loadProgressLog();
+    const mine = entries.filter(entry => entry.student === state.studentName);
+    const stats = progressStats(mine);
+    
+    if (mine.length === 0) {
+        details.innerHTML = '<p class="library-empty">No questions yet - build an enclosure with Math Practice on to get started!</p>';
+    } else {
+        details.innerHTML = `
+            <div class="progress-stats">
+                <div class="progress-stat"><strong>${stats.questions}</strong>questions</div>
+                <div class="progress-stat"><strong>${formatPercent(stats.accuracy)}</strong>right first try</div>
+                <div class="progress-stat"><strong>${stats.streak}</strong>streak now</div>
+                <div class="progress-stat"><strong>${stats.bestStreak}</strong>best streak</div>
+                <div class="progress-stat"><strong>${stats.averageSeconds}s</strong>per question</div>
+            </div>
+            <table class="summary-table progress-table">
+                <thead>
+                    <tr><th>Question type</th><th>Questions</th><th>First try</th><th>Time</th></tr>
+                </thead>
+                <tbody>
+                    ${stats.byType.map(type => `
+                        <tr class="${type.struggling ? 'struggling' : ''}">
+                            <td>${escapeHTML(type.name)}${type.struggling ? ' <span class="progress-tag">Needs practice</span>' : ''}</td>
+                            <td>${type.questions}</td>
+                            <td>${formatPercent(type.accuracy)}</td>
+                            <td>${type.averageSeconds}s</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    // Everyone who has practised here, so the teacher can see the whole class at a glance
+    const students = [...new Set(entries.map(entry => entry.student))];
+    if (students.length > 1 || (students.length === 1 && students[0] !== state.studentName)) {
+        details.insertAdjacentHTML('beforeend', `
+            <h4 class="progress-heading">Everyone on this computer</h4>
+            <table class="summary-table progress-table">
+                <thead>
+                    <tr><th>Student</th><th>Questions</th><th>First try</th><th>Best streak</th></tr>
+                </thead>
+                <tbody>
+                    ${students.map(student => {
+                        const studentStats = progressStats(entries.filter(entry => entry.student === student));
+                        return `
+                            <tr>
+                                <td>${escapeHTML(student || 'No name')}</td>
+                                <td>${studentStats.questions}</td>
+                                <td>${formatPercent(studentStats.accuracy)}</td>
+                                <td>${studentStats.bestStreak}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `);
+    }
+}
+
+// Show math practice modal
+function showMathPracticeModal(gridX, gridY, width, height, animalId, enclosureToResize = null, shape = null) {
+    const animal = ANIMALS.find(a => a.id === animalId);
+    if (!animal) return;
+    
+    // A shared enclosure being resized is named after all of its residents
+    const name = enclosureToResize ? enclosureName(enclosureToResize) : animal.name;
+    const emoji = enclosureToResize ? enclosureEmoji(enclosureToResize) : animal.emoji;
+    const needs = describeNeeds(enclosureToResize || { animals: [animalId] });
+    const isResizing = enclosureToResize !== null;
+    
+    // The question is about the enclosure as it will be built
+    const question = pickMathQuestion({
+        enclosure: enclosureToResize || { gridX, gridY, width, height, shape, animals: [animalId] },
+        isResizing,
+    });
+    
+    const modal = document.createElement('div');
+    modal.className = 'math-practice-modal';
+    modal.innerHTML = `
+        <div class="math-practice-content">
+            <div class="math-practice-header">
+                <div class="math-practice-emoji">${emoji}</div>
+                <h3>${isResizing ? 'Resize' : 'Build'} ${name} Enclosure</h3>
+                <button class="math-practice-close">✕</button>
+            </div>
+            
+            <div class="math-practice-body">
+                <p class="math-practice-instructions">
+                    ${question.instructions}
+                </p>
+                
+                <div class="math-practice-visual">
+                    ${question.visual}
+                </div>
+                
+                <div class="math-practice-dimensions">
+                    ${question.details}
+                </div>
+                
+                <p class="math-practice-needs">${needs}</p>
+                
+                <div class="math-practice-inputs">
+                    ${question.fields.map(field => `
+                        <div class="math-input-group">
+                            <label for="${field.id}Input">${field.label}:</label>
+                            <div class="math-input-wrapper">
+                                ${field.check
+                                    ? `<input type="text" id="${field.id}Input" class="math-input" placeholder="${field.placeholder || '?'}" autocomplete="off">`
+                                    : `<input type="number" id="${field.id}Input" class="math-input" min="0" step="1" placeholder="?">`}
+                                <span class="math-feedback" id="${field.id}Feedback"></span>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+                
+                <button class="math-practice-build-btn" id="mathBuildBtn" disabled>
+                    ${isResizing ? '✓ Resize' : '🏗️ Build'} ${name} Enclosure
+                </button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    // Store pending enclosure data (includes enclosure reference for resize mode)
+    // For resize, the enclosure already has new dimensions, but we need originals to revert
+    const originalDimensions = enclosureToResize ? {
+        // These will be set by the caller when in resize mode
+        gridX: enclosureToResize.originalGridX !== undefined ? enclosureToResize.originalGridX : enclosureToResize.gridX,
+        gridY: enclosureToResize.originalGridY !== undefined ? enclosureToResize.originalGridY : enclosureToResize.gridY,
+        width: enclosureToResize.originalWidth !== undefined ? enclosureToResize.originalWidth : enclosureToResize.width,
+        height: enclosureToResize.originalHeight !== undefined ? enclosureToResize.originalHeight : enclosureToResize.height,
+        terrain: enclosureToResize.originalHeight !== undefined ? enclosureToResize.originalTerrain : enclosureToResize.terrain
+    } : null;
+    
+    state.pendingEnclosure = { 
+        gridX, 
+        gridY, 
+        width, 
+        height, 
+        animalId, 
+        shape,
+        enclosureToResize,
+        originalDimensions
+    };
+    
+    // Get input elements
+    const inputs = question.fields.map(field => modal.querySelector(`#${field.id}Input`));
+    const buildBtn = modal.querySelector('#mathBuildBtn');
+    const closeBtn = modal.querySelector('.math-practice-close');
+    
+    let allCorrect = false;
+    
+    // For the progress log: a wrong answer counts once the student moves on from it,
+    // but not while they're still typing ("2" on the way to "24")
+    const startedAt = Date.now();
+    const pendingWrong = question.fields.map(() => null);
+    let wrongAnswers = 0;
+    let answered = false;
+    
+    const trackAnswer = (i, value, correct) => {
+        const previous = pendingWrong[i];
+        if (previous !== null && !value.startsWith(previous)) {
+            wrongAnswers++;
+        }
+        pendingWrong[i] = correct || !value ? null : value;
+    };
+    
+    // Log the question when the modal closes, unless it was closed without an answer
+    const logQuestion = (built) => {
+        wrongAnswers += pendingWrong.filter(value => value !== null).length;
+        if (!built && !answered) return;
+        recordProgress({
+            type: question.type,
+            level: question.level,
+            startedAt,
+            seconds: Math.round((Date.now() - startedAt) / 1000),
+            wrongAnswers,
+            built,
+            firstTry: built && wrongAnswers === 0,
+        });
+    };
+    
+    // Validation function - marks each answer right or wrong as it's typed
+    function validateInputs() {
+        answered = true;
+        const results = question.fields.map((field, i) => {
+            const input = inputs[i];
+            const feedback = modal.querySelector(`#${field.id}Feedback`);
+            const value = input.value.trim();
+            
+            if (!value || (!field.check && isNaN(parseInt(value)))) {
+                feedback.textContent = '';
+                feedback.className = 'math-feedback';
+                input.classList.remove('correct', 'incorrect');
+                trackAnswer(i, value, false);
+                return false;
+            }
+            
+            const correct = field.check ? field.check(value) : parseInt(value) === field.answer;
+            trackAnswer(i, value, correct);
+            feedback.textContent = correct ? '✓' : '✗';
+            feedback.className = `math-feedback ${correct ? 'correct' : 'incorrect'}`;
+            input.classList.toggle('correct', correct);
+            input.classList.toggle('incorrect', !correct);
+            return correct;
+        });
+        
+        // Enable/disable build button
+        allCorrect = results.every(Boolean);
+        buildBtn.disabled = !allCorrect;
+    }
+    
+    // Add input listeners - leaving a field (or pressing Enter) settles a wrong answer
+    inputs.forEach((input, i) => {
+        input.addEventListener('input', validateInputs);
+        input.addEventListener('change', () => {
+            if (pendingWrong[i] !== null) {
+                wrongAnswers++;
+                pendingWrong[i] = null;
+            }
+        });
+    });
+    
+    // Build button handler
+    buildBtn.addEventListener('click', () => {
+        if (allCorrect) {
+            if (isResizing && enclosureToResize) {
+                // Update existing enclosure dimensions (already applied, just finalize)
+                // Clean up temporary properties
+                delete enclosureToResize.originalGridX;
+                delete enclosureToResize.originalGridY;
+                delete enclosureToResize.originalWidth;
+                delete enclosureToResize.originalHeight;
+                delete enclosureToResize.originalTerrain;
+                
+                recordCommand(createResizeCommand(enclosureToResize, originalDimensions));
+            } else {
+                // Create new enclosure
+                addEnclosure(gridX, gridY, width, height, [animalId], false, shape);
+            }
+            logQuestion(true);
+            state.pendingEnclosure = null;
+            modal.remove();
+        }
+    });
+    
+    // Close button handler - revert resize if applicable
+    const closeModal = () => {
+        if (isResizing && enclosureToResize && state.pendingEnclosure) {
+            // Revert to original dimensions
+            const original = state.pendingEnclosure.originalDimensions;
+            if (original) {
+                enclosureToResize.gridX = original.gridX;
+                enclosureToResize.gridY = original.gridY;
+                enclosureToResize.width = original.width;
+                enclosureToResize.height = original.height;
+                enclosureToResize.terrain = original.terrain;
+                
+                // Clean up temporary properties
+                delete enclosureToResize.originalGridX;
+                delete enclosureToResize.originalGridY;
+                delete enclosureToResize.originalWidth;
+                delete enclosureToResize.originalHeight;
+                delete enclosureToResize.originalTerrain;
+                
+                renderEnclosure(enclosureToResize);
+                updateSummaryTable();
+                updateURL();
+            }
+        }
+        logQuestion(false);
+        state.pendingEnclosure = null;
+        modal.remove();
+    };
+    
+    closeBtn.addEventListener('click', closeModal);
+    
+    // Click outside to close
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeModal();
+        }
+    });
+    
+    // Focus first input
+    setTimeout(() => inputs[0].focus(), 100);
+}
+
+// Create the SVG grid
+function setupGrid() {
+    const svg = document.getElementById('zooGrid');
+    
+    // Create grid group
+    const gridGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    gridGroup.id = 'gridLines';
+    svg.appendChild(gridGroup);
+    
+    // Paths are the ground, under everything placed on the grid
+    const pathsGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    pathsGroup.id = 'paths';
+    svg.appendChild(pathsGroup);
+    
+    // Create groups for items (enclosures and buildings)
+    const enclosuresGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    enclosuresGroup.id = 'enclosures';
+    svg.appendChild(enclosuresGroup);
+    
+    const buildingsGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    buildingsGroup.id = 'buildings';
+    svg.appendChild(buildingsGroup);
+    
+    // Keyboard cursor sits on top of everything
+    const cursorGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    cursorGroup.id = 'cursorLayer';
+    svg.appendChild(cursorGroup);
+    
+    renderGridLines();
+}
+
+// Size the SVG and draw the grid lines for the current grid size
+function renderGridLines() {
+    const svg = document.getElementById('zooGrid');
+    const gridGroup = document.getElementById('gridLines');
+    const width = state.gridWidth * CELL_SIZE;
+    const height = state.gridHeight * CELL_SIZE;
+    
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    resetView(); // A new grid size starts zoomed out
+    
+    gridGroup.innerHTML = '';
+    
+    // Draw vertical lines
+    for (let i = 0; i <= state.gridWidth; i++) {
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', i * CELL_SIZE);
+        line.setAttribute('y1', 0);
+        line.setAttribute('x2', i * CELL_SIZE);
+        line.setAttribute('y2', height);
+        line.setAttribute('class', 'grid-line');
+        gridGroup.appendChild(line);
+    }
+    
+    // Draw horizontal lines
+    for (let i = 0; i <= state.gridHeight; i++) {
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', 0);
+        line.setAttribute('y1', i * CELL_SIZE);
+        line.setAttribute('x2', width);
+        line.setAttribute('y2', i * CELL_SIZE);
+        line.setAttribute('class', 'grid-line');
+        gridGroup.appendChild(line);
+    }
+    
+    // Keep the tool button label in sync
+    const gridSizeBtn = document.getElementById('gridSizeBtn');
+    if (gridSizeBtn) {
+        gridSizeBtn.textContent = `📏 Grid: ${state.gridWidth} × ${state.gridHeight}`;
+    }
+}
+
+// Populate the buildings palette
+function setupBuildingsPalette() {
+    renderBuildingList();
+}
+
+// Render the building list with current state
+function renderBuildingList() {
+    const buildingList = document.getElementById('buildingList');
+    buildingList.innerHTML = '';
+    
+    BUILDINGS.forEach(building => {
+        buildingList.appendChild(createPaletteItem(building, 'building'));
+    });
+}
+
+// One palette item for a building or decoration, following its placement rules: once the zoo has
+// maxCount of it the item is greyed out, and its delete button takes away every one that isn't locked
+function createPaletteItem(def, kind) {
+    const placed = placedOfType(def.id).map(({ item }) => item);
+    const { width, height } = rotatedSize(def, paletteRotation(def));
+    
+    const div = document.createElement('div');
+    div.className = 'building-item';
+    div.dataset.buildingId = def.id; // The drop handler looks the building or decoration up by this
+    
+    if (placed.length < def.maxCount) {
+        div.addEventListener('pointerdown', handlePalettePointerDown);
+        
+        // Keyboard users pick it up with Enter instead of dragging
+        div.tabIndex = 0;
+        div.setAttribute('role', 'button');
+        div.setAttribute('aria-label', `Place ${def.name}, ${width} by ${height}`);
+        div.addEventListener('keydown', handlePaletteKeyDown);
+    } else {
+        div.classList.add('used');
+    }
+    
+    // How many there are only matters when the zoo can have more than one
+    let count = '';
+    if (def.maxCount > 1 && placed.length > 0) {
+        count = Number.isFinite(def.maxCount) ? ` (${placed.length} of ${def.maxCount})` : ` (${placed.length})`;
+    }
+    
+    // Build the HTML
+    let html = `
+        <span class="building-emoji">${def.emoji}</span>
+        <div class="building-info">
+            <div class="building-name">${def.name}${count}</div>
+            <span class="building-size">${width}×${height} squares</span>
+        </div>
+    `;
+    
+    // Delete button if any are placed (and not locked by the assignment)
+    if (placed.some(item => !item.locked)) {
+        html += `<button class="delete-building-btn" title="${def.maxCount === 1 ? `Delete this ${kind}` : 'Delete all'}">🗑️</button>`;
+    }
+    
+    div.innerHTML = html;
+    
+    // Delete button handler
+    const deleteBtn = div.querySelector('.delete-building-btn');
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteAllOfType(def.id);
+        });
+    }
+    
+    return div;
+}
+
+// Setup decorations palette
+function setupDecorationsPalette() {
+    renderDecorationList();
+}
+
+// Render the decoration list
+function renderDecorationList() {
+    const decorationList = document.getElementById('decorationList');
+    decorationList.innerHTML = '';
+    
+    DECORATIONS.forEach(decoration => {
+        decorationList.appendChild(createPaletteItem(decoration, 'decoration'));
+    });
+}
+
+// Populate the animal list
+function setupAnimalList() {
+    renderAnimalList();
+}
+
+// Render the animal list with current state
+function renderAnimalList() {
+    const animalList = document.getElementById('animalList');
+    animalList.innerHTML = '';
+    
+    ANIMALS.forEach((animal, index) => {
+        // Any animal can have several enclosures - the card just says how many
+        const enclosureCount = state.enclosures.filter(e => e.animals.includes(animal.id)).length;
+        
+        const card = document.createElement('div');
+        card.className = 'animal-card';
+        card.dataset.animalId = animal.id;
+        
+        card.innerHTML = `
+            <span class="emoji">${animal.emoji}</span>
+            <div class="animal-info">
+                <strong>${animal.name}</strong>
+                <small>Min Perimeter: ${animal.minPerimeter}</small>
+                <small>Min Area: ${animal.minArea}</small>
+                <small>Each extra: +${animal.extraPerimeter} perimeter, +${animal.extraArea} area</small>
+                ${enclosureCount > 0 ? `<small class="enclosure-count">In ${enclosureCount} enclosure${enclosureCount === 1 ? '' : 's'}</small>` : ''}
+            </div>
+        `;
+        
+        // Click to select - Enter or Space from the keyboard
+        card.addEventListener('click', () => selectAnimal(animal.id));
+        card.tabIndex = 0;
+        card.setAttribute('role', 'button');
+        card.setAttribute('aria-pressed', animal.id === state.selectedAnimal);
+        card.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            e.preventDefault();
+            selectAnimal(animal.id);
+            announce(`${animal.name} selected. On the grid, press Enter at one corner of the enclosure.`);
+        });
+        
+        if (animal.id === state.selectedAnimal) {
+            card.classList.add('selected');
+        }
+        
+        animalList.appendChild(card);
+        
+        // Select first animal by default (not while the path tool is out or an item is carried)
+        if (index === 0 && !state.selectedAnimal && !state.pathMode && !state.terrainBrush && !state.placingItem) {
+            selectAnimal(animal.id);
+        }
+    });
+}
+
+// Select an animal for drawing
+function selectAnimal(animalId) {
+    state.selectedAnimal = animalId;
+    if (animalId && state.placingItem) {
+        stopPlacing(); // Picking an animal puts down the carried palette item
+    }
+    if (animalId && state.pathMode) {
+        setPathMode(null); // Picking an animal puts the path tool away
+    }
+    if (animalId && state.terrainBrush) {
+        setTerrainBrush(null); // ...and the terrain brush
+    }
+    
+    // Update visual state
+    document.querySelectorAll('.animal-card').forEach(card => {
+        if (card.dataset.animalId === animalId) {
+            card.classList.add('selected');
+        } else {
+            card.classList.remove('selected');
+        }
+        if (card.hasAttribute('aria-pressed')) {
+            card.setAttribute('aria-pressed', card.dataset.animalId === animalId);
+        }
+    });
+}
+
+// Setup tool button handlers
+function setupToolButtons() {
+    document.getElementById('startOver').addEventListener('click', startOver);
+    document.getElementById('undoBtn').addEventListener('click', undo);
+    document.getElementById('redoBtn').addEventListener('click', redo);
+    document.getElementById('gridSizeBtn').addEventListener('click', showGridSizeDialog);
+    document.getElementById('budgetBtn').addEventListener('click', showBudgetDialog);
+
+    // Ctrl+Z to undo, Ctrl+Shift+Z (or Ctrl+Y) to redo - Cmd on Mac
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        // Let text inputs keep their own undo
+        const tag = e.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+
+    updateHistoryButtons();
+}
+
+// Setup event listeners for the grid
+function setupEventListeners() {
+    const svg = document.getElementById('zooGrid');
+    
+    // Zoo files dropped from the computer
+    svg.addEventListener('dragover', handleGridDragOver);
+    svg.addEventListener('drop', handleGridDrop);
+    
+    // Pointer handlers (mouse, pen and touch) for drawing enclosures and moving items
+    svg.addEventListener('pointerdown', handleGridPointerDown);
+    svg.addEventListener('pointermove', handleGridPointerMove);
+    
+    // Listen for pointerup at document level to catch events outside the SVG
+    document.addEventListener('pointerup', handleGridPointerUp);
+    document.addEventListener('pointercancel', handleGridPointerCancel);
+    
+    // Also handle when the pointer leaves the SVG while dragging
+    svg.addEventListener('pointerleave', handleGridPointerLeave);
+    
+    // Ctrl+wheel (and trackpad pinch) zooms, the wheel pans when zoomed in
+    svg.addEventListener('wheel', handleGridWheel, { passive: false });
+    
+    // Mouse and touch drags from the palettes
+    document.addEventListener('pointermove', handlePalettePointerMove);
+    document.addEventListener('pointerup', handlePalettePointerUp);
+    document.addEventListener('pointercancel', (e) => {
+        if (paletteDrag && e.pointerId === paletteDrag.pointerId) cancelPalettePointer();
+    });
+    
+    // While dragging from the palette, a right-click or a second finger's tap turns the item
+    document.addEventListener('contextmenu', (e) => {
+        if (!paletteDrag || !paletteDrag.dragging) return;
+        e.preventDefault();
+        turnPaletteEntry(paletteDrag.item);
+    });
+    document.addEventListener('pointerdown', (e) => {
+        if (!paletteDrag || !paletteDrag.dragging || e.pointerId === paletteDrag.pointerId) return;
+        if (e.pointerType !== 'touch') return;
+        e.preventDefault();
+        e.stopPropagation(); // It's not the start of a pinch or an enclosure
+        turnPaletteEntry(paletteDrag.item);
+    }, true);
+    
+    // Stop the palette scrolling while an item is being dragged out of it
+    document.addEventListener('touchmove', (e) => {
+        if (paletteDrag && paletteDrag.dragging) e.preventDefault();
+    }, { passive: false });
+    
+    document.getElementById('zoomInBtn').addEventListener('click', () => zoomBy(ZOOM_STEP));
+    document.getElementById('zoomOutBtn').addEventListener('click', () => zoomBy(1 / ZOOM_STEP));
+    document.getElementById('zoomResetBtn').addEventListener('click', resetView);
+}
+
+// Let files be dropped on the grid
+function handleGridDragOver(e) {
+    e.preventDefault();
+}
+
+// Render building preview (turned like the palette item being placed)
+function renderBuildingPreview(building, gridX, gridY) {
+    let preview = document.getElementById('buildingPreview');
+    
+    if (!preview) {
+        preview = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        preview.id = 'buildingPreview';
+        preview.classList.add('building-preview');
+        document.getElementById('buildings').appendChild(preview);
+    }
+    
+    const size = rotatedSize(building, paletteRotation(building));
+    const x = gridX * CELL_SIZE;
+    const y = gridY * CELL_SIZE;
+    const width = size.width * CELL_SIZE;
+    const height = size.height * CELL_SIZE;
+    
+    // Check if it fits within grid and doesn't overlap
+    const fits = fitsInGrid(gridX, gridY, size.width, size.height);
+    const hasOverlap = checkOverlap(gridX, gridY, size.width, size.height, null, null, overlapRole(null, building));
+    const canPlace = fits && !hasOverlap;
+    
+    // Where it is, so turning it can draw it again in the same place
+    preview.dataset.gridX = gridX;
+    preview.dataset.gridY = gridY;
+    preview.setAttribute('x', x);
+    preview.setAttribute('y', y);
+    preview.setAttribute('width', width);
+    preview.setAttribute('height', height);
+    preview.setAttribute('fill', building.color);
+    preview.setAttribute('opacity', canPlace ? '0.5' : '0.3');
+    preview.setAttribute('stroke', canPlace ? '#4caf50' : '#f5576c');
+    preview.setAttribute('stroke-width', '3');
+    preview.setAttribute('stroke-dasharray', '5,5');
+    preview.setAttribute('rx', '5');
+}
+
+// Remove building preview
+function removeBuildingPreview() {
+    const preview = document.getElementById('buildingPreview');
+    if (preview) preview.remove();
+}
+
+// A zoo file dropped on the grid from the computer (palette items are dragged with pointer events)
+function handleGridDrop(e) {
+    e.preventDefault();
+    
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+        importZooFile(e.dataTransfer.files[0]);
+    }
+}
+
+// Put a building or decoration from the palette on the grid, turned `rotation` degrees; false if it can't go there
+function placePaletteItem(item, gridX, gridY, rotation = 0) {
+    const isDecoration = DECORATIONS.includes(item);
+    
+    // The catalog can cap how many the zoo has - the palette greys the item out at the cap
+    if (placedOfType(item.id).length >= item.maxCount) {
+        return false;
+    }
+    
+    // Check if it fits and doesn't overlap
+    const { width, height } = rotatedSize(item, rotation);
+    const fits = fitsInGrid(gridX, gridY, width, height);
+    const hasOverlap = checkOverlap(gridX, gridY, width, height, null, null, overlapRole(null, item));
+    if (!fits || hasOverlap) {
+        return false;
+    }
+    
+    // Over budget - checkBudget tells the student why
+    if (!checkBudget(item.cost, item.name)) {
+        return false;
+    }
+    
+    if (isDecoration) {
+        addDecoration(item, gridX, gridY, false, rotation);
+    } else {
+        addBuilding(item, gridX, gridY, false, rotation);
+    }
+    return true;
+}
+
+// A new building or decoration from its catalog entry, with the next id for its kind
+function newPlacedItem(kind, def, gridX, gridY, rotation = 0) {
+    const number = kind === 'building' ? state.nextBuildingId++ : state.nextDecorationId++;
+    return {
+        ...def,
+        id: `${def.id}-${number}`,  // Put id AFTER spread so it doesn't get overwritten
+        gridX,
+        gridY,
+        ...rotatedSize(def, rotation),
+        rotation,
+    };
+}
+
+// Add a building to the grid
+function addBuilding(buildingDef, gridX, gridY, skipURLUpdate = false, rotation = 0) {
+    const building = newPlacedItem('building', buildingDef, gridX, gridY, rotation);
+    
+    // Loading from URL places items directly - only user edits go into the undo history
+    if (skipURLUpdate) {
+        state.placedBuildings.push(building);
+        renderBuilding(building);
+        renderBuildingList();
+        return;
+    }
+    
+    runCommand(createAddCommand(`Add ${building.name}`, [{ kind: 'building', item: building }]));
+}
+
+// Add a decoration to the grid
+function addDecoration(decorationDef, gridX, gridY, skipURLUpdate = false, rotation = 0) {
+    const decoration = newPlacedItem('decoration', decorationDef, gridX, gridY, rotation);
+    
+    // Loading from URL places items directly - only user edits go into the undo history
+    if (skipURLUpdate) {
+        state.placedDecorations.push(decoration);
+        renderBuilding(decoration); // Reuse renderBuilding since decorations look the same
+        renderDecorationList();
+        return;
+    }
+    
+    runCommand(createAddCommand(`Add ${decoration.name}`, [{ kind: 'decoration', item: decoration }]));
+}
+
+// Buildings and decorations turn in quarter turns: `rotation` is 0, 90, 180 or 270 degrees clockwise.
+// A placed item's width and height are its footprint on the grid, so a quarter turn swaps them and
+// everything that works with squares (overlaps, paths, rules) sees the turned footprint.
+const ROTATION_STEP = 90;
+const ROTATE_HANDLE_RADIUS = 7;
+
+// Footprint of a catalog entry turned `rotation` degrees - also turns a placed item's footprint back
+function rotatedSize(def, rotation) {
+    return rotation % 180 === 0 ? { width: def.width, height: def.height } : { width: def.height, height: def.width };
+}
+
+// Which way an item faces, for screen readers
+function describeRotation(rotation) {
+    return rotation === 0 ? 'not turned' : `turned ${rotation} degrees`;
+}
+
+// How far a palette item is turned when it's placed
+function paletteRotation(def) {
+    return state.paletteTurns[def.id] || 0;
+}
+
+// Turn a palette item a quarter turn: the ones placed from now on come out turned. Its palette entry
+// shows the turned size, and the preview of one being carried or dragged is re-drawn.
+function turnPaletteEntry(def) {
+    const rotation = (paletteRotation(def) + ROTATION_STEP) % 360;
+    state.paletteTurns[def.id] = rotation;
+    const { width, height } = rotatedSize(def, rotation);
+    
+    const entry = document.querySelector(`.building-item[data-building-id="${def.id}"]`);
+    if (entry) {
+        entry.querySelector('.building-size').textContent = `${width}×${height} squares`;
+        if (entry.hasAttribute('aria-label')) {
+            entry.setAttribute('aria-label', `Place ${def.name}, ${width} by ${height}`);
+        }
+    }
+    
+    const preview = document.getElementById('buildingPreview');
+    if (preview) {
+        renderBuildingPreview(def, Number(preview.dataset.gridX), Number(preview.dataset.gridY));
+    }
+    announce(`${def.name} ${describeRotation(rotation)}, ${width} by ${height}.`);
+}
+
+// R while a palette item is carried to the grid, dragged, or under the mouse or keyboard focus in the palette
+function turnPaletteItem(target) {
+    let def = state.placingItem ? state.placingItem.item : state.draggingBuilding;
+    if (!def) {
+        const entry = (target && target.closest && target.closest('.building-item')) ||
+                      document.querySelector('.building-item:hover');
+        const id = entry ? entry.dataset.buildingId : null;
+        def = BUILDINGS.find(b => b.id === id) || DECORATIONS.find(d => d.id === id);
+    }
+    if (!def) return false;
+    
+    turnPaletteEntry(def);
+    return true;
+}
+
+// Where a placed building or decoration goes when it's turned a quarter turn: about its middle, or
+// at its top-left corner when there's no room for that. Null if it has no room to turn at all.
+function turnedPlacement(kind, item) {
+    const rotation = (item.rotation + ROTATION_STEP) % 360;
+    const width = item.height;
+    const height = item.width;
+    const spots = [
+        { gridX: item.gridX + Math.floor((item.width - width) / 2), gridY: item.gridY + Math.floor((item.height - height) / 2) },
+        { gridX: item.gridX, gridY: item.gridY },
+    ];
+    const spot = spots.find(({ gridX, gridY }) => fitsInGrid(gridX, gridY, width, height) &&
+        !checkOverlap(gridX, gridY, width, height, item.id, null, overlapRole(kind, item)));
+    return spot ? { ...spot, width, height, rotation } : null;
+}
+
+// Shake an item that has no room to turn
+function showTurnBlocked(item) {
+    announce(`${item.name} has no room to turn here.`);
+    const group = document.getElementById(item.id);
+    if (group) {
+        group.classList.add('turn-blocked');
+        setTimeout(() => group.classList.remove('turn-blocked'), 400);
+    }
+}
+
+// Turn a placed building or decoration a quarter turn, as one undo step
+function rotatePlacedItem(kind, item) {
+    if (item.locked) {
+        showLockedMessage(item);
+        return false;
+    }
+    
+    const turned = turnedPlacement(kind, item);
+    if (!turned) {
+        showTurnBlocked(item);
+        return false;
+    }
+    
+    runCommand(createUpdateCommand(
+        `Turn ${describeItem(kind, item)}`,
+        kind,
+        item.id,
+        { gridX: item.gridX, gridY: item.gridY, width: item.width, height: item.height, rotation: item.rotation },
+        turned
+    ));
+    announce(`${item.name} ${describeRotation(turned.rotation)}.`);
+    return true;
+}
+
+// Set up R to turn things - the grid's own keys handle the keyboard cursor and selection
+// (see handleGridKeyDown), this catches the palette, which doesn't focus the grid
+function setupRotation() {
+    document.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.key !== 'r' && e.key !== 'R') return;
+        
+        // Let text inputs have their R
+        const tag = e.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+        
+        if (turnPaletteItem(e.target)) {
+            e.preventDefault();
+        }
+    });
+}
+
+// Render a building on the SVG
+function renderBuilding(building) {
+    // Remove existing if re-rendering
+    const existing = document.getElementById(building.id);
+    if (existing) existing.remove();
+    
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.id = building.id;
+    group.classList.add('building');
+    if (building.locked) group.classList.add('locked');
+    if (isSelected(building.id)) group.classList.add('selected');
+    group.dataset.buildingId = building.id;
+    
+    // Drawn the way the catalog has it, then turned about the middle of its footprint
+    const base = rotatedSize(building, building.rotation);
+    const width = base.width * CELL_SIZE;
+    const height = base.height * CELL_SIZE;
+    const centerX = (building.gridX + building.width / 2) * CELL_SIZE;
+    const centerY = (building.gridY + building.height / 2) * CELL_SIZE;
+    const x = centerX - width / 2;
+    const y = centerY - height / 2;
+    
+    const body = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    if (building.rotation) {
+        body.setAttribute('transform', `rotate(${building.rotation} ${centerX} ${centerY})`);
+    }
+    
+    // Check if position is valid
+    const fits = fitsInGrid(building.gridX, building.gridY, building.width, building.height);
+    const hasOverlap = checkOverlap(building.gridX, building.gridY, building.width, building.height, building.id, null,
+                                    overlapRole(null, building));
+    const isValid = fits && !hasOverlap;
+    
+    // Building rectangle
     const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
     rect.setAttribute('x', x);
     rect.setAttribute('y', y);
@@ -1266,611 +6384,2293 @@ function renderBuilding(building) {
     rect.setAttribute('rx', '5');
     rect.classList.add('building-rect');
     
-    if (!isValid) {
-        rect.classList.add('building-invalid');
+    if (!isValid) {
+        rect.classList.add('building-invalid');
+    }
+    
+    // Outlined when it breaks a zoo rule (see updateRuleChecks), with the reasons on hover
+    const ruleMessages = brokenRules.get(building.id);
+    if (ruleMessages) {
+        rect.classList.add('rule-broken');
+        const tooltip = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+        tooltip.textContent = ruleMessages.join('\n');
+        rect.appendChild(tooltip);
+    }
+    
+    body.appendChild(rect);
+    
+    // Emoji - special handling for bench (two chairs) vs other items
+    const isBench = building.id.split('-')[0] === 'bench';
+    
+    if (isBench) {
+        // Bench: show two chair emojis side by side
+        const fontSize = Math.min(width, height) * 0.6;
+        const spacing = width / 3;
+        
+        const chair1 = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        chair1.setAttribute('x', x + spacing);
+        chair1.setAttribute('y', y + height / 2);
+        chair1.setAttribute('class', 'building-label');
+        chair1.setAttribute('font-size', fontSize);
+        chair1.setAttribute('dominant-baseline', 'central'); // Better vertical centering
+        chair1.textContent = building.emoji;
+        body.appendChild(chair1);
+        
+        const chair2 = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        chair2.setAttribute('x', x + width - spacing);
+        chair2.setAttribute('y', y + height / 2);
+        chair2.setAttribute('class', 'building-label');
+        chair2.setAttribute('font-size', fontSize);
+        chair2.setAttribute('dominant-baseline', 'central'); // Better vertical centering
+        chair2.textContent = building.emoji;
+        body.appendChild(chair2);
+    } else {
+        // Normal items: single centered emoji
+        const emoji = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        emoji.setAttribute('x', x + width / 2);
+        
+        if (base.height === 1) {
+            // For 1-tall items: larger emoji, perfectly centered
+            emoji.setAttribute('y', y + height / 2);
+            emoji.setAttribute('font-size', Math.min(width, height) * 0.6);
+            emoji.setAttribute('dominant-baseline', 'central'); // Better vertical centering
+        } else {
+            // For taller items: normal size with slight offset for text below
+            emoji.setAttribute('y', y + height / 2 - 5);
+            emoji.setAttribute('font-size', Math.min(width, height) * 0.4);
+            emoji.setAttribute('dominant-baseline', 'middle'); // Better vertical centering
+        }
+        
+        emoji.setAttribute('class', 'building-label');
+        emoji.textContent = building.emoji;
+        body.appendChild(emoji);
+    }
+    
+    // Name (only show if tall enough - at least 2 grid cells high)
+    if (base.height >= 2) {
+        const name = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        name.setAttribute('x', x + width / 2);
+        name.setAttribute('y', y + height - 8); // Position near bottom of building
+        name.setAttribute('class', 'building-name-label');
+        name.setAttribute('font-size', '10');
+        name.textContent = building.name;
+        body.appendChild(name);
+    }
+    group.appendChild(body);
+    
+    // Turn handle just off the top-right corner so it never covers a small item - it only grazes
+    // the corner, which keeps the hover going while the pointer moves onto it. At the zoo's edge it
+    // moves to the left or bottom instead. It isn't turned with the item
+    if (!building.locked) {
+        const handle = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        handle.classList.add('rotate-handle');
+        
+        const handleOffset = ROTATE_HANDLE_RADIUS / 2;
+        const right = (building.gridX + building.width) * CELL_SIZE;
+        const top = building.gridY * CELL_SIZE;
+        const handleX = right + ROTATE_HANDLE_RADIUS * 2 <= state.gridWidth * CELL_SIZE ?
+            right + handleOffset : building.gridX * CELL_SIZE - handleOffset;
+        const handleY = top >= ROTATE_HANDLE_RADIUS * 2 ?
+            top - handleOffset : (building.gridY + building.height) * CELL_SIZE + handleOffset;
+        const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        circle.setAttribute('cx', handleX);
+        circle.setAttribute('cy', handleY);
+        circle.setAttribute('r', ROTATE_HANDLE_RADIUS);
+        handle.appendChild(circle);
+        
+        const arrow = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        arrow.setAttribute('x', handleX);
+        arrow.setAttribute('y', handleY);
+        arrow.setAttribute('dominant-baseline', 'central');
+        arrow.textContent = '↻';
+        handle.appendChild(arrow);
+        
+        const tooltip = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+        tooltip.textContent = `Turn ${building.name} (R)`;
+        handle.appendChild(tooltip);
+        group.appendChild(handle);
+    }
+    
+    document.getElementById('buildings').appendChild(group);
+}
+
+// Selecting several items at once - Shift-click items, or Shift-drag a box around them, then move,
+// delete, copy or duplicate them together. Assignment items are never selected, so they stay where
+// the teacher put them.
+
+// Items copied with Ctrl+C, as laid out by copyItems(), or null
+let selectionClipboard = null;
+
+// Is a placed item selected?
+function isSelected(id) {
+    return state.selection.some(entry => entry.id === id);
+}
+
+// The selected items, as { kind, item }
+function selectedItems() {
+    return state.selection.map(({ kind, id }) => ({ kind, item: findItem(kind, id) })).filter(({ item }) => item);
+}
+
+// Select these { kind, item } entries instead of what was selected, and outline them on the grid
+function setSelection(entries) {
+    state.selection = entries.filter(({ item }) => !item.locked).map(({ kind, item }) => ({ kind, id: item.id }));
+    
+    document.querySelectorAll('#zooGrid .selected').forEach(el => el.classList.remove('selected'));
+    state.selection.forEach(({ id }) => {
+        const el = document.getElementById(id);
+        if (el) el.classList.add('selected');
+    });
+}
+
+// "Lion enclosure" for one item, "3 items" for more, in undo labels and announcements
+function describeSelection(entries) {
+    return entries.length === 1 ? describeItem(entries[0].kind, entries[0].item) : `${entries.length} items`;
+}
+
+// Tell screen readers what's selected now
+function announceSelection() {
+    const entries = selectedItems();
+    announce(entries.length > 0 ? `${describeSelection(entries)} selected.` : 'Nothing selected.');
+}
+
+// Shift-click (or Shift+Enter): add an item to the selection, or take it out again
+function toggleSelected(kind, item) {
+    if (item.locked) {
+        showLockedMessage(item);
+        return;
+    }
+    
+    const entries = selectedItems();
+    const others = entries.filter(entry => entry.item !== item);
+    setSelection(others.length < entries.length ? others : [...entries, { kind, item }]);
+    announceSelection();
+}
+
+// The enclosure, building or decoration an element on the grid belongs to, as { kind, item }, or null
+function itemFromElement(el) {
+    const enclosureEl = el.closest('.enclosure');
+    if (enclosureEl) {
+        const item = findItem('enclosure', enclosureEl.closest('g').dataset.enclosureId);
+        return item ? { kind: 'enclosure', item } : null;
+    }
+    
+    const buildingEl = el.closest('.building');
+    if (buildingEl) {
+        const id = buildingEl.dataset.buildingId;
+        const building = findItem('building', id);
+        if (building) return { kind: 'building', item: building };
+        const decoration = findItem('decoration', id);
+        return decoration ? { kind: 'decoration', item: decoration } : null;
+    }
+    return null;
+}
+
+// Start dragging out a selection box - what it touches joins the selection
+function startSelectionBox(gridX, gridY) {
+    state.selectionBox = { startX: gridX, startY: gridY, currentX: gridX, currentY: gridY };
+    renderSelectionBox();
+}
+
+// The squares the selection box covers
+function selectionBoxBounds() {
+    const { startX, startY, currentX, currentY } = state.selectionBox;
+    return {
+        gridX: Math.min(startX, currentX),
+        gridY: Math.min(startY, currentY),
+        width: Math.abs(currentX - startX) + 1,
+        height: Math.abs(currentY - startY) + 1,
+    };
+}
+
+// Draw (or move) the selection box
+function renderSelectionBox() {
+    let box = document.getElementById('selectionBox');
+    if (!box) {
+        box = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        box.id = 'selectionBox';
+        box.classList.add('selection-box');
+        document.getElementById('buildings').appendChild(box);
+    }
+    
+    const { gridX, gridY, width, height } = selectionBoxBounds();
+    box.setAttribute('x', gridX * CELL_SIZE);
+    box.setAttribute('y', gridY * CELL_SIZE);
+    box.setAttribute('width', width * CELL_SIZE);
+    box.setAttribute('height', height * CELL_SIZE);
+}
+
+// The pointer moved on while dragging out the selection box
+function extendSelectionBox(gridX, gridY) {
+    state.selectionBox.currentX = gridX;
+    state.selectionBox.currentY = gridY;
+    renderSelectionBox();
+}
+
+// Let go of the selection box: add every item it touches to the selection
+function finishSelectionBox() {
+    const bounds = selectionBoxBounds();
+    cancelSelectionBox();
+    
+    const touched = placedItems().filter(({ item }) => !item.locked && itemsOverlap(bounds, item) && !isSelected(item.id));
+    if (touched.length > 0) {
+        setSelection([...selectedItems(), ...touched]);
+        announceSelection();
+    }
+}
+
+// Put the selection box away without selecting anything
+function cancelSelectionBox() {
+    const box = document.getElementById('selectionBox');
+    if (box) box.remove();
+    state.selectionBox = null;
+}
+
+// Would these items clash with an item outside them, or stick out of the grid?
+function groupClashes(entries) {
+    const others = placedItems().filter(other => !entries.some(({ item }) => item.id === other.item.id));
+    return entries.some(({ kind, item }) =>
+        !fitsInGrid(item.gridX, item.gridY, item.width, item.height) ||
+        others.some(other => itemsClash(item, overlapRole(kind, item), other.item, overlapRole(other.kind, other.item)))
+    );
+}
+
+// Start dragging every selected item together, from the square under the pointer
+function startSelectionMove(gridX, gridY) {
+    state.movingSelection = {
+        startX: gridX,
+        startY: gridY,
+        dx: 0,
+        dy: 0,
+        entries: selectedItems().map(({ kind, item }) => ({ kind, item, originalX: item.gridX, originalY: item.gridY })),
+    };
+}
+
+// Move the dragged selection with the pointer, keeping the whole group on the grid
+function moveSelection(gridX, gridY) {
+    const moving = state.movingSelection;
+    const left = Math.min(...moving.entries.map(({ originalX }) => originalX));
+    const top = Math.min(...moving.entries.map(({ originalY }) => originalY));
+    const right = Math.max(...moving.entries.map(({ item, originalX }) => originalX + item.width));
+    const bottom = Math.max(...moving.entries.map(({ item, originalY }) => originalY + item.height));
+    
+    const dx = Math.max(-left, Math.min(gridX - moving.startX, state.gridWidth - right));
+    const dy = Math.max(-top, Math.min(gridY - moving.startY, state.gridHeight - bottom));
+    if (dx === moving.dx && dy === moving.dy) return;
+    
+    moving.dx = dx;
+    moving.dy = dy;
+    moving.entries.forEach(({ item, originalX, originalY }) => {
+        item.gridX = originalX + dx;
+        item.gridY = originalY + dy;
+    });
+    
+    // Draw the enclosures first, so a pond or tree carried inside one stays on top of it
+    moving.entries.filter(({ kind }) => kind === 'enclosure').forEach(({ item }) => renderEnclosure(item));
+    moving.entries.filter(({ kind }) => kind !== 'enclosure').forEach(({ item }) => renderBuilding(item));
+}
+
+// Let go of the dragged selection: keep the move as one undo step, or put everything back if it landed on something
+function finishSelectionMove() {
+    const { entries, dx, dy } = state.movingSelection;
+    state.movingSelection = null;
+    
+    if ((dx === 0 && dy === 0) || groupClashes(entries)) {
+        cancelSelectionMove(entries);
+        if (dx !== 0 || dy !== 0) announce(`${describeSelection(entries)} can't go there, so they were put back.`);
+        return;
+    }
+    
+    recordCommand(createCompositeCommand(
+        `Move ${describeSelection(entries)}`,
+        entries.map(({ kind, item, originalX, originalY }) => createUpdateCommand(
+            `Move ${describeItem(kind, item)}`,
+            kind,
+            item.id,
+            { gridX: originalX, gridY: originalY },
+            { gridX: item.gridX, gridY: item.gridY }
+        ))
+    ));
+}
+
+// Put dragged items back where they started
+function cancelSelectionMove(entries) {
+    entries.forEach(({ item, originalX, originalY }) => {
+        item.gridX = originalX;
+        item.gridY = originalY;
+    });
+    state.movingSelection = null;
+    renderAllItems();
+}
+
+// Delete (or Backspace) with items selected: ask, then remove them all as one undo step
+function confirmDeleteSelection() {
+    const entries = selectedItems();
+    if (entries.length === 0) return;
+    
+    const message = entries.length === 1 ? `Delete the ${escapeHTML(describeSelection(entries))}?` : `Delete these ${entries.length} items?`;
+    showConfirmDialog(message, () => {
+        setSelection([]);
+        runCommand(createRemoveCommand(`Delete ${describeSelection(entries)}`, entries));
+    }, '🗑️', 'Delete Selection');
+}
+
+// Copies of items to paste later: { gridX, gridY } of the box around them, and each item's kind, catalog
+// entry and place in that box. Catalog entries are looked up again when pasting, as they may have changed.
+function copyItems(entries) {
+    const left = Math.min(...entries.map(({ item }) => item.gridX));
+    const top = Math.min(...entries.map(({ item }) => item.gridY));
+    
+    return {
+        gridX: left,
+        gridY: top,
+        items: entries.map(({ kind, item }) => {
+            const copy = { kind, gridX: item.gridX - left, gridY: item.gridY - top };
+            if (kind !== 'enclosure') {
+                return { ...copy, typeId: item.id.split('-')[0], name: item.name, rotation: item.rotation };
+            }
+            return {
+                ...copy,
+                width: item.width,
+                height: item.height,
+                shape: item.shape || null,
+                animals: [...item.animals],
+                counts: { ...item.counts },
+                terrain: item.terrain ? { ...item.terrain } : null,
+            };
+        }),
+    };
+}
+
+// Ctrl+C: remember the selected items for Ctrl+V
+function copySelection() {
+    const entries = selectedItems();
+    if (entries.length === 0) return false;
+    
+    selectionClipboard = copyItems(entries);
+    announce(`Copied ${describeSelection(entries)}.`);
+    return true;
+}
+
+// Ctrl+D: put a copy of the selected items next to them
+function duplicateSelection() {
+    const entries = selectedItems();
+    if (entries.length === 0) {
+        announce('Select something to duplicate first.');
+        return;
+    }
+    pasteItems(copyItems(entries), 'Duplicate');
+}
+
+// The first spot, nearest (gridX, gridY), where every piece has room: { gridX, gridY }, or null
+function findGroupSpot(pieces, gridX, gridY) {
+    const groupWidth = Math.max(...pieces.map(piece => piece.gridX + piece.width));
+    const groupHeight = Math.max(...pieces.map(piece => piece.gridY + piece.height));
+    
+    const spots = [];
+    for (let y = 0; y + groupHeight <= state.gridHeight; y++) {
+        for (let x = 0; x + groupWidth <= state.gridWidth; x++) {
+            spots.push({ gridX: x, gridY: y });
+        }
+    }
+    spots.sort((a, b) => Math.abs(a.gridX - gridX) + Math.abs(a.gridY - gridY) - Math.abs(b.gridX - gridX) - Math.abs(b.gridY - gridY));
+    
+    return spots.find(spot => pieces.every(piece =>
+        !checkOverlap(spot.gridX + piece.gridX, spot.gridY + piece.gridY, piece.width, piece.height, null, piece.shape, piece.role)
+    )) || null;
+}
+
+// Ctrl+V and Ctrl+D: put copied items on the grid as one undo step - at the keyboard cursor when the
+// grid has focus, otherwise a square down and right of the originals, or the nearest spot with room.
+// A copied enclosure keeps its animals (a zoo can have as many enclosures of one kind as it likes).
+// With math practice on, enclosures are left out - every one has to be drawn and worked out.
+function pasteItems(copied, verb) {
+    const leftOut = [];
+    const pieces = [];
+    copied.items.forEach(copy => {
+        if (copy.kind === 'enclosure') {
+            if (state.mathPractice) {
+                leftOut.push('an enclosure (with math practice on, draw it and work out its perimeter and area)');
+                return;
+            }
+            const animals = copy.animals.filter(id => ANIMALS.some(a => a.id === id));
+            if (animals.length === 0) {
+                leftOut.push('an enclosure (its animals aren\'t in the catalog anymore)');
+                return;
+            }
+            pieces.push({ ...copy, animals, role: 'enclosure', cost: enclosureCost(copy) });
+            return;
+        }
+        
+        const def = (copy.kind === 'building' ? BUILDINGS : DECORATIONS).find(d => d.id === copy.typeId);
+        if (!def) {
+            leftOut.push(`${copy.name} (not in the catalog anymore)`);
+            return;
+        }
+        const count = placedOfType(def.id).length + pieces.filter(piece => piece.def === def).length;
+        if (count >= def.maxCount) {
+            leftOut.push(`${def.name} (the zoo can only have ${def.maxCount})`);
+            return;
+        }
+        pieces.push({ ...copy, ...rotatedSize(def, copy.rotation), def, role: overlapRole(copy.kind, def), cost: def.cost });
+    });
+    
+    if (pieces.length === 0) {
+        showMessageDialog(`Nothing could be added: ${escapeHTML(leftOut.join(', '))}`, '📋', verb);
+        return false;
+    }
+    
+    const atCursor = document.activeElement === document.getElementById('zooGrid');
+    const target = atCursor ? state.cursor : { gridX: copied.gridX + 1, gridY: copied.gridY + 1 };
+    const spot = findGroupSpot(pieces, target.gridX, target.gridY);
+    if (!spot) {
+        showMessageDialog('There\'s no room on the grid for all of these. Make some space or a bigger zoo, then try again.', '📋', verb);
+        return false;
+    }
+    
+    const cost = pieces.reduce((total, piece) => total + piece.cost, 0);
+    if (!checkBudget(cost, pieces.length === 1 ? describeItem(pieces[0].kind, pieces[0]) : `These ${pieces.length} items`)) {
+        return false;
+    }
+    
+    const entries = pieces.map(piece => {
+        const gridX = spot.gridX + piece.gridX;
+        const gridY = spot.gridY + piece.gridY;
+        if (piece.kind === 'enclosure') {
+            const counts = {};
+            piece.animals.forEach(id => {
+                if (piece.counts[id] > 1) counts[id] = piece.counts[id];
+            });
+            return {
+                kind: 'enclosure',
+                item: newEnclosure(gridX, gridY, piece.width, piece.height, piece.animals, piece.shape, counts,
+                                   piece.terrain ? { ...piece.terrain } : null),
+            };
+        }
+        return { kind: piece.kind, item: newPlacedItem(piece.kind, piece.def, gridX, gridY, piece.rotation) };
+    });
+    
+    // The copies are selected, ready to be dragged where they should go
+    runCommand(createAddCommand(`${verb} ${describeSelection(entries)}`, entries));
+    setSelection(entries);
+    announce(`${verb}d ${describeSelection(entries)} at ${describeSquare(spot.gridX, spot.gridY)}.`);
+    
+    if (leftOut.length > 0) {
+        const list = leftOut.map(item => `<li>${escapeHTML(item)}</li>`).join('');
+        showMessageDialog(`Some things had to be left out:<ul class="import-skipped">${list}</ul>`, '📋', verb);
+    }
+    return true;
+}
+
+// Set up the selection keys: Ctrl+C, Ctrl+V and Ctrl+D (Cmd on Mac), Delete and Escape
+function setupSelection() {
+    document.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented || e.altKey) return;
+        
+        // Let text inputs keep their own keys
+        const tag = e.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+        if (isEditInProgress()) return;
+        
+        const key = e.key.toLowerCase();
+        if (e.ctrlKey || e.metaKey) {
+            if (e.shiftKey) return;
+            if (key === 'c' && copySelection()) {
+                e.preventDefault();
+            } else if (key === 'v' && selectionClipboard) {
+                e.preventDefault();
+                pasteItems(selectionClipboard, 'Paste');
+            } else if (key === 'd') {
+                e.preventDefault(); // Not the browser's bookmark
+                duplicateSelection();
+            }
+            return;
+        }
+        
+        if (state.selection.length === 0) return;
+        if (key === 'delete' || key === 'backspace') {
+            e.preventDefault();
+            confirmDeleteSelection();
+        } else if (key === 'escape') {
+            setSelection([]);
+            announceSelection();
+        }
+    });
+}
+
+// Grid interaction - Drawing enclosures or moving items
+function handleGridPointerDown(e) {
+    // Fingers: a second one turns the gesture into zoom/pan
+    if (e.pointerType === 'touch') {
+        activeTouches.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+        if (activeTouches.size === 2) {
+            startPinch();
+            return;
+        }
+        if (pinchGesture || activeTouches.size > 2) return;
+    } else if (e.button !== 0) {
+        return; // Only the main mouse button edits
+    }
+    
+    // Keep getting this pointer's events even when it wanders off the grid
+    e.currentTarget.setPointerCapture(e.pointerId);
+    
+    const point = getGridPoint(e);
+    const precisePoint = getGridPoint(e, true); // Use precise position for edge detection
+    
+    // A tapped (or keyboard-picked) palette item goes where the grid is tapped - a finger
+    // only places it when it lifts, as it may still become a pinch or a pan
+    if (state.placingItem) {
+        if (e.pointerType === 'touch') {
+            state.pendingPlacement = {
+                pointerId: e.pointerId,
+                gridX: point.gridX,
+                gridY: point.gridY,
+                startX: e.clientX,
+                startY: e.clientY,
+            };
+        } else {
+            placePickedItemAt(point.gridX, point.gridY);
+        }
+        return;
+    }
+    
+    // The path tool paints (or erases) wherever the stroke goes, even across items
+    if (state.pathMode) {
+        startPathStroke(point.gridX, point.gridY);
+        return;
+    }
+    
+    // The terrain brush paints inside the enclosure the stroke starts in (nothing happens outside one)
+    if (state.terrainBrush) {
+        startTerrainStroke(point.gridX, point.gridY);
+        return;
+    }
+    
+    // The turn handle beside a building's or decoration's corner turns it instead of picking it up
+    const handle = e.target.closest('.rotate-handle');
+    if (handle) {
+        const id = handle.parentNode.dataset.buildingId;
+        const building = findItem('building', id);
+        if (building) {
+            rotatePlacedItem('building', building);
+        } else {
+            rotatePlacedItem('decoration', findItem('decoration', id));
+        }
+        return;
+    }
+    
+    // Shift-click picks items for the selection, and Shift-drag from an empty square draws a selection box
+    const clicked = itemFromElement(e.target);
+    if (e.shiftKey) {
+        if (clicked) {
+            toggleSelected(clicked.kind, clicked.item);
+        } else {
+            startSelectionBox(point.gridX, point.gridY);
+        }
+        return;
+    }
+    
+    // Dragging one of several selected items takes the others along; anything else starts afresh
+    if (clicked && state.selection.length > 1 && isSelected(clicked.item.id)) {
+        startSelectionMove(point.gridX, point.gridY);
+        return;
+    }
+    if (state.selection.length > 0) {
+        setSelection([]);
+    }
+    
+    // Check if near an enclosure edge for resizing (fingers get a wider edge)
+    const edgeThreshold = e.pointerType === 'touch' ? TOUCH_EDGE_THRESHOLD : EDGE_THRESHOLD;
+    const edgeDetect = detectEnclosureEdge(precisePoint.gridX, precisePoint.gridY, edgeThreshold);
+    if (edgeDetect) {
+        // Start resizing
+        state.resizingEnclosure = {
+            enclosure: edgeDetect.enclosure,
+            edge: edgeDetect.edge,
+            originalData: {
+                gridX: edgeDetect.enclosure.gridX,
+                gridY: edgeDetect.enclosure.gridY,
+                width: edgeDetect.enclosure.width,
+                height: edgeDetect.enclosure.height,
+                terrain: edgeDetect.enclosure.terrain
+            }
+        };
+        state.moveStartPos = { x: e.clientX, y: e.clientY };
+        return;
+    }
+    
+    // Check if clicking on an existing enclosure (not near edge)
+    const enclosureEl = e.target.closest('.enclosure');
+    if (enclosureEl) {
+        const id = enclosureEl.closest('g').dataset.enclosureId;
+        const enclosure = state.enclosures.find(enc => enc.id === id);
+        if (enclosure) {
+            // Start moving
+            state.movingItem = {
+                type: 'enclosure',
+                id: id,
+                data: enclosure,
+                originalX: enclosure.gridX,
+                originalY: enclosure.gridY,
+                offsetX: point.gridX - enclosure.gridX,
+                offsetY: point.gridY - enclosure.gridY,
+            };
+            state.moveStartPos = { x: e.clientX, y: e.clientY };
+            
+            // On touch screens items are picked up with a long press
+            if (e.pointerType === 'touch') startLongPress(state.movingItem);
+        }
+        return;
+    }
+    
+    // Check if clicking on a building or decoration
+    const buildingEl = e.target.closest('.building');
+    if (buildingEl) {
+        const id = buildingEl.closest('g').dataset.buildingId;
+        let item = state.placedBuildings.find(b => b.id === id);
+        let itemType = 'building';
+        
+        if (!item) {
+            item = state.placedDecorations.find(d => d.id === id);
+            itemType = 'decoration';
+        }
+        
+        // Assignment items stay put
+        if (item && item.locked) {
+            showLockedMessage(item);
+            return;
+        }
+        
+        if (item) {
+            // Start moving
+            state.movingItem = {
+                type: itemType,
+                id: id,
+                data: item,
+                originalX: item.gridX,
+                originalY: item.gridY,
+                offsetX: point.gridX - item.gridX,
+                offsetY: point.gridY - item.gridY,
+            };
+            state.moveStartPos = { x: e.clientX, y: e.clientY };
+            
+            // On touch screens items are picked up with a long press
+            if (e.pointerType === 'touch') startLongPress(state.movingItem);
+        }
+        return;
+    }
+    
+    // Must have an animal selected to draw
+    if (!state.selectedAnimal) return;
+    
+    startDrawing(point.gridX, point.gridY);
+}
+
+// Detect if the pointer is near an enclosure edge
+function detectEnclosureEdge(mouseGridX, mouseGridY, threshold = EDGE_THRESHOLD) {
+    for (const enclosure of state.enclosures) {
+        // Shaped enclosures are repainted rather than stretched
+        if (enclosure.shape) continue;
+        
+        const left = enclosure.gridX;
+        const right = enclosure.gridX + enclosure.width;
+        const top = enclosure.gridY;
+        const bottom = enclosure.gridY + enclosure.height;
+        
+        // Check if mouse is inside the enclosure bounds (with threshold)
+        if (mouseGridX >= left - threshold && mouseGridX <= right + threshold &&
+            mouseGridY >= top - threshold && mouseGridY <= bottom + threshold) {
+            
+            const nearLeft = Math.abs(mouseGridX - left) <= threshold;
+            const nearRight = Math.abs(mouseGridX - right) <= threshold;
+            const nearTop = Math.abs(mouseGridY - top) <= threshold;
+            const nearBottom = Math.abs(mouseGridY - bottom) <= threshold;
+            
+            // Priority: corners first, then edges
+            // Only one horizontal and one vertical edge can be true at once
+            const isLeft = nearLeft && !nearRight;
+            const isRight = nearRight && !nearLeft;
+            const isTop = nearTop && !nearBottom;
+            const isBottom = nearBottom && !nearTop;
+            
+            // Only resize from edges, not inside
+            if (isLeft || isRight || isTop || isBottom) {
+                return {
+                    enclosure,
+                    edge: {
+                        left: isLeft,
+                        right: isRight,
+                        top: isTop,
+                        bottom: isBottom
+                    }
+                };
+            }
+        }
+    }
+    
+    return null;
+}
+
+// Update cursor based on resize edge
+function updateResizeCursor(edge) {
+    const svg = document.getElementById('zooGrid');
+    
+    if (!edge) {
+        svg.style.cursor = 'crosshair';
+        return;
+    }
+    
+    if (edge.left && edge.top) svg.style.cursor = 'nw-resize';
+    else if (edge.right && edge.top) svg.style.cursor = 'ne-resize';
+    else if (edge.left && edge.bottom) svg.style.cursor = 'sw-resize';
+    else if (edge.right && edge.bottom) svg.style.cursor = 'se-resize';
+    else if (edge.left || edge.right) svg.style.cursor = 'ew-resize';
+    else if (edge.top || edge.bottom) svg.style.cursor = 'ns-resize';
+}
+
+function handleGridPointerMove(e) {
+    if (activeTouches.has(e.pointerId)) {
+        activeTouches.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+        if (pinchGesture) {
+            if (activeTouches.size === 2) updatePinch();
+            return;
+        }
+    }
+    
+    // Finger sliding away from where it landed: it's not a tap to place the carried item
+    if (state.pendingPlacement && e.pointerId === state.pendingPlacement.pointerId) {
+        const pending = state.pendingPlacement;
+        if (Math.hypot(e.clientX - pending.startX, e.clientY - pending.startY) > TOUCH_SLOP) {
+            state.pendingPlacement = null;
+        }
+    }
+    
+    // Finger resting on an item: sliding off before the long press means it wasn't a pick-up
+    if (state.movingItem && state.movingItem.waitingForLongPress) {
+        const distance = Math.hypot(e.clientX - state.moveStartPos.x, e.clientY - state.moveStartPos.y);
+        if (distance > TOUCH_SLOP) {
+            cancelPointerAction();
+        }
+        return;
+    }
+    
+    // Handle resizing an enclosure
+    if (state.resizingEnclosure) {
+        const point = getGridPoint(e); // Regular point for snapping to grid
+        const resize = state.resizingEnclosure;
+        const enc = resize.enclosure;
+        
+        // Keep the cursor correct during resize
+        updateResizeCursor(resize.edge);
+        
+        let newX = enc.gridX;
+        let newY = enc.gridY;
+        let newWidth = enc.width;
+        let newHeight = enc.height;
+        
+        // Calculate new dimensions based on which edge is being dragged
+        if (resize.edge.right) {
+            newWidth = Math.max(1, point.gridX - enc.gridX + 1);
+        }
+        if (resize.edge.left) {
+            const oldRight = enc.gridX + enc.width;
+            newX = Math.min(point.gridX, oldRight - 1);
+            newWidth = oldRight - newX;
+        }
+        if (resize.edge.bottom) {
+            newHeight = Math.max(1, point.gridY - enc.gridY + 1);
+        }
+        if (resize.edge.top) {
+            const oldBottom = enc.gridY + enc.height;
+            newY = Math.min(point.gridY, oldBottom - 1);
+            newHeight = oldBottom - newY;
+        }
+        
+        // Constrain to grid
+        newX = Math.max(0, Math.min(newX, state.gridWidth - 1));
+        newY = Math.max(0, Math.min(newY, state.gridHeight - 1));
+        newWidth = Math.max(1, Math.min(newWidth, state.gridWidth - newX));
+        newHeight = Math.max(1, Math.min(newHeight, state.gridHeight - newY));
+        
+        // Check for overlap with other items (excluding this enclosure)
+        const hasOverlap = checkOverlap(newX, newY, newWidth, newHeight, enc.id, null, 'enclosure');
+        
+        // Only update if no overlap
+        if (!hasOverlap) {
+            enc.terrain = shiftTerrain(enc.terrain, newX - enc.gridX, newY - enc.gridY);
+            enc.gridX = newX;
+            enc.gridY = newY;
+            enc.width = newWidth;
+            enc.height = newHeight;
+            
+            renderEnclosure(enc);
+            updateSummaryTable();
+            updateURL();
+        }
+        // If there's overlap, just don't resize - keep current position
+        return;
+    }
+    
+    // Handle dragging out a selection box or moving the selected items
+    if (state.selectionBox) {
+        const point = getGridPoint(e);
+        extendSelectionBox(point.gridX, point.gridY);
+        return;
+    }
+    if (state.movingSelection) {
+        const point = getGridPoint(e);
+        document.getElementById('zooGrid').style.cursor = 'grabbing';
+        moveSelection(point.gridX, point.gridY);
+        return;
+    }
+    
+    // Handle moving an existing item
+    if (state.movingItem) {
+        // Only update if mouse is near the grid
+        const svg = document.getElementById('zooGrid');
+        const rect = svg.getBoundingClientRect();
+        
+        // Keep move cursor
+        svg.style.cursor = 'grabbing';
+        
+        // Check if mouse is reasonably close to the SVG
+        const mouseX = e.clientX;
+        const mouseY = e.clientY;
+        const isNearSVG = mouseX >= rect.left - 50 && mouseX <= rect.right + 50 &&
+                          mouseY >= rect.top - 50 && mouseY <= rect.bottom + 50;
+        
+        if (!isNearSVG) {
+            // Don't update position if too far from grid
+            return;
+        }
+        
+        const point = getGridPoint(e);
+        let newX = point.gridX - state.movingItem.offsetX;
+        let newY = point.gridY - state.movingItem.offsetY;
+        
+        // Get dimensions
+        const width = state.movingItem.data.width;
+        const height = state.movingItem.data.height;
+        
+        // Constrain to grid boundaries
+        newX = Math.max(0, Math.min(newX, state.gridWidth - width));
+        newY = Math.max(0, Math.min(newY, state.gridHeight - height));
+        
+        // Update position
+        state.movingItem.data.gridX = newX;
+        state.movingItem.data.gridY = newY;
+        
+        // Re-render
+        if (state.movingItem.type === 'enclosure') {
+            renderEnclosure(state.movingItem.data);
+        } else {
+            renderBuilding(state.movingItem.data);
+        }
+        return;
+    }
+    
+    // Handle painting a path
+    if (state.pathStroke) {
+        const point = getGridPoint(e);
+        extendPathStroke(point.gridX, point.gridY);
+        return;
+    }
+    
+    // Handle painting terrain
+    if (state.terrainStroke) {
+        const point = getGridPoint(e);
+        extendTerrainStroke(point.gridX, point.gridY);
+        return;
+    }
+    
+    // Handle drawing new enclosure
+    if (state.drawing) {
+        const point = getGridPoint(e);
+        extendDrawing(point.gridX, point.gridY);
+        
+        // Keep crosshair cursor while drawing
+        const svg = document.getElementById('zooGrid');
+        svg.style.cursor = 'crosshair';
+        return;
+    }
+    
+    // Show where a picked-up palette item would go
+    if (state.placingItem) {
+        const point = getGridPoint(e);
+        renderBuildingPreview(state.placingItem.item, point.gridX, point.gridY);
+        return;
+    }
+    
+    // Update cursor for resize handles when not doing anything else
+    const precisePoint = getGridPoint(e, true); // Use precise position for edge detection
+    const edgeDetect = detectEnclosureEdge(precisePoint.gridX, precisePoint.gridY);
+    
+    if (edgeDetect) {
+        // Near an edge - show resize cursor
+        updateResizeCursor(edgeDetect.edge);
+    } else {
+        // Check if over an enclosure (not near edge) - show move cursor
+        const regularPoint = getGridPoint(e);
+        const overEnclosure = state.enclosures.find(enc => itemCoversCell(enc, regularPoint.gridX, regularPoint.gridY));
+        
+        const svg = document.getElementById('zooGrid');
+        if (overEnclosure) {
+            svg.style.cursor = 'move';
+        } else {
+            svg.style.cursor = 'crosshair';
+        }
+    }
+}
+
+function handleGridPointerUp(e) {
+    if (activeTouches.has(e.pointerId)) {
+        activeTouches.delete(e.pointerId);
+        if (pinchGesture) {
+            // Wait for every finger to lift before editing again
+            if (activeTouches.size === 0) pinchGesture = null;
+            return;
+        }
+    }
+    if (state.movingItem) {
+        clearTimeout(longPressTimer);
+    }
+    
+    // Finger lifted without moving or pinching: place the carried item where it landed
+    if (state.pendingPlacement) {
+        const pending = state.pendingPlacement;
+        state.pendingPlacement = null;
+        if (e.pointerId === pending.pointerId && state.placingItem) {
+            placePickedItemAt(pending.gridX, pending.gridY);
+        }
+        return;
+    }
+    
+    // Handle finishing a resize
+    if (state.resizingEnclosure) {
+        const distanceMoved = state.moveStartPos ? Math.sqrt(
+            Math.pow(e.clientX - state.moveStartPos.x, 2) +
+            Math.pow(e.clientY - state.moveStartPos.y, 2)
+        ) : 100;
+        
+        const enc = state.resizingEnclosure.enclosure;
+        const orig = state.resizingEnclosure.originalData;
+        
+        // If barely moved, treat as click for delete
+        if (distanceMoved < 5) {
+            // Restore original
+            enc.gridX = orig.gridX;
+            enc.gridY = orig.gridY;
+            enc.width = orig.width;
+            enc.height = orig.height;
+            enc.terrain = orig.terrain;
+            
+            renderEnclosure(enc);
+            updateSummaryTable();
+            
+            showEnclosureDialog(enc);
+        } else {
+            // Actual resize happened
+            finishResize(enc, orig);
+        }
+        
+        state.resizingEnclosure = null;
+        state.moveStartPos = null;
+        
+        // Reset cursor
+        const svg = document.getElementById('zooGrid');
+        svg.style.cursor = 'crosshair';
+        return;
+    }
+    
+    // Handle finishing a move
+    if (state.movingItem) {
+        // Calculate distance moved from original mouse position
+        const distanceMoved = state.moveStartPos ? Math.sqrt(
+            Math.pow(e.clientX - state.moveStartPos.x, 2) +
+            Math.pow(e.clientY - state.moveStartPos.y, 2)
+        ) : 100; // Default to large distance if no start pos
+        
+        // If barely moved (< 5 pixels), treat as click for delete -
+        // on touch, lifting before the long press finished is the tap
+        const isTap = state.movingItem.waitingForLongPress || (e.pointerType !== 'touch' && distanceMoved < 5);
+        if (isTap) {
+            const item = state.movingItem;
+            // Restore original position first
+            item.data.gridX = item.originalX;
+            item.data.gridY = item.originalY;
+            
+            if (item.type === 'enclosure') {
+                renderEnclosure(item.data);
+            } else {
+                renderBuilding(item.data); // Decorations render same as buildings
+            }
+            if (item.type === 'enclosure') {
+                showEnclosureDialog(item.data);
+            } else {
+                confirmDeleteItem(item.type, item.data);
+            }
+            
+            state.movingItem = null;
+            state.moveStartPos = null;
+            return;
+        }
+        
+        // Validate final position
+        const item = state.movingItem.data;
+        const width = state.movingItem.type === 'enclosure' ? item.width : item.width;
+        const height = state.movingItem.type === 'enclosure' ? item.height : item.height;
+        
+        const fits = fitsInGrid(item.gridX, item.gridY, width, height);
+        
+        const hasOverlap = checkOverlap(item.gridX, item.gridY, width, height, state.movingItem.id, item.shape,
+                                        overlapRole(state.movingItem.type, item));
+        
+        if (!fits || hasOverlap) {
+            // Revert to original position
+            item.gridX = state.movingItem.originalX;
+            item.gridY = state.movingItem.originalY;
+        }
+        
+        const moving = state.movingItem;
+        state.movingItem = null;
+        state.moveStartPos = null;
+        
+        if (item.gridX !== moving.originalX || item.gridY !== moving.originalY) {
+            // Record the move so it can be undone (this also re-renders and updates the URL)
+            recordCommand(createUpdateCommand(
+                `Move ${describeItem(moving.type, item)}`,
+                moving.type,
+                moving.id,
+                { gridX: moving.originalX, gridY: moving.originalY },
+                { gridX: item.gridX, gridY: item.gridY }
+            ));
+        } else {
+            // Re-render at original position
+            if (moving.type === 'enclosure') {
+                renderEnclosure(item);
+            } else {
+                renderBuilding(item);
+            }
+        }
+        return;
+    }
+    
+    // Handle finishing a selection box or moving the selected items
+    if (state.selectionBox) {
+        finishSelectionBox();
+        return;
+    }
+    if (state.movingSelection) {
+        finishSelectionMove();
+        document.getElementById('zooGrid').style.cursor = 'crosshair';
+        return;
+    }
+    
+    // Handle finishing a path
+    if (state.pathStroke) {
+        finishPathStroke();
+        return;
+    }
+    
+    // Handle finishing terrain
+    if (state.terrainStroke) {
+        finishTerrainStroke();
+        return;
+    }
+    
+    // Handle finishing drawing
+    if (!state.drawing) return;
+    
+    finishDrawing();
+}
+
+// Apply a finished enclosure resize - through math practice if it's on
+function finishResize(enc, orig) {
+    // Growing buys more land and fence: check the budget before any math, and put it back if it can't pay
+    const size = ({ gridX, gridY, width, height, terrain }) => ({ gridX, gridY, width, height, terrain });
+    const resized = size(enc);
+    const extra = enclosureCost(enc) - enclosureCost({ ...enc, ...size(orig) });
+    if (extra > 0) {
+        Object.assign(enc, size(orig));
+        if (!checkBudget(extra, `Making the ${describeItem('enclosure', enc)} bigger`)) {
+            renderAllItems();
+            updateSummaryTable();
+            return;
+        }
+        Object.assign(enc, resized);
+    }
+    
+    if (state.mathPractice) {
+        // Show math practice modal with new dimensions
+        // Pass original dimensions so we can revert if modal is dismissed
+        enc.originalGridX = orig.gridX;
+        enc.originalGridY = orig.gridY;
+        enc.originalWidth = orig.width;
+        enc.originalHeight = orig.height;
+        enc.originalTerrain = orig.terrain;
+        showMathPracticeModal(enc.gridX, enc.gridY, enc.width, enc.height, enc.animals[0], enc);
+    } else {
+        // No math practice - finalize the resize (skip the history if nothing changed)
+        const changed = enc.gridX !== orig.gridX || enc.gridY !== orig.gridY ||
+                        enc.width !== orig.width || enc.height !== orig.height;
+        if (changed) {
+            recordCommand(createResizeCommand(enc, orig));
+        }
+    }
+}
+
+// Turn the enclosure being drawn into a real one - through math practice if it's on
+function finishDrawing() {
+    const { gridX: x, gridY: y, width, height, shape } = drawingBounds();
+    
+    // Check for overlap
+    const hasOverlap = checkOverlap(x, y, width, height, null, shape, 'enclosure');
+    
+    // Only create if it has some size and doesn't overlap
+    const canBuild = width > 0 && height > 0 && !hasOverlap && state.selectedAnimal;
+    if (canBuild) {
+        const animal = ANIMALS.find(a => a.id === state.selectedAnimal);
+        const cost = enclosureCost({ gridX: x, gridY: y, width, height, shape });
+        
+        // Check the budget before any math, so nobody works out a question for nothing
+        // (checkBudget tells the student why it can't be built)
+        if (checkBudget(cost, `This ${animal.name} enclosure`)) {
+            if (state.mathPractice) {
+                // Show math practice modal
+                showMathPracticeModal(x, y, width, height, state.selectedAnimal, null, shape);
+            } else {
+                // Add enclosure directly
+                addEnclosure(x, y, width, height, [state.selectedAnimal], false, shape);
+            }
+        }
+    }
+    
+    clearDrawing();
+    return Boolean(canBuild);
+}
+
+// Start drawing an enclosure - a rectangle corner to corner, or painted square by square
+function startDrawing(gridX, gridY) {
+    state.drawing = {
+        startX: gridX,
+        startY: gridY,
+        currentX: gridX,
+        currentY: gridY,
+    };
+    if (state.enclosureMode === 'paint') {
+        state.drawing.cells = new Set([`${gridX},${gridY}`]);
+    }
+    renderDrawingEnclosure();
+}
+
+// The pointer or keyboard cursor moved on while drawing
+function extendDrawing(gridX, gridY) {
+    const drawing = state.drawing;
+    
+    if (drawing.cells) {
+        stepSquares(drawing.currentX, drawing.currentY, gridX, gridY, (x, y) => drawing.cells.add(`${x},${y}`));
+    }
+    
+    drawing.currentX = gridX;
+    drawing.currentY = gridY;
+    renderDrawingEnclosure();
+}
+
+// Position, size and shape of the enclosure being drawn
+function drawingBounds() {
+    const { startX, startY, currentX, currentY, cells } = state.drawing;
+    if (cells) return shapeFromCells(cells);
+    
+    return {
+        gridX: Math.min(startX, currentX),
+        gridY: Math.min(startY, currentY),
+        width: Math.abs(currentX - startX) + 1,
+        height: Math.abs(currentY - startY) + 1,
+        shape: null,
+    };
+}
+
+// Remove the enclosure being drawn
+function clearDrawing() {
+    const temp = document.getElementById('tempEnclosure');
+    if (temp) temp.remove();
+    const tempLabel = document.getElementById('tempEnclosureLabel');
+    if (tempLabel) tempLabel.remove();
+    state.drawing = null;
+}
+
+// Ask before deleting a placed item (clicking a building or decoration without dragging it)
+function confirmDeleteItem(kind, item) {
+    if (item.locked) {
+        showLockedMessage(item);
+    } else if (kind === 'enclosure') {
+        showConfirmDialog('Delete this enclosure?', () => {
+            deleteEnclosure(item.id);
+        }, enclosureEmoji(item), enclosureName(item));
+    } else if (kind === 'decoration') {
+        showConfirmDialog('Delete this decoration?', () => {
+            deleteDecoration(item.id);
+        }, item.emoji, item.name);
+    } else {
+        showConfirmDialog('Delete this building?', () => {
+            deleteBuilding(item.id);
+        }, item.emoji, item.name);
+    }
+}
+
+// Clicking an enclosure: see who lives there, move animals in or out, or delete it
+function showEnclosureDialog(enclosure) {
+    const residents = enclosureResidents(enclosure);
+    const newcomers = ANIMALS.filter(animal => !enclosure.animals.includes(animal.id));
+    
+    const modal = document.createElement('div');
+    modal.className = 'confirm-modal';
+    modal.innerHTML = `
+        <div class="confirm-content enclosure-dialog">
+            <div class="confirm-emoji">${enclosureEmoji(enclosure)}</div>
+            <h3>${enclosureName(enclosure)}</h3>
+            <p class="confirm-message">
+                ${describeNeeds(enclosure)}.
+                This enclosure has perimeter ${enclosurePerimeter(enclosure)} and area ${enclosureArea(enclosure)}.
+            </p>
+            <ul class="resident-list">
+                ${residents.map(animal => `
+                    <li>
+                        <span class="resident-emoji">${animal.emoji}</span>
+                        <span class="resident-name">${animal.name}</span>
+                        <input type="number" class="resident-count" data-animal-id="${animal.id}"
+                               min="1" max="${MAX_HEAD_COUNT}" step="1" value="${headCount(enclosure, animal.id)}"
+                               aria-label="How many ${animal.plural}">
+                        ${residents.length > 1 ? `<button class="resident-remove" data-animal-id="${animal.id}" title="Move the ${animal.name} out" aria-label="Move the ${animal.name} out">✕</button>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+            ${newcomers.length > 0 ? `
+                <div class="resident-add">
+                    <select id="residentSelect" class="resident-select" aria-label="Animal to move in">
+                        ${newcomers.map(animal => `<option value="${animal.id}">${animal.emoji} ${animal.name}</option>`).join('')}
+                    </select>
+                    <button id="residentAddBtn" class="resident-add-btn">➕ Move In</button>
+                </div>
+            ` : ''}
+            <div class="confirm-buttons">
+                <button class="confirm-yes" id="enclosureDeleteBtn">🗑️ Delete</button>
+                <button class="confirm-no">Close</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    // Each change is one undoable edit - then show the dialog again with the new residents
+    const changeResidents = (label, animals, counts) => {
+        modal.remove();
+        runCommand(createUpdateCommand(label, 'enclosure', enclosure.id,
+            { animals: enclosure.animals, counts: enclosure.counts },
+            { animals, counts }
+        ));
+        showEnclosureDialog(enclosure);
+    };
+    
+    modal.querySelectorAll('.resident-count').forEach(input => {
+        input.addEventListener('change', () => {
+            const animal = ANIMALS.find(a => a.id === input.dataset.animalId);
+            const count = parseInt(input.value, 10);
+            if (!(count >= 1 && count <= MAX_HEAD_COUNT)) {
+                input.value = headCount(enclosure, animal.id);
+                return;
+            }
+            changeResidents(`Change to ${describeGroup(animal, count)}`,
+                enclosure.animals, countsWith(enclosure, animal.id, count));
+        });
+    });
+    
+    modal.querySelectorAll('.resident-remove').forEach(button => {
+        button.addEventListener('click', () => {
+            const animal = ANIMALS.find(a => a.id === button.dataset.animalId);
+            changeResidents(`Move ${animal.name} out of ${describeItem('enclosure', enclosure)}`,
+                enclosure.animals.filter(id => id !== animal.id), countsWith(enclosure, animal.id, 1));
+        });
+    });
+    
+    const addBtn = modal.querySelector('#residentAddBtn');
+    if (addBtn) {
+        addBtn.addEventListener('click', () => {
+            const animal = ANIMALS.find(a => a.id === modal.querySelector('#residentSelect').value);
+            changeResidents(`Move ${animal.name} into ${describeItem('enclosure', enclosure)}`,
+                [...enclosure.animals, animal.id], enclosure.counts);
+        });
+    }
+    
+    modal.querySelector('#enclosureDeleteBtn').addEventListener('click', () => {
+        modal.remove();
+        deleteEnclosure(enclosure.id);
+    });
+    
+    const closeBtn = modal.querySelector('.confirm-no');
+    closeBtn.addEventListener('click', () => modal.remove());
+    
+    // Click outside to close
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+    
+    closeBtn.focus();
+}
+
+// Zoom and pan - the SVG keeps its size on the page, the viewBox shows part of the grid
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 1.25; // Zoom buttons change the zoom by this factor
+const LONG_PRESS_DELAY = 450; // ms a finger rests on an item to pick it up
+const TOUCH_SLOP = 10; // px a finger can wander and still count as a tap
+const TOUCH_EDGE_THRESHOLD = 0.6; // Fingers get a wider resize edge than the mouse
+
+const activeTouches = new Map(); // pointerId -> { clientX, clientY } for fingers on the grid
+let pinchGesture = null; // Two-finger zoom/pan in progress
+let longPressTimer = null;
+let paletteDrag = null; // Finger or mouse pressing a palette item
+
+// SVG units per screen pixel at the current zoom
+function svgUnitsPerPixel() {
+    const rect = document.getElementById('zooGrid').getBoundingClientRect();
+    const viewWidth = state.gridWidth * CELL_SIZE / state.view.zoom;
+    return rect.width ? viewWidth / rect.width : 1 / state.view.zoom;
+}
+
+// Convert a screen position to (fractional) grid squares, allowing for zoom and pan
+function clientToGrid(clientX, clientY) {
+    const rect = document.getElementById('zooGrid').getBoundingClientRect();
+    const scale = svgUnitsPerPixel();
+    
+    return {
+        x: (state.view.x + (clientX - rect.left) * scale) / CELL_SIZE,
+        y: (state.view.y + (clientY - rect.top) * scale) / CELL_SIZE,
+    };
+}
+
+// Keep the view inside the grid and show it through the viewBox
+function applyView() {
+    const width = state.gridWidth * CELL_SIZE;
+    const height = state.gridHeight * CELL_SIZE;
+    
+    state.view.zoom = Math.max(1, Math.min(MAX_ZOOM, state.view.zoom));
+    const viewWidth = width / state.view.zoom;
+    const viewHeight = height / state.view.zoom;
+    state.view.x = Math.max(0, Math.min(width - viewWidth, state.view.x));
+    state.view.y = Math.max(0, Math.min(height - viewHeight, state.view.y));
+    
+    document.getElementById('zooGrid').setAttribute('viewBox', `${state.view.x} ${state.view.y} ${viewWidth} ${viewHeight}`);
+    
+    const resetBtn = document.getElementById('zoomResetBtn');
+    if (resetBtn) {
+        resetBtn.textContent = `${Math.round(state.view.zoom * 100)}%`;
+    }
+}
+
+// Zoom so the grid point under (clientX, clientY) stays put
+function zoomAround(zoom, clientX, clientY) {
+    const before = clientToGrid(clientX, clientY);
+    state.view.zoom = Math.max(1, Math.min(MAX_ZOOM, zoom));
+    const after = clientToGrid(clientX, clientY);
+    
+    state.view.x += (before.x - after.x) * CELL_SIZE;
+    state.view.y += (before.y - after.y) * CELL_SIZE;
+    applyView();
+}
+
+// Zoom buttons - zoom around the middle of the grid
+function zoomBy(factor) {
+    const rect = document.getElementById('zooGrid').getBoundingClientRect();
+    zoomAround(state.view.zoom * factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+}
+
+// Move the view by a distance in screen pixels; whatever the view can't take scrolls the page
+function panBy(dxClient, dyClient) {
+    const scale = svgUnitsPerPixel();
+    const wantedX = state.view.x - dxClient * scale;
+    const wantedY = state.view.y - dyClient * scale;
+    
+    state.view.x = wantedX;
+    state.view.y = wantedY;
+    applyView();
+    
+    // Already at the edge of the grid - the rest of the pan scrolls the page like normal
+    const leftoverX = (wantedX - state.view.x) / scale;
+    const leftoverY = (wantedY - state.view.y) / scale;
+    if (Math.abs(leftoverX) >= 1 || Math.abs(leftoverY) >= 1) {
+        window.scrollBy(leftoverX, leftoverY);
+    }
+}
+
+// Back to the whole grid
+function resetView() {
+    state.view = { zoom: 1, x: 0, y: 0 };
+    applyView();
+}
+
+// Pan the view so a grid square is on screen (the keyboard cursor may walk off the edge)
+function scrollSquareIntoView(gridX, gridY) {
+    const viewWidth = state.gridWidth * CELL_SIZE / state.view.zoom;
+    const viewHeight = state.gridHeight * CELL_SIZE / state.view.zoom;
+    const x = gridX * CELL_SIZE;
+    const y = gridY * CELL_SIZE;
+    
+    if (x < state.view.x) state.view.x = x;
+    if (x + CELL_SIZE > state.view.x + viewWidth) state.view.x = x + CELL_SIZE - viewWidth;
+    if (y < state.view.y) state.view.y = y;
+    if (y + CELL_SIZE > state.view.y + viewHeight) state.view.y = y + CELL_SIZE - viewHeight;
+    applyView();
+}
+
+// Ctrl+wheel (what trackpad pinches send) zooms; the plain wheel pans when zoomed in
+function handleGridWheel(e) {
+    if (e.ctrlKey) {
+        e.preventDefault();
+        zoomAround(state.view.zoom * Math.exp(-e.deltaY * 0.01), e.clientX, e.clientY);
+    } else if (state.view.zoom > 1) {
+        e.preventDefault();
+        panBy(-e.deltaX, -e.deltaY);
     }
+}
+
+// Distance and midpoint between the two fingers on the grid
+function measureTouches() {
+    const [a, b] = Array.from(activeTouches.values());
+    return {
+        distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+        midX: (a.clientX + b.clientX) / 2,
+        midY: (a.clientY + b.clientY) / 2,
+    };
+}
+
+// Second finger down: zoom/pan instead of editing
+function startPinch() {
+    cancelPointerAction();
+    const { distance, midX, midY } = measureTouches();
+    pinchGesture = { distance, midX, midY, zoom: state.view.zoom };
+}
+
+// Fingers moved: zoom by how far they spread, pan by how far their midpoint moved
+function updatePinch() {
+    const { distance, midX, midY } = measureTouches();
     
-    group.appendChild(rect);
+    panBy(midX - pinchGesture.midX, midY - pinchGesture.midY);
+    if (pinchGesture.distance > 0) {
+        zoomAround(pinchGesture.zoom * distance / pinchGesture.distance, midX, midY);
+    }
+    pinchGesture.midX = midX;
+    pinchGesture.midY = midY;
+}
+
+// Abandon whatever the pointer was doing and put things back (a second finger landed)
+function cancelPointerAction() {
+    clearTimeout(longPressTimer);
+    state.pendingPlacement = null;
     
-    // Emoji - special handling for bench (two chairs) vs other items
-    const isBench = building.id && building.id.includes('bench');
+    if (state.movingItem) {
+        const moving = state.movingItem;
+        moving.data.gridX = moving.originalX;
+        moving.data.gridY = moving.originalY;
+    }
+    if (state.resizingEnclosure) {
+        Object.assign(state.resizingEnclosure.enclosure, state.resizingEnclosure.originalData);
+    }
+    if (state.movingItem || state.resizingEnclosure) {
+        state.movingItem = null;
+        state.resizingEnclosure = null;
+        state.moveStartPos = null;
+        renderAllItems();
+        updateSummaryTable();
+    }
+    if (state.drawing) {
+        clearDrawing();
+    }
+    if (state.selectionBox) {
+        cancelSelectionBox();
+    }
+    if (state.movingSelection) {
+        cancelSelectionMove(state.movingSelection.entries);
+    }
+    if (state.pathStroke) {
+        cancelPathStroke();
+    }
+    if (state.terrainStroke) {
+        cancelTerrainStroke();
+    }
+}
+
+// Finger resting on an item: after a moment it's picked up and follows the finger
+function startLongPress(moving) {
+    moving.waitingForLongPress = true;
     
-    if (isBench) {
-        // Bench: show two chair emojis side by side
-        const fontSize = Math.min(width, height) * 0.6;
-        const spacing = width / 3;
-        
-        const chair1 = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        chair1.setAttribute('x', x + spacing);
-        chair1.setAttribute('y', y + height / 2);
-        chair1.setAttribute('class', 'building-label');
-        chair1.setAttribute('font-size', fontSize);
-        chair1.setAttribute('dominant-baseline', 'central'); // Better vertical centering
-        chair1.textContent = building.emoji;
-        group.appendChild(chair1);
-        
-        const chair2 = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        chair2.setAttribute('x', x + width - spacing);
-        chair2.setAttribute('y', y + height / 2);
-        chair2.setAttribute('class', 'building-label');
-        chair2.setAttribute('font-size', fontSize);
-        chair2.setAttribute('dominant-baseline', 'central'); // Better vertical centering
-        chair2.textContent = building.emoji;
-        group.appendChild(chair2);
-    } else {
-        // Normal items: single centered emoji
-        const emoji = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        emoji.setAttribute('x', x + width / 2);
-        
-        if (building.height === 1) {
-            // For 1-tall items: larger emoji, perfectly centered
-            emoji.setAttribute('y', y + height / 2);
-            emoji.setAttribute('font-size', Math.min(width, height) * 0.6);
-            emoji.setAttribute('dominant-baseline', 'central'); // Better vertical centering
-        } else {
-            // For taller items: normal size with slight offset for text below
-            emoji.setAttribute('y', y + height / 2 - 5);
-            emoji.setAttribute('font-size', Math.min(width, height) * 0.4);
-            emoji.setAttribute('dominant-baseline', 'middle'); // Better vertical centering
-        }
+    clearTimeout(longPressTimer);
+    longPressTimer = setTimeout(() => {
+        if (state.movingItem !== moving) return;
         
-        emoji.setAttribute('class', 'building-label');
-        emoji.textContent = building.emoji;
-        group.appendChild(emoji);
+        moving.waitingForLongPress = false;
+        const el = document.getElementById(moving.id);
+        if (el) el.classList.add('picked-up');
+        if (navigator.vibrate) navigator.vibrate(30);
+        announce(`${describeItem(moving.type, moving.data)} picked up.`);
+    }, LONG_PRESS_DELAY);
+}
+
+// Interaction cancelled by the browser (e.g. a system gesture)
+function handleGridPointerCancel(e) {
+    activeTouches.delete(e.pointerId);
+    if (activeTouches.size === 0) {
+        pinchGesture = null;
     }
+    cancelPointerAction();
+}
+
+// Pointer down on a palette item: a tap or click picks it up; a long press, or moving the mouse, drags it.
+// Palette drags use pointer events rather than HTML5 drag and drop, which holds back keys (and R to turn)
+function handlePalettePointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (e.target.closest('.delete-building-btn')) return;
     
-    // Name (only show if tall enough - at least 2 grid cells high)
-    if (building.height >= 2) {
-        const name = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        name.setAttribute('x', x + width / 2);
-        name.setAttribute('y', y + height - 8); // Position near bottom of building
-        name.setAttribute('class', 'building-name-label');
-        name.setAttribute('font-size', '10');
-        name.textContent = building.name;
-        group.appendChild(name);
+    const itemId = e.currentTarget.dataset.buildingId;
+    let item = BUILDINGS.find(b => b.id === itemId);
+    let kind = 'building';
+    if (!item) {
+        item = DECORATIONS.find(d => d.id === itemId);
+        kind = 'decoration';
     }
+    if (!item) return;
     
-    document.getElementById('buildings').appendChild(group);
+    paletteDrag = {
+        pointerId: e.pointerId,
+        item,
+        kind,
+        element: e.currentTarget,
+        startX: e.clientX,
+        startY: e.clientY,
+        dragging: false,
+    };
+    
+    // The mouse starts dragging as soon as it moves
+    if (e.pointerType === 'mouse') return;
+    
+    clearTimeout(longPressTimer);
+    longPressTimer = setTimeout(() => {
+        if (!paletteDrag) return;
+        startPaletteDrag();
+        if (navigator.vibrate) navigator.vibrate(30);
+    }, LONG_PRESS_DELAY);
 }
 
-// Grid interaction - Drawing enclosures or moving items
-function handleGridMouseDown(e) {
-    const point = getGridPoint(e);
-    const precisePoint = getGridPoint(e, true); // Use precise position for edge detection
+// The pressed palette item follows the pointer from now on
+function startPaletteDrag() {
+    paletteDrag.dragging = true;
+    paletteDrag.element.classList.add('dragging');
+    state.draggingBuilding = paletteDrag.item;
+}
+
+// Palette item dragged over the grid: show where it would land
+function handlePalettePointerMove(e) {
+    if (!paletteDrag || e.pointerId !== paletteDrag.pointerId) return;
     
-    // Check if near an enclosure edge for resizing
-    const edgeDetect = detectEnclosureEdge(precisePoint.gridX, precisePoint.gridY);
-    if (edgeDetect) {
-        // Start resizing
-        state.resizingEnclosure = {
-            enclosure: edgeDetect.enclosure,
-            edge: edgeDetect.edge,
-            originalData: {
-                gridX: edgeDetect.enclosure.gridX,
-                gridY: edgeDetect.enclosure.gridY,
-                width: edgeDetect.enclosure.width,
-                height: edgeDetect.enclosure.height
-            }
-        };
-        state.moveStartPos = { x: e.clientX, y: e.clientY };
-        return;
+    if (!paletteDrag.dragging) {
+        if (Math.hypot(e.clientX - paletteDrag.startX, e.clientY - paletteDrag.startY) <= TOUCH_SLOP) return;
+        
+        // A finger that moves before the long press finished is scrolling the palette
+        if (e.pointerType !== 'mouse') {
+            cancelPalettePointer();
+            return;
+        }
+        startPaletteDrag();
     }
     
-    // Check if clicking on an existing enclosure (not near edge)
-    const enclosureEl = e.target.closest('.enclosure');
-    if (enclosureEl) {
-        const id = enclosureEl.closest('g').dataset.enclosureId;
-        const enclosure = state.enclosures.find(enc => enc.id === id);
-        if (enclosure) {
-            // Start moving
-            state.movingItem = {
-                type: 'enclosure',
-                id: id,
-                data: enclosure,
-                originalX: enclosure.gridX,
-                originalY: enclosure.gridY,
-                offsetX: point.gridX - enclosure.gridX,
-                offsetY: point.gridY - enclosure.gridY,
-            };
-            state.moveStartPos = { x: e.clientX, y: e.clientY };
+    const point = paletteDropPoint(e);
+    if (point) {
+        renderBuildingPreview(paletteDrag.item, point.gridX, point.gridY);
+    } else {
+        removeBuildingPreview();
+    }
+}
+
+// Pointer lifted from a palette item: drop it on the grid, or pick it up if it was a tap or click
+function handlePalettePointerUp(e) {
+    if (!paletteDrag || e.pointerId !== paletteDrag.pointerId) return;
+    
+    const { item, kind, dragging } = paletteDrag;
+    cancelPalettePointer();
+    
+    if (dragging) {
+        const point = paletteDropPoint(e);
+        if (point) {
+            placePaletteItem(item, point.gridX, point.gridY, paletteRotation(item));
         }
         return;
     }
     
-    // Check if clicking on a building or decoration
-    const buildingEl = e.target.closest('.building');
-    if (buildingEl) {
-        const id = buildingEl.closest('g').dataset.buildingId;
-        let item = state.placedBuildings.find(b => b.id === id);
-        let itemType = 'building';
-        
-        if (!item) {
-            item = state.placedDecorations.find(d => d.id === id);
-            itemType = 'decoration';
-        }
-        
-        if (item) {
-            // Start moving
-            state.movingItem = {
-                type: itemType,
-                id: id,
-                data: item,
-                originalX: item.gridX,
-                originalY: item.gridY,
-                offsetX: point.gridX - item.gridX,
-                offsetY: point.gridY - item.gridY,
-            };
-            state.moveStartPos = { x: e.clientX, y: e.clientY };
-        }
+    // Tapping the item being carried again puts it back
+    if (state.placingItem && state.placingItem.item.id === item.id) {
+        stopPlacing();
+        announce(`Stopped placing ${item.name}.`);
         return;
     }
     
-    // Must have an animal selected to draw
-    if (!state.selectedAnimal) return;
+    // Tap: carry it until the next tap on the grid
+    startPlacing(item, kind);
+    announce(`${item.name} picked up. Tap or click the grid where it should go.`);
+}
+
+// Carry a palette item to the grid (tapped, or picked with the keyboard)
+function startPlacing(item, kind) {
+    state.placingItem = { item, kind };
+    document.querySelectorAll('.building-item').forEach(el => {
+        el.classList.toggle('placing', el.dataset.buildingId === item.id);
+    });
     
-    state.drawing = {
-        startX: point.gridX,
-        startY: point.gridY,
-        currentX: point.gridX,
-        currentY: point.gridY,
-    };
+    const bar = document.getElementById('placingBar');
+    if (bar) {
+        document.getElementById('placingLabel').textContent = `${item.emoji} Placing ${item.name} - tap or click the grid where it should go`;
+        bar.hidden = false;
+    }
+}
+
+// Put down the carried palette item without placing it
+function stopPlacing() {
+    state.placingItem = null;
+    state.pendingPlacement = null;
+    removeBuildingPreview();
+    document.querySelectorAll('.building-item.placing').forEach(el => el.classList.remove('placing'));
     
-    renderDrawingEnclosure();
+    const bar = document.getElementById('placingBar');
+    if (bar) bar.hidden = true;
+}
+
+// Setup the Cancel button shown while a palette item is carried
+function setupPlacingBar() {
+    document.getElementById('cancelPlacingBtn').addEventListener('click', () => {
+        if (!state.placingItem) return;
+        announce(`Stopped placing ${state.placingItem.item.name}.`);
+        stopPlacing();
+    });
+}
+
+// Forget the palette press and its preview
+function cancelPalettePointer() {
+    clearTimeout(longPressTimer);
+    if (paletteDrag) {
+        paletteDrag.element.classList.remove('dragging');
+        paletteDrag = null;
+    }
+    state.draggingBuilding = null;
+    removeBuildingPreview();
 }
 
-// Detect if mouse is near an enclosure edge
-function detectEnclosureEdge(mouseGridX, mouseGridY) {
-    const EDGE_THRESHOLD = 0.3; // Within 0.3 grid cells of edge
+// Grid square under a palette drag, or null when it's not over the grid
+function paletteDropPoint(e) {
+    const rect = document.getElementById('zooGrid').getBoundingClientRect();
+    if (e.clientX < rect.left || e.clientX > rect.right || e.clientY < rect.top || e.clientY > rect.bottom) {
+        return null;
+    }
     
-    for (const enclosure of state.enclosures) {
-        const left = enclosure.gridX;
-        const right = enclosure.gridX + enclosure.width;
-        const top = enclosure.gridY;
-        const bottom = enclosure.gridY + enclosure.height;
-        
-        // Check if mouse is inside the enclosure bounds (with threshold)
-        if (mouseGridX >= left - EDGE_THRESHOLD && mouseGridX <= right + EDGE_THRESHOLD &&
-            mouseGridY >= top - EDGE_THRESHOLD && mouseGridY <= bottom + EDGE_THRESHOLD) {
-            
-            const nearLeft = Math.abs(mouseGridX - left) <= EDGE_THRESHOLD;
-            const nearRight = Math.abs(mouseGridX - right) <= EDGE_THRESHOLD;
-            const nearTop = Math.abs(mouseGridY - top) <= EDGE_THRESHOLD;
-            const nearBottom = Math.abs(mouseGridY - bottom) <= EDGE_THRESHOLD;
-            
-            // Priority: corners first, then edges
-            // Only one horizontal and one vertical edge can be true at once
-            const isLeft = nearLeft && !nearRight;
-            const isRight = nearRight && !nearLeft;
-            const isTop = nearTop && !nearBottom;
-            const isBottom = nearBottom && !nearTop;
-            
-            // Only resize from edges, not inside
-            if (isLeft || isRight || isTop || isBottom) {
-                return {
-                    enclosure,
-                    edge: {
-                        left: isLeft,
-                        right: isRight,
-                        top: isTop,
-                        bottom: isBottom
-                    }
-                };
-            }
+    const point = clientToGrid(e.clientX, e.clientY);
+    return { gridX: Math.floor(point.x), gridY: Math.floor(point.y) };
+}
+
+// Place a tapped/keyboard-picked palette item; false if it doesn't fit there
+function placePickedItem(gridX, gridY) {
+    const { item } = state.placingItem;
+    if (!placePaletteItem(item, gridX, gridY, paletteRotation(item))) {
+        return false;
+    }
+    
+    stopPlacing();
+    return true;
+}
+
+// Place the carried palette item where the grid was clicked or tapped, or say why it can't go there
+function placePickedItemAt(gridX, gridY) {
+    const { item } = state.placingItem;
+    if (!placePickedItem(gridX, gridY)) {
+        announce(`${item.name} doesn't fit there.`);
+    }
+}
+
+// Handle the pointer leaving the SVG while dragging
+function handleGridPointerLeave(e) {
+    // If we're drawing or moving, the pointer is captured and keeps tracking
+    // The position will be clamped to grid bounds anyway
+}
+
+// Get grid coordinates from a pointer event
+function getGridPoint(e, precise = false) {
+    const { x, y } = clientToGrid(e.clientX, e.clientY);
+    
+    if (precise) {
+        // Return precise floating point position for edge detection
+        const gridX = Math.max(0, Math.min(state.gridWidth, x));
+        const gridY = Math.max(0, Math.min(state.gridHeight, y));
+        return { gridX, gridY };
+    } else {
+        // Return integer grid cell for normal operations
+        const gridX = Math.max(0, Math.min(state.gridWidth - 1, Math.floor(x)));
+        const gridY = Math.max(0, Math.min(state.gridHeight - 1, Math.floor(y)));
+        return { gridX, gridY };
+    }
+}
+
+// Keyboard editing - a cursor square on the focused grid, moved with the arrow keys
+const ARROW_STEPS = {
+    ArrowLeft: { dx: -1, dy: 0 },
+    ArrowRight: { dx: 1, dy: 0 },
+    ArrowUp: { dx: 0, dy: -1 },
+    ArrowDown: { dx: 0, dy: 1 },
+};
+const CURSOR_BIG_STEP = 5; // Squares jumped with Shift+arrow
+
+// Read a message out to screen reader users
+function announce(message) {
+    const announcer = document.getElementById('gridAnnouncer');
+    if (!announcer) return;
+    
+    // Clear first so the same message twice in a row is still read
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, 50);
+}
+
+// Find the placed item covering a grid square
+function findItemAt(gridX, gridY) {
+    const covers = item => itemCoversCell(item, gridX, gridY);
+    
+    for (const kind of ['building', 'decoration', 'enclosure']) {
+        const item = state[ITEM_COLLECTIONS[kind]].find(covers);
+        if (item) return { kind, item };
+    }
+    return null;
+}
+
+// What a screen reader says about an item, e.g. "Tiger enclosure 6 by 5, area 30"
+function describeItemForSpeech(kind, item) {
+    if (kind === 'enclosure') {
+        const size = item.shape ? `shape of ${enclosureArea(item)} squares` : `${item.width} by ${item.height}`;
+        return `${describeItem(kind, item)} ${size}, area ${enclosureArea(item)}, perimeter ${enclosurePerimeter(item)}`;
+    }
+    return describeItem(kind, item);
+}
+
+// Spoken grid position (1-based, like the rows and columns students count)
+function describeSquare(gridX, gridY) {
+    return `column ${gridX + 1}, row ${gridY + 1}`;
+}
+
+// Draw the cursor square, plus whatever is being placed or drawn from it
+function renderGridCursor() {
+    let cursor = document.getElementById('gridCursor');
+    if (!cursor) {
+        cursor = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        cursor.id = 'gridCursor';
+        cursor.classList.add('grid-cursor');
+        document.getElementById('cursorLayer').appendChild(cursor);
+    }
+    
+    // The grid may have shrunk since the cursor was last moved
+    state.cursor.gridX = Math.min(state.cursor.gridX, state.gridWidth - 1);
+    state.cursor.gridY = Math.min(state.cursor.gridY, state.gridHeight - 1);
+    const { gridX, gridY } = state.cursor;
+    
+    cursor.setAttribute('x', gridX * CELL_SIZE);
+    cursor.setAttribute('y', gridY * CELL_SIZE);
+    cursor.setAttribute('width', CELL_SIZE);
+    cursor.setAttribute('height', CELL_SIZE);
+    
+    if (state.placingItem) {
+        renderBuildingPreview(state.placingItem.item, gridX, gridY);
+    }
+    if (state.drawing) {
+        extendDrawing(gridX, gridY);
+    }
+}
+
+// Say where the cursor is and what's there
+function announceCursor() {
+    const { gridX, gridY } = state.cursor;
+    let message = describeSquare(gridX, gridY);
+    
+    if (state.drawing && state.drawing.cells) {
+        message = `${state.drawing.cells.size} squares painted. ${message}`;
+    } else if (state.drawing) {
+        const width = Math.abs(gridX - state.drawing.startX) + 1;
+        const height = Math.abs(gridY - state.drawing.startY) + 1;
+        message = `${width} by ${height}, area ${width * height}. ${message}`;
+    } else if (state.placingItem) {
+        const { item } = state.placingItem;
+        const { width, height } = rotatedSize(item, paletteRotation(item));
+        const canPlace = fitsInGrid(gridX, gridY, width, height) &&
+                         !checkOverlap(gridX, gridY, width, height, null, null, overlapRole(state.placingItem.kind, item));
+        message += canPlace ? '' : `, ${item.name} doesn't fit here`;
+    } else {
+        const found = findItemAt(gridX, gridY);
+        const isPath = state.paths.has(`${gridX},${gridY}`);
+        message += found ? `, ${describeItemForSpeech(found.kind, found.item)}` : (isPath ? ', path' : ', empty');
+        
+        // Inside an enclosure, say what it's painted with
+        const enclosure = state.enclosures.find(e => itemCoversCell(e, gridX, gridY));
+        const terrainId = enclosure ? terrainAt(enclosure, gridX, gridY) : DEFAULT_TERRAIN;
+        if (terrainId !== DEFAULT_TERRAIN) {
+            message += `, ${terrainName(terrainId)}`;
         }
     }
     
-    return null;
+    announce(message);
 }
 
-// Update cursor based on resize edge
-function updateResizeCursor(edge) {
-    const svg = document.getElementById('zooGrid');
+// Move the cursor, staying on the grid
+function moveCursor(dx, dy) {
+    state.cursor.gridX = Math.max(0, Math.min(state.gridWidth - 1, state.cursor.gridX + dx));
+    state.cursor.gridY = Math.max(0, Math.min(state.gridHeight - 1, state.cursor.gridY + dy));
+    scrollSquareIntoView(state.cursor.gridX, state.cursor.gridY);
+    renderGridCursor();
+    announceCursor();
+}
+
+// Arrow keys, Enter/Space, Delete and Escape while the grid has focus
+function handleGridKeyDown(e) {
+    // Leave shortcuts like Ctrl+Z to the rest of the app
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    
+    const step = ARROW_STEPS[e.key];
+    if (step) {
+        e.preventDefault();
+        if (state.keyboardSelection && e.shiftKey) {
+            resizeKeyboardSelection(step.dx, step.dy);
+        } else if (state.keyboardSelection) {
+            moveKeyboardSelection(step.dx, step.dy);
+        } else {
+            const distance = e.shiftKey ? CURSOR_BIG_STEP : 1;
+            moveCursor(step.dx * distance, step.dy * distance);
+        }
+        return;
+    }
     
-    if (!edge) {
-        svg.style.cursor = 'crosshair';
+    const isBusy = state.keyboardSelection || state.placingItem || state.drawing;
+    if ((e.key === 'Enter' || e.key === ' ') && e.shiftKey && !isBusy) {
+        e.preventDefault();
+        selectAtCursor();
+    } else if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        activateCursor();
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && state.selection.length > 0 && !state.keyboardSelection) {
+        e.preventDefault();
+        confirmDeleteSelection();
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        deleteAtCursor();
+    } else if (e.key === 'Escape') {
+        cancelKeyboardAction();
+    } else if (e.key === 'e' || e.key === 'E') {
+        e.preventDefault();
+        openEnclosureAtCursor();
+    } else if (e.key === 'r' || e.key === 'R') {
+        e.preventDefault();
+        turnAtCursor();
+    }
+}
+
+// R: turn the palette item being placed, the selected item or the one under the cursor
+function turnAtCursor() {
+    if (turnPaletteItem()) return;
+    
+    if (state.keyboardSelection) {
+        turnKeyboardSelection();
         return;
     }
     
-    if (edge.left && edge.top) svg.style.cursor = 'nw-resize';
-    else if (edge.right && edge.top) svg.style.cursor = 'ne-resize';
-    else if (edge.left && edge.bottom) svg.style.cursor = 'sw-resize';
-    else if (edge.right && edge.bottom) svg.style.cursor = 'se-resize';
-    else if (edge.left || edge.right) svg.style.cursor = 'ew-resize';
-    else if (edge.top || edge.bottom) svg.style.cursor = 'ns-resize';
+    const found = findItemAt(state.cursor.gridX, state.cursor.gridY);
+    if (!found || found.kind === 'enclosure') {
+        announce('No building or decoration here to turn.');
+        return;
+    }
+    rotatePlacedItem(found.kind, found.item);
 }
 
-function handleGridMouseMove(e) {
-    // Handle resizing an enclosure
-    if (state.resizingEnclosure) {
-        const point = getGridPoint(e); // Regular point for snapping to grid
-        const resize = state.resizingEnclosure;
-        const enc = resize.enclosure;
-        
-        // Keep the cursor correct during resize
-        updateResizeCursor(resize.edge);
-        
-        let newX = enc.gridX;
-        let newY = enc.gridY;
-        let newWidth = enc.width;
-        let newHeight = enc.height;
-        
-        // Calculate new dimensions based on which edge is being dragged
-        if (resize.edge.right) {
-            newWidth = Math.max(1, point.gridX - enc.gridX + 1);
-        }
-        if (resize.edge.left) {
-            const oldRight = enc.gridX + enc.width;
-            newX = Math.min(point.gridX, oldRight - 1);
-            newWidth = oldRight - newX;
-        }
-        if (resize.edge.bottom) {
-            newHeight = Math.max(1, point.gridY - enc.gridY + 1);
-        }
-        if (resize.edge.top) {
-            const oldBottom = enc.gridY + enc.height;
-            newY = Math.min(point.gridY, oldBottom - 1);
-            newHeight = oldBottom - newY;
-        }
-        
-        // Constrain to grid
-        newX = Math.max(0, Math.min(newX, GRID_SIZE - 1));
-        newY = Math.max(0, Math.min(newY, GRID_SIZE - 1));
-        newWidth = Math.max(1, Math.min(newWidth, GRID_SIZE - newX));
-        newHeight = Math.max(1, Math.min(newHeight, GRID_SIZE - newY));
-        
-        // Check for overlap with other items (excluding this enclosure)
-        const hasOverlap = checkOverlap(newX, newY, newWidth, newHeight, enc.id);
-        
-        // Only update if no overlap
-        if (!hasOverlap) {
-            enc.gridX = newX;
-            enc.gridY = newY;
-            enc.width = newWidth;
-            enc.height = newHeight;
-            
-            renderEnclosure(enc);
-            updateSummaryTable();
-            updateURL();
-        }
-        // If there's overlap, just don't resize - keep current position
+// Enter/Space: place, draw, pick up or drop - whatever makes sense at the cursor
+function activateCursor() {
+    const { gridX, gridY } = state.cursor;
+    
+    if (state.keyboardSelection) {
+        dropKeyboardSelection();
         return;
     }
     
-    // Handle moving an existing item
-    if (state.movingItem) {
-        // Only update if mouse is near the grid
-        const svg = document.getElementById('zooGrid');
-        const rect = svg.getBoundingClientRect();
-        
-        // Keep move cursor
-        svg.style.cursor = 'grabbing';
-        
-        // Check if mouse is reasonably close to the SVG
-        const mouseX = e.clientX;
-        const mouseY = e.clientY;
-        const isNearSVG = mouseX >= rect.left - 50 && mouseX <= rect.right + 50 &&
-                          mouseY >= rect.top - 50 && mouseY <= rect.bottom + 50;
-        
-        if (!isNearSVG) {
-            // Don't update position if too far from grid
-            return;
-        }
-        
-        const point = getGridPoint(e);
-        let newX = point.gridX - state.movingItem.offsetX;
-        let newY = point.gridY - state.movingItem.offsetY;
-        
-        // Get dimensions
-        const width = state.movingItem.data.width;
-        const height = state.movingItem.data.height;
-        
-        // Constrain to grid boundaries
-        newX = Math.max(0, Math.min(newX, GRID_SIZE - width));
-        newY = Math.max(0, Math.min(newY, GRID_SIZE - height));
-        
-        // Update position
-        state.movingItem.data.gridX = newX;
-        state.movingItem.data.gridY = newY;
-        
-        // Re-render
-        if (state.movingItem.type === 'enclosure') {
-            renderEnclosure(state.movingItem.data);
-        } else {
-            renderBuilding(state.movingItem.data);
-        }
+    if (state.placingItem) {
+        placeAtCursor();
         return;
     }
     
-    // Handle drawing new enclosure
     if (state.drawing) {
-        const point = getGridPoint(e);
-        state.drawing.currentX = point.gridX;
-        state.drawing.currentY = point.gridY;
-        renderDrawingEnclosure();
+        const animal = ANIMALS.find(a => a.id === state.selectedAnimal);
+        const drawn = drawingBounds();
+        const size = enclosureSizeLabel(drawn);
         
-        // Keep crosshair cursor while drawing
-        const svg = document.getElementById('zooGrid');
-        svg.style.cursor = 'crosshair';
+        const enclosureCount = state.enclosures.length;
+        if (!finishDrawing()) {
+            announce('That enclosure overlaps something. Drawing cancelled.');
+        } else if (state.pendingEnclosure) {
+            announce(`${animal.name} enclosure ${size}. Answer the math question to build it.`);
+        } else if (state.enclosures.length > enclosureCount) {
+            announce(`${animal.name} enclosure ${size}, area ${enclosureArea(drawn)}, built.`);
+        }
+        // Otherwise it was over budget, and checkBudget has already said so
         return;
     }
     
-    // Update cursor for resize handles when not doing anything else
-    const precisePoint = getGridPoint(e, true); // Use precise position for edge detection
-    const edgeDetect = detectEnclosureEdge(precisePoint.gridX, precisePoint.gridY);
+    if (state.pathMode) {
+        paintPathAtCursor();
+        return;
+    }
     
-    if (edgeDetect) {
-        // Near an edge - show resize cursor
-        updateResizeCursor(edgeDetect.edge);
+    if (state.terrainBrush) {
+        paintTerrainAtCursor();
+        return;
+    }
+    
+    const found = findItemAt(gridX, gridY);
+    if (found && found.item.locked) {
+        announce(`${describeItemForSpeech(found.kind, found.item)} is part of the assignment and can't be moved.`);
+        return;
+    }
+    if (found) {
+        selectForKeyboard(found.kind, found.item);
+        return;
+    }
+    
+    if (!state.selectedAnimal) {
+        announce('Pick an animal, building or decoration first.');
+        return;
+    }
+    
+    const animal = ANIMALS.find(a => a.id === state.selectedAnimal);
+    startDrawing(gridX, gridY);
+    if (state.drawing.cells) {
+        announce(`Painting ${animal.name} enclosure from ${describeSquare(gridX, gridY)}. ` +
+                 'Move to paint more squares and press Enter when done, or Escape to cancel.');
     } else {
-        // Check if over an enclosure (not near edge) - show move cursor
-        const regularPoint = getGridPoint(e);
-        const overEnclosure = state.enclosures.find(enc => 
-            regularPoint.gridX >= enc.gridX && 
-            regularPoint.gridX < enc.gridX + enc.width &&
-            regularPoint.gridY >= enc.gridY && 
-            regularPoint.gridY < enc.gridY + enc.height
-        );
-        
-        const svg = document.getElementById('zooGrid');
-        if (overEnclosure) {
-            svg.style.cursor = 'move';
-        } else {
-            svg.style.cursor = 'crosshair';
-        }
+        announce(`Drawing ${animal.name} enclosure from ${describeSquare(gridX, gridY)}. ` +
+                 'Move to the opposite corner and press Enter, or Escape to cancel.');
     }
 }
 
-function handleGridMouseUp(e) {
-    // Handle finishing a resize
-    if (state.resizingEnclosure) {
-        const distanceMoved = state.moveStartPos ? Math.sqrt(
-            Math.pow(e.clientX - state.moveStartPos.x, 2) +
-            Math.pow(e.clientY - state.moveStartPos.y, 2)
-        ) : 100;
-        
-        const enc = state.resizingEnclosure.enclosure;
-        const orig = state.resizingEnclosure.originalData;
-        
-        // If barely moved, treat as click for delete
-        if (distanceMoved < 5) {
-            // Restore original
-            enc.gridX = orig.gridX;
-            enc.gridY = orig.gridY;
-            enc.width = orig.width;
-            enc.height = orig.height;
-            
-            renderEnclosure(enc);
-            updateSummaryTable();
-            
-            const animal = ANIMALS.find(a => a.id === enc.animal);
-            const emoji = animal ? animal.emoji : '🦁';
-            const name = animal ? animal.name : 'Enclosure';
-            showConfirmDialog('Delete this enclosure?', () => {
-                deleteEnclosure(enc.id);
-            }, emoji, name);
-        } else {
-            // Actual resize happened
-            if (state.mathPractice) {
-                // Show math practice modal with new dimensions
-                // Pass original dimensions so we can revert if modal is dismissed
-                enc.originalGridX = orig.gridX;
-                enc.originalGridY = orig.gridY;
-                enc.originalWidth = orig.width;
-                enc.originalHeight = orig.height;
-                showMathPracticeModal(enc.gridX, enc.gridY, enc.width, enc.height, enc.animal, enc);
-            } else {
-                // No math practice - finalize the resize
-                updateSummaryTable();
-                updateURL();
-            }
-        }
-        
-        state.resizingEnclosure = null;
-        state.moveStartPos = null;
-        
-        // Reset cursor
-        const svg = document.getElementById('zooGrid');
-        svg.style.cursor = 'crosshair';
+// Enter with the path tool: paint or erase the square under the cursor
+function paintPathAtCursor() {
+    const { gridX, gridY } = state.cursor;
+    const erase = state.pathMode === 'erase';
+    
+    startPathStroke(gridX, gridY);
+    if (state.pathStroke.changed.size === 0) {
+        state.pathStroke = null;
+        announce(erase ? 'There is no path here to erase.' : 'There is already a path or an item here.');
         return;
     }
     
-    // Handle finishing a move
-    if (state.movingItem) {
-        // Calculate distance moved from original mouse position
-        const distanceMoved = state.moveStartPos ? Math.sqrt(
-            Math.pow(e.clientX - state.moveStartPos.x, 2) +
-            Math.pow(e.clientY - state.moveStartPos.y, 2)
-        ) : 100; // Default to large distance if no start pos
-        
-        // If barely moved (< 5 pixels), treat as click for delete
-        if (distanceMoved < 5) {
-            const item = state.movingItem;
-            // Restore original position first
-            item.data.gridX = item.originalX;
-            item.data.gridY = item.originalY;
-            
-            if (item.type === 'enclosure') {
-                renderEnclosure(item.data);
-                const animal = ANIMALS.find(a => a.id === item.data.animal);
-                const emoji = animal ? animal.emoji : '🦁';
-                const name = animal ? animal.name : 'Enclosure';
-                showConfirmDialog('Delete this enclosure?', () => {
-                    deleteEnclosure(item.id);
-                }, emoji, name);
-            } else if (item.type === 'decoration') {
-                renderBuilding(item.data); // Decorations render same as buildings
-                showConfirmDialog('Delete this decoration?', () => {
-                    deleteDecoration(item.id);
-                }, item.data.emoji, item.data.name);
-            } else {
-                renderBuilding(item.data);
-                showConfirmDialog('Delete this building?', () => {
-                    deleteBuilding(item.id);
-                }, item.data.emoji, item.data.name);
-            }
-            
-            state.movingItem = null;
-            state.moveStartPos = null;
-            return;
-        }
-        
-        // Validate final position
-        const item = state.movingItem.data;
-        const width = state.movingItem.type === 'enclosure' ? item.width : item.width;
-        const height = state.movingItem.type === 'enclosure' ? item.height : item.height;
-        
-        const fitsInGrid = item.gridX >= 0 && item.gridY >= 0 &&
-                          item.gridX + width <= GRID_SIZE &&
-                          item.gridY + height <= GRID_SIZE;
-        
-        const hasOverlap = checkOverlap(item.gridX, item.gridY, width, height, state.movingItem.id);
-        
-        if (!fitsInGrid || hasOverlap) {
-            // Revert to original position
-            item.gridX = state.movingItem.originalX;
-            item.gridY = state.movingItem.originalY;
-        }
-        
-        // Re-render at final position
-        if (state.movingItem.type === 'enclosure') {
-            renderEnclosure(item);
-        } else {
-            renderBuilding(item);
-        }
-        
-        // Update URL with new position
-        updateURL();
-        
-        state.movingItem = null;
-        state.moveStartPos = null;
+    // Over budget is announced by checkBudget
+    if (finishPathStroke()) {
+        announce(`Path ${erase ? 'erased' : 'painted'} at ${describeSquare(gridX, gridY)}.`);
+    }
+}
+
+// Enter/Space with the terrain brush: paint the square under the cursor
+function paintTerrainAtCursor() {
+    const { gridX, gridY } = state.cursor;
+    
+    if (!startTerrainStroke(gridX, gridY)) {
+        announce('Terrain can only be painted inside an enclosure.');
+        return;
+    }
+    if (!finishTerrainStroke()) {
+        announce(`This square is already ${terrainName(state.terrainBrush)}.`);
+        return;
+    }
+    announce(`${TERRAIN_TYPES.find(t => t.id === state.terrainBrush).name} painted at ${describeSquare(gridX, gridY)}.`);
+}
+
+// Put the palette item picked up with the keyboard at the cursor
+function placeAtCursor() {
+    const { item } = state.placingItem;
+    const { gridX, gridY } = state.cursor;
+    
+    if (!placePickedItem(gridX, gridY)) {
+        announce(`${item.name} doesn't fit here.`);
         return;
     }
+    announce(`${item.name} placed at ${describeSquare(gridX, gridY)}.`);
+}
+
+// Pick up a placed item so the arrow keys move (or resize) it
+function selectForKeyboard(kind, item) {
+    const original = { gridX: item.gridX, gridY: item.gridY, width: item.width, height: item.height };
+    if (kind !== 'enclosure') original.rotation = item.rotation;
+    state.keyboardSelection = { kind, id: item.id, original };
+    renderKeyboardSelection();
+    
+    const resizeHint = kind === 'enclosure' && !item.shape ? ', Shift and arrow keys resize it' :
+                       kind !== 'enclosure' ? ', R turns it' : '';
+    announce(`${describeItemForSpeech(kind, item)} selected. Arrow keys move it${resizeHint}. ` +
+             'Enter to drop, Delete to remove, Escape to put it back.');
+}
+
+// Re-draw the selected item with its highlight
+function renderKeyboardSelection() {
+    const { kind, id } = state.keyboardSelection;
+    const item = findItem(kind, id);
     
-    // Handle finishing drawing
-    if (!state.drawing) return;
+    if (kind === 'enclosure') {
+        renderEnclosure(item);
+    } else {
+        renderBuilding(item);
+    }
+    document.getElementById(id).classList.add('keyboard-selected');
+}
+
+// Arrow keys with an item selected: move it one square
+function moveKeyboardSelection(dx, dy) {
+    const { kind, id } = state.keyboardSelection;
+    const item = findItem(kind, id);
+    const newX = item.gridX + dx;
+    const newY = item.gridY + dy;
+    
+    if (!fitsInGrid(newX, newY, item.width, item.height) || checkOverlap(newX, newY, item.width, item.height, id, item.shape, overlapRole(kind, item))) {
+        announce('Blocked.');
+        return;
+    }
     
-    const { startX, startY, currentX, currentY } = state.drawing;
+    item.gridX = newX;
+    item.gridY = newY;
+    state.cursor = { gridX: newX, gridY: newY };
+    scrollSquareIntoView(newX, newY);
+    renderGridCursor();
+    renderKeyboardSelection();
+    announce(describeSquare(newX, newY));
+}
+
+// Shift+arrow keys with an enclosure selected: grow or shrink its right/bottom edge
+function resizeKeyboardSelection(dx, dy) {
+    const { kind, id } = state.keyboardSelection;
+    if (kind !== 'enclosure') return;
+    
+    const enclosure = findItem(kind, id);
+    if (enclosure.shape) {
+        announce('Shaped enclosures can\'t be stretched. Delete it and paint a new one.');
+        return;
+    }
     
-    // Calculate rectangle
-    const x = Math.min(startX, currentX);
-    const y = Math.min(startY, currentY);
-    const width = Math.abs(currentX - startX) + 1;
-    const height = Math.abs(currentY - startY) + 1;
+    const newWidth = enclosure.width + dx;
+    const newHeight = enclosure.height + dy;
     
-    // Check for overlap
-    const hasOverlap = checkOverlap(x, y, width, height);
+    if (newWidth < 1 || newHeight < 1 ||
+        !fitsInGrid(enclosure.gridX, enclosure.gridY, newWidth, newHeight) ||
+        checkOverlap(enclosure.gridX, enclosure.gridY, newWidth, newHeight, id, null, 'enclosure')) {
+        announce('Blocked.');
+        return;
+    }
     
-    // Only create if it has some size and doesn't overlap
-    if (width > 0 && height > 0 && !hasOverlap && state.selectedAnimal) {
-        if (state.mathPractice) {
-            // Show math practice modal
-            showMathPracticeModal(x, y, width, height, state.selectedAnimal);
-        } else {
-            // Add enclosure directly
-            addEnclosure(x, y, width, height);
-        }
+    enclosure.width = newWidth;
+    enclosure.height = newHeight;
+    renderKeyboardSelection();
+    updateSummaryTable();
+    announce(describeItemForSpeech(kind, enclosure));
+}
+
+// R with a building or decoration selected: turn it, kept along with any move when it's dropped
+function turnKeyboardSelection() {
+    const { kind, id } = state.keyboardSelection;
+    if (kind === 'enclosure') {
+        announce('Enclosures don\'t turn.');
+        return;
     }
     
-    // Clean up
-    const temp = document.getElementById('tempEnclosure');
-    if (temp) temp.remove();
-    const tempLabel = document.getElementById('tempEnclosureLabel');
-    if (tempLabel) tempLabel.remove();
-    state.drawing = null;
+    const item = findItem(kind, id);
+    const turned = turnedPlacement(kind, item);
+    if (!turned) {
+        showTurnBlocked(item);
+        return;
+    }
+    
+    Object.assign(item, turned);
+    state.cursor = { gridX: item.gridX, gridY: item.gridY };
+    renderGridCursor();
+    renderKeyboardSelection();
+    announce(`${item.name} ${describeRotation(item.rotation)}.`);
 }
 
-// Touch support
-function handleGridTouchStart(e) {
-    e.preventDefault();
-    const touch = e.touches[0];
-    const target = document.elementFromPoint(touch.clientX, touch.clientY);
-    const mouseEvent = new MouseEvent('mousedown', {
-        clientX: touch.clientX,
-        clientY: touch.clientY,
-        bubbles: true,
-    });
-    target.dispatchEvent(mouseEvent);
+// Enter with an item selected: keep the new position/size as one undo step
+function dropKeyboardSelection() {
+    const { kind, id, original } = state.keyboardSelection;
+    const item = findItem(kind, id);
+    state.keyboardSelection = null;
+    
+    const turned = item.rotation !== original.rotation;
+    const resized = item.width !== original.width || item.height !== original.height;
+    const moved = item.gridX !== original.gridX || item.gridY !== original.gridY;
+    
+    if (turned) {
+        const fields = ({ gridX, gridY, width, height, rotation }) => ({ gridX, gridY, width, height, rotation });
+        recordCommand(createUpdateCommand(`Turn ${describeItem(kind, item)}`, kind, id, fields(original), fields(item)));
+    } else if (resized) {
+        finishResize(item, original);
+    } else if (moved) {
+        recordCommand(createUpdateCommand(
+            `Move ${describeItem(kind, item)}`,
+            kind,
+            id,
+            { gridX: original.gridX, gridY: original.gridY },
+            { gridX: item.gridX, gridY: item.gridY }
+        ));
+    } else {
+        renderAllItems(); // Just drop the highlight
+    }
+    
+    announce(`${describeItemForSpeech(kind, item)} dropped at ${describeSquare(item.gridX, item.gridY)}.`);
 }
 
-function handleGridTouchMove(e) {
-    e.preventDefault();
-    const touch = e.touches[0];
-    const mouseEvent = new MouseEvent('mousemove', {
-        clientX: touch.clientX,
-        clientY: touch.clientY,
-        bubbles: true,
-    });
-    document.getElementById('zooGrid').dispatchEvent(mouseEvent);
+// Delete key: remove the selected item, or the one under the cursor
+function deleteAtCursor() {
+    let found = findItemAt(state.cursor.gridX, state.cursor.gridY);
+    if (state.keyboardSelection) {
+        const { kind, id } = state.keyboardSelection;
+        cancelKeyboardAction();
+        found = { kind, item: findItem(kind, id) };
+    }
+    
+    if (!found) {
+        announce('Nothing to delete here.');
+        return;
+    }
+    confirmDeleteItem(found.kind, found.item);
 }
 
-function handleGridTouchEnd(e) {
-    e.preventDefault();
-    const touch = e.changedTouches[0];
-    const mouseEvent = new MouseEvent('mouseup', {
-        clientX: touch.clientX,
-        clientY: touch.clientY,
-        bubbles: true,
-    });
-    document.getElementById('zooGrid').dispatchEvent(mouseEvent);
+// Shift+Enter: add the item under the cursor to the selection, or take it out again
+function selectAtCursor() {
+    const found = findItemAt(state.cursor.gridX, state.cursor.gridY);
+    if (!found) {
+        announce('Nothing here to select.');
+        return;
+    }
+    toggleSelected(found.kind, found.item);
 }
 
-// Handle mouse leaving the SVG while dragging
-function handleGridMouseLeave(e) {
-    // If we're drawing or moving, continue tracking at document level
-    // The mouse position will be clamped to grid bounds anyway
+// E: open the enclosure under the cursor to see or change who lives there
+function openEnclosureAtCursor() {
+    const found = findItemAt(state.cursor.gridX, state.cursor.gridY);
+    if (!found || found.kind !== 'enclosure') {
+        announce('No enclosure here.');
+        return;
+    }
+    showEnclosureDialog(found.item);
 }
 
-// Get grid coordinates from mouse event
-function getGridPoint(e, precise = false) {
-    const svg = document.getElementById('zooGrid');
-    const rect = svg.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+// Escape: put back, stop placing or stop drawing
+function cancelKeyboardAction() {
+    if (state.keyboardSelection) {
+        const { kind, id, original } = state.keyboardSelection;
+        const item = findItem(kind, id);
+        Object.assign(item, original);
+        state.keyboardSelection = null;
+        
+        renderAllItems();
+        updateSummaryTable();
+        state.cursor = { gridX: item.gridX, gridY: item.gridY };
+        renderGridCursor();
+        announce(`${describeItemForSpeech(kind, item)} put back.`);
+    } else if (state.placingItem) {
+        announce(`Stopped placing ${state.placingItem.item.name}.`);
+        stopPlacing();
+    } else if (state.drawing) {
+        clearDrawing();
+        announce('Enclosure cancelled.');
+    } else if (state.pathMode) {
+        setPathMode(null);
+        announce('Path tool put away.');
+    } else if (state.terrainBrush) {
+        setTerrainBrush(null);
+        announce('Terrain brush put away.');
+    }
+}
+
+// Enter/Space on a palette item: pick it up and carry it to the grid cursor
+function handlePaletteKeyDown(e) {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    if (e.target !== e.currentTarget) return; // Let the delete button work normally
+    e.preventDefault();
     
-    if (precise) {
-        // Return precise floating point position for edge detection
-        const gridX = Math.max(0, Math.min(GRID_SIZE, x / CELL_SIZE));
-        const gridY = Math.max(0, Math.min(GRID_SIZE, y / CELL_SIZE));
-        return { gridX, gridY };
-    } else {
-        // Return integer grid cell for normal operations
-        const gridX = Math.max(0, Math.min(GRID_SIZE - 1, Math.floor(x / CELL_SIZE)));
-        const gridY = Math.max(0, Math.min(GRID_SIZE - 1, Math.floor(y / CELL_SIZE)));
-        return { gridX, gridY };
+    const itemId = e.currentTarget.dataset.buildingId;
+    let item = BUILDINGS.find(b => b.id === itemId);
+    let kind = 'building';
+    if (!item) {
+        item = DECORATIONS.find(d => d.id === itemId);
+        kind = 'decoration';
     }
+    if (!item) return;
+    
+    cancelKeyboardAction();
+    startPlacing(item, kind);
+    
+    document.getElementById('zooGrid').focus();
+    renderGridCursor();
+    const { width, height } = rotatedSize(item, paletteRotation(item));
+    announce(`${item.name} picked up, ${width} by ${height}. ` +
+             'Move it with the arrow keys, R to turn it, and press Enter to place it, or Escape to cancel.');
+}
+
+// Make the grid focusable and drivable from the keyboard
+function setupKeyboardEditing() {
+    const svg = document.getElementById('zooGrid');
+    
+    svg.addEventListener('keydown', handleGridKeyDown);
+    svg.addEventListener('focus', () => {
+        renderGridCursor();
+        announceCursor();
+    });
 }
 
 // Render the temporary drawing enclosure
 function renderDrawingEnclosure() {
     if (!state.drawing) return;
     
-    const { startX, startY, currentX, currentY } = state.drawing;
-    const x = Math.min(startX, currentX);
-    const y = Math.min(startY, currentY);
-    const width = Math.abs(currentX - startX) + 1;
-    const height = Math.abs(currentY - startY) + 1;
+    const drawn = drawingBounds();
+    const { gridX: x, gridY: y, width, height, shape } = drawn;
     
+    // Painted enclosures are drawn as a path, rectangles as a rect
+    const tagName = shape ? 'path' : 'rect';
     let temp = document.getElementById('tempEnclosure');
+    if (temp && temp.tagName !== tagName) {
+        temp.remove();
+        temp = null;
+    }
     if (!temp) {
-        temp = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        temp = document.createElementNS('http://www.w3.org/2000/svg', tagName);
         temp.id = 'tempEnclosure';
         temp.classList.add('enclosure-drawing');
-        document.getElementById('enclosures').appendChild(temp);
+        // Keep it under its label if the label is already there
+        document.getElementById('enclosures').insertBefore(temp, document.getElementById('tempEnclosureLabel'));
     }
     
     // Check for overlap
-    const hasOverlap = checkOverlap(x, y, width, height);
+    const hasOverlap = checkOverlap(x, y, width, height, null, shape, 'enclosure');
     
     // Check if meets animal requirements
-    const area = width * height;
-    const perimeter = 2 * (width + height);
+    const area = enclosureArea(drawn);
+    const perimeter = enclosurePerimeter(drawn);
     const animal = state.selectedAnimal ? ANIMALS.find(a => a.id === state.selectedAnimal) : null;
     const meetsRequirements = animal && area >= animal.minArea && perimeter >= animal.minPerimeter;
     
-    temp.setAttribute('x', x * CELL_SIZE);
-    temp.setAttribute('y', y * CELL_SIZE);
-    temp.setAttribute('width', width * CELL_SIZE);
-    temp.setAttribute('height', height * CELL_SIZE);
+    if (shape) {
+        temp.setAttribute('d', shapePath(drawn));
+    } else {
+        temp.setAttribute('x', x * CELL_SIZE);
+        temp.setAttribute('y', y * CELL_SIZE);
+        temp.setAttribute('width', width * CELL_SIZE);
+        temp.setAttribute('height', height * CELL_SIZE);
+    }
     
     // Change appearance based on validation
     if (hasOverlap) {
@@ -1896,8 +8696,9 @@ function renderDrawingEnclosure() {
         document.getElementById('enclosures').appendChild(tempLabel);
     }
     
-    tempLabel.setAttribute('x', (x + width / 2) * CELL_SIZE);
-    tempLabel.setAttribute('y', (y + height / 2) * CELL_SIZE + 5);
+    const [labelX, labelY] = shape ? itemLabelCell(drawn).map(n => n + 0.5) : [x + width / 2, y + height / 2];
+    tempLabel.setAttribute('x', labelX * CELL_SIZE);
+    tempLabel.setAttribute('y', labelY * CELL_SIZE + 5);
     tempLabel.setAttribute('text-anchor', 'middle');
     tempLabel.setAttribute('font-size', '20');
     tempLabel.setAttribute('font-weight', 'bold');
@@ -1910,40 +8711,54 @@ function renderDrawingEnclosure() {
         labelColor = '#ffc107'; // Yellow for too small
     }
     tempLabel.setAttribute('fill', labelColor);
-    tempLabel.textContent = `${width} × ${height}`;
+    tempLabel.textContent = enclosureSizeLabel(drawn);
 }
 
 // Add an enclosure
-function addEnclosure(gridX, gridY, width, height) {
-    // Don't add if no animal selected or animal already used
-    if (!state.selectedAnimal) return;
+function addEnclosure(gridX, gridY, width, height, animals = [state.selectedAnimal], skipURLUpdate = false, shape = null, counts = {},
+                      terrain = null) {
+    // Don't add if no animal selected
+    if (!animals[0]) return;
+    
+    const enclosure = newEnclosure(gridX, gridY, width, height, animals, shape, counts, terrain);
     
-    const usedAnimals = new Set(state.enclosures.map(e => e.animal));
-    if (usedAnimals.has(state.selectedAnimal)) {
+    // Loading a zoo places items directly - only user edits go into the undo history
+    if (skipURLUpdate) {
+        state.enclosures.push(enclosure);
+        renderEnclosure(enclosure);
+        renderAnimalList();
+        updateSummaryTable();
         return;
     }
     
-    const id = `enclosure-${state.nextEnclosureId++}`;
+    // New enclosures have to fit the budget (loaded ones are already paid for)
+    if (!checkBudget(enclosureCost(enclosure), `This ${describeItem('enclosure', enclosure)}`)) return;
+    
+    runCommand(createAddCommand(`Add ${describeItem('enclosure', enclosure)}`, [{ kind: 'enclosure', item: enclosure }]));
+}
+
+// A new enclosure with the next enclosure id
+function newEnclosure(gridX, gridY, width, height, animals, shape = null, counts = {}, terrain = null) {
     const enclosure = {
-        id,
+        id: `enclosure-${state.nextEnclosureId++}`,
         gridX,
         gridY,
         width,
         height,
-        animal: state.selectedAnimal, // Assigned from currently selected animal
+        animals, // Usually just the currently selected animal
     };
     
-    state.enclosures.push(enclosure);
-    renderEnclosure(enclosure);
-    
-    // Update animal list to show this animal as used
-    renderAnimalList();
-    
-    // Update summary table
-    updateSummaryTable();
-    
-    // Update URL
-    updateURL();
+    // Painted enclosures keep their rows of squares; rectangles have no shape
+    if (shape) {
+        enclosure.shape = shape;
+    }
+    if (Object.keys(counts).length > 0) {
+        enclosure.counts = counts;
+    }
+    if (terrain) {
+        enclosure.terrain = terrain;
+    }
+    return enclosure;
 }
 
 // Render an enclosure
@@ -1955,6 +8770,7 @@ function renderEnclosure(enclosure) {
     const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
     group.id = enclosure.id;
     group.dataset.enclosureId = enclosure.id;
+    if (isSelected(enclosure.id)) group.classList.add('selected');
     
     const x = enclosure.gridX * CELL_SIZE;
     const y = enclosure.gridY * CELL_SIZE;
@@ -1962,49 +8778,81 @@ function renderEnclosure(enclosure) {
     const height = enclosure.height * CELL_SIZE;
     
     // Check if position is valid
-    const fitsInGrid = enclosure.gridX >= 0 && enclosure.gridY >= 0 &&
-                       enclosure.gridX + enclosure.width <= GRID_SIZE &&
-                       enclosure.gridY + enclosure.height <= GRID_SIZE;
-    const hasOverlap = checkOverlap(enclosure.gridX, enclosure.gridY, enclosure.width, enclosure.height, enclosure.id);
-    const isValidPlacement = fitsInGrid && !hasOverlap;
-    
-    // Check if enclosure meets animal requirements
-    const area = enclosure.width * enclosure.height;
-    const perimeter = 2 * (enclosure.width + enclosure.height);
-    const animal = ANIMALS.find(a => a.id === enclosure.animal);
-    const meetsRequirements = animal && area >= animal.minArea && perimeter >= animal.minPerimeter;
-    
-    // Enclosure rectangle
-    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    rect.setAttribute('x', x);
-    rect.setAttribute('y', y);
-    rect.setAttribute('width', width);
-    rect.setAttribute('height', height);
+    const fits = fitsInGrid(enclosure.gridX, enclosure.gridY, enclosure.width, enclosure.height);
+    const hasOverlap = checkOverlap(enclosure.gridX, enclosure.gridY, enclosure.width, enclosure.height, enclosure.id, enclosure.shape,
+                                    'enclosure');
+    const isValidPlacement = fits && !hasOverlap;
+    
+    // Check if enclosure meets animal requirements - its space and the terrain its residents like
+    const area = enclosureArea(enclosure);
+    const perimeter = enclosurePerimeter(enclosure);
+    const residents = enclosureResidents(enclosure);
+    const { minArea, minPerimeter } = enclosureRequirements(enclosure);
+    const { shortfalls } = habitatMatch(enclosure);
+    const meetsRequirements = residents.length > 0 && area >= minArea && perimeter >= minPerimeter && shortfalls.length === 0;
+    
+    // Painted terrain goes under the fence
+    renderTerrain(enclosure, group);
+    
+    // Enclosure rectangle - or the outline around its squares for a shaped enclosure
+    let rect;
+    if (enclosure.shape) {
+        rect = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        rect.setAttribute('d', shapePath(enclosure));
+    } else {
+        rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', x);
+        rect.setAttribute('y', y);
+        rect.setAttribute('width', width);
+        rect.setAttribute('height', height);
+    }
     rect.classList.add('enclosure');
     
     if (!isValidPlacement) {
         // Red for invalid placement (overlapping or off-grid)
         rect.classList.add('enclosure-invalid');
     } else if (!meetsRequirements) {
-        // Yellow/orange warning for too small
+        // Yellow/orange warning for too small, or the wrong terrain
         rect.classList.add('enclosure-warning');
     }
     
+    // Outlined when it breaks a zoo rule (see updateRuleChecks)
+    const ruleMessages = brokenRules.get(enclosure.id) || [];
+    if (ruleMessages.length > 0) {
+        rect.classList.add('rule-broken');
+    }
+    
+    // Hovering shows what the residents need, and any terrain they're missing or rules broken
+    const tooltip = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    tooltip.textContent = [describeNeeds(enclosure), ...shortfalls.map(describeShortfall), ...ruleMessages].join('\n');
+    rect.appendChild(tooltip);
+    
     group.appendChild(rect);
     
-    // Render animal emoji and name (animal already found above for validation)
-    if (animal) {
+    // Render the residents' emoji and names (found above for validation)
+    if (residents.length > 0) {
+        // Shaped enclosures are labelled around their middle square, sized to fit their arms
+        let centerX = x + width / 2;
+        let centerY = y + height / 2;
+        let minDimension = Math.min(width, height);
+        if (enclosure.shape) {
+            const [labelX, labelY] = itemLabelCell(enclosure);
+            centerX = (labelX + 0.5) * CELL_SIZE;
+            centerY = (labelY + 0.5) * CELL_SIZE;
+            minDimension = Math.min(minDimension, Math.sqrt(area) * CELL_SIZE * 0.8);
+        }
+        
         // Animal emoji using foreignObject for proper sizing
-        const minDimension = Math.min(width, height);
-        const emojiSize = minDimension * 0.35; // Slightly bigger now since we have more space
+        // Shared enclosures show one emoji per resident, side by side, shrunk to fit
+        const emojiSize = Math.min(minDimension * 0.35, minDimension * 0.8 / residents.length);
         
         // Make foreignObject wider and taller to avoid clipping on different systems
-        const foreignObjectWidth = emojiSize * 1.5;
+        const foreignObjectWidth = emojiSize * (residents.length + 0.5);
         const foreignObjectHeight = emojiSize * 1.5; // Increased from 1.2 to prevent top cropping
         
         const foreignObject = document.createElementNS('http://www.w3.org/2000/svg', 'foreignObject');
-        foreignObject.setAttribute('x', x + (width - foreignObjectWidth) / 2);
-        foreignObject.setAttribute('y', y + (height - foreignObjectHeight) / 2 - emojiSize * 0.15);
+        foreignObject.setAttribute('x', centerX - foreignObjectWidth / 2);
+        foreignObject.setAttribute('y', centerY - foreignObjectHeight / 2 - emojiSize * 0.15);
         foreignObject.setAttribute('width', foreignObjectWidth);
         foreignObject.setAttribute('height', foreignObjectHeight);
         
@@ -2016,29 +8864,29 @@ function renderEnclosure(enclosure) {
         emojiDiv.style.pointerEvents = 'none';
         emojiDiv.style.overflow = 'visible';
         emojiDiv.style.paddingTop = '0.1em'; // Add slight top padding for systems with tall emojis
-        emojiDiv.textContent = animal.emoji;
+        emojiDiv.textContent = enclosureEmoji(enclosure);
         
         foreignObject.appendChild(emojiDiv);
         group.appendChild(foreignObject);
         
         // Animal name - positioned below emoji with more spacing
         const nameText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        nameText.setAttribute('x', x + width / 2);
-        nameText.setAttribute('y', y + height / 2 + emojiSize * 0.7);
+        nameText.setAttribute('x', centerX);
+        nameText.setAttribute('y', centerY + emojiSize * 0.7);
         nameText.setAttribute('class', 'label enclosure-label');
         nameText.setAttribute('font-size', Math.max(16, minDimension * 0.13));
         nameText.setAttribute('font-weight', 'bold');
-        nameText.textContent = animal.name;
+        nameText.textContent = enclosureName(enclosure);
         group.appendChild(nameText);
         
         // Dimensions label - positioned below name
         const dimText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        dimText.setAttribute('x', x + width / 2);
-        dimText.setAttribute('y', y + height / 2 + emojiSize * 0.7 + 18);
+        dimText.setAttribute('x', centerX);
+        dimText.setAttribute('y', centerY + emojiSize * 0.7 + 18);
         dimText.setAttribute('class', 'label enclosure-label');
         dimText.setAttribute('font-size', Math.max(12, minDimension * 0.1));
         dimText.setAttribute('opacity', '0.8');
-        dimText.textContent = `${enclosure.width} × ${enclosure.height}`;
+        dimText.textContent = enclosureSizeLabel(enclosure);
         group.appendChild(dimText);
     }
     
@@ -2086,135 +8934,337 @@ function showConfirmDialog(message, onConfirm, emoji = '🦁', title = 'Zoo Plan
     noBtn.focus();
 }
 
-// Delete a building
-function deleteBuilding(id) {
-    state.placedBuildings = state.placedBuildings.filter(b => b.id !== id);
-    const el = document.getElementById(id);
-    if (el) el.remove();
+// Simple message dialog with a single OK button
+function showMessageDialog(message, emoji = '🦁', title = 'Zoo Planner') {
+    const modal = document.createElement('div');
+    modal.className = 'confirm-modal';
+    modal.innerHTML = `
+        <div class="confirm-content">
+            <div class="confirm-emoji">${emoji}</div>
+            <h3>${title}</h3>
+            <p class="confirm-message">${message}</p>
+            <div class="confirm-buttons">
+                <button class="confirm-ok">OK</button>
+            </div>
+        </div>
+    `;
     
-    // Update building list to show buildings as available again
-    renderBuildingList();
+    document.body.appendChild(modal);
     
-    // Update URL
-    updateURL();
-}
-
-// Delete a decoration
-function deleteDecoration(id) {
-    state.placedDecorations = state.placedDecorations.filter(d => d.id !== id);
-    const el = document.getElementById(id);
-    if (el) el.remove();
+    const okBtn = modal.querySelector('.confirm-ok');
+    okBtn.addEventListener('click', () => modal.remove());
     
-    // Update decoration list to show count
-    renderDecorationList();
+    // Click outside to close
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
     
-    // Update URL
-    updateURL();
-}
-
-// Delete a building by type (no confirmation - from sidebar button)
-function deleteBuildingByType(buildingType) {
-    const building = state.placedBuildings.find(b => b.id.includes(buildingType));
-    if (building) {
-        deleteBuilding(building.id);
-    }
+    okBtn.focus();
 }
 
-// Delete all restrooms (no confirmation - from sidebar button)
-function deleteAllRestrooms() {
-    // Get all restroom IDs
-    const restroomIds = state.placedBuildings
-        .filter(b => b.id.startsWith('restroom-'))
-        .map(b => b.id);
+// Dialog asking for a line of text
+function showPromptDialog(message, defaultValue, onSubmit, emoji = '🦁', title = 'Zoo Planner') {
+    const modal = document.createElement('div');
+    modal.className = 'confirm-modal';
+    modal.innerHTML = `
+        <div class="confirm-content">
+            <div class="confirm-emoji">${emoji}</div>
+            <h3>${title}</h3>
+            <p class="confirm-message">${message}</p>
+            <input type="text" class="prompt-input" maxlength="50">
+            <div class="confirm-buttons">
+                <button class="confirm-ok">OK</button>
+                <button class="confirm-no">Cancel</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
     
-    // Remove them from state
-    state.placedBuildings = state.placedBuildings.filter(b => !b.id.startsWith('restroom-'));
+    const input = modal.querySelector('.prompt-input');
+    input.value = defaultValue;
     
-    // Remove from DOM
-    restroomIds.forEach(id => {
-        const el = document.getElementById(id);
-        if (el) el.remove();
+    const submit = () => {
+        modal.remove();
+        onSubmit(input.value.trim());
+    };
+    
+    modal.querySelector('.confirm-ok').addEventListener('click', submit);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') submit();
     });
+    modal.querySelector('.confirm-no').addEventListener('click', () => modal.remove());
     
-    // Update UI
-    renderBuildingList();
+    // Click outside to cancel
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
     
-    // Update URL
-    updateURL();
+    input.focus();
+    input.select();
 }
 
-// Delete all decorations of a type (no confirmation - from sidebar button)
-function deleteAllDecorationType(decorationType) {
-    // Get all decoration IDs of this type
-    const decorationIds = state.placedDecorations
-        .filter(d => d.id.startsWith(decorationType + '-'))
-        .map(d => d.id);
-    
-    // Remove them from state
-    state.placedDecorations = state.placedDecorations.filter(d => !d.id.startsWith(decorationType + '-'));
+// Delete a building
+function deleteBuilding(id) {
+    const building = findItem('building', id);
+    if (!building) return;
     
-    // Remove from DOM
-    decorationIds.forEach(id => {
-        const el = document.getElementById(id);
-        if (el) el.remove();
-    });
+    runCommand(createRemoveCommand(`Delete ${building.name}`, [{ kind: 'building', item: building }]));
+}
+
+// Delete a decoration
+function deleteDecoration(id) {
+    const decoration = findItem('decoration', id);
+    if (!decoration) return;
     
-    // Update UI
-    renderDecorationList();
+    runCommand(createRemoveCommand(`Delete ${decoration.name}`, [{ kind: 'decoration', item: decoration }]));
+}
+
+// Delete every building or decoration of a type that isn't locked (no confirmation - from sidebar button)
+function deleteAllOfType(typeId) {
+    const entries = placedOfType(typeId).filter(({ item }) => !item.locked);
+    if (entries.length === 0) return;
     
-    // Update URL
-    updateURL();
+    const name = catalogName(typeId);
+    runCommand(createRemoveCommand(entries.length === 1 ? `Delete ${name}` : `Delete ${entries.length} × ${name}`, entries));
 }
 
 // Delete an enclosure
 function deleteEnclosure(id) {
-    state.enclosures = state.enclosures.filter(e => e.id !== id);
-    const el = document.getElementById(id);
-    if (el) el.remove();
+    const enclosure = findItem('enclosure', id);
+    if (!enclosure) return;
     
-    // Update animal list to show animals as available again
-    renderAnimalList();
+    runCommand(createRemoveCommand(`Delete ${describeItem('enclosure', enclosure)}`, [{ kind: 'enclosure', item: enclosure }]));
+}
+
+// Set the zoo name in state, the name input and the page title
+function setZooName(name) {
+    state.zooName = name;
+    document.getElementById('zooName').value = name;
+    document.title = name ? `${name} - Zoo Planner` : 'Zoo Planner - Design Your Zoo!';
+}
+
+// Change the grid size and redraw the grid lines
+function setGridSize(width, height) {
+    state.gridWidth = width;
+    state.gridHeight = height;
+    renderGridLines();
+}
+
+// List every placed item that would not fit in a grid of the given size
+function findItemsOutsideGrid(width, height) {
+    const outside = [];
+    Object.keys(ITEM_COLLECTIONS).forEach(kind => {
+        state[ITEM_COLLECTIONS[kind]].forEach(item => {
+            if (item.gridX + item.width > width || item.gridY + item.height > height) {
+                outside.push({ kind, item });
+            }
+        });
+    });
+    return outside;
+}
+
+// Command: resize the grid, optionally trimming enclosures and removing items that no longer fit
+function createGridSizeCommand(width, height, clip) {
+    const commands = [];
+    
+    if (clip) {
+        const removals = [];
+        findItemsOutsideGrid(width, height).forEach(({ kind, item }) => {
+            const startsInside = item.gridX < width && item.gridY < height;
+            if (kind === 'enclosure' && startsInside && item.shape) {
+                // Painted enclosures lose the squares past the edge - or go if none are left
+                const kept = itemCells(item).filter(([x, y]) => x < width && y < height);
+                if (kept.length === 0) {
+                    removals.push({ kind, item });
+                } else {
+                    // Painted terrain stays on its squares if the enclosure's corner moves
+                    const trimmed = shapeFromCells(kept.map(cell => cell.join(',')));
+                    trimmed.terrain = shiftTerrain(item.terrain, trimmed.gridX - item.gridX, trimmed.gridY - item.gridY);
+                    commands.push(createUpdateCommand('Trim enclosure', kind, item.id,
+                        { gridX: item.gridX, gridY: item.gridY, width: item.width, height: item.height, shape: item.shape, terrain: item.terrain },
+                        trimmed
+                    ));
+                }
+            } else if (kind === 'enclosure' && startsInside) {
+                // Enclosures can be trimmed to the new edge
+                commands.push(createUpdateCommand('Trim enclosure', kind, item.id,
+                    { width: item.width, height: item.height },
+                    { width: Math.min(item.width, width - item.gridX), height: Math.min(item.height, height - item.gridY) }
+                ));
+            } else {
+                // Buildings and decorations keep their size, so they have to go
+                removals.push({ kind, item });
+            }
+        });
+        if (removals.length > 0) {
+            commands.push(createRemoveCommand('Remove items outside the grid', removals));
+        }
+    }
     
-    // Update summary table
-    updateSummaryTable();
+    // Path squares past the new edge always go - there's nothing to mark in red
+    const pathsOutside = Array.from(state.paths).filter(key => {
+        const [x, y] = key.split(',').map(Number);
+        return x >= width || y >= height;
+    });
+    if (pathsOutside.length > 0) {
+        commands.push(createPathCommand('Remove paths outside the grid', [], pathsOutside));
+    }
     
-    // Update URL
-    updateURL();
+    const before = { width: state.gridWidth, height: state.gridHeight };
+    commands.push({
+        do: () => setGridSize(width, height),
+        undo: () => setGridSize(before.width, before.height),
+    });
+    
+    return createCompositeCommand(`Change grid to ${width} × ${height}`, commands);
 }
 
-// Delete an enclosure by animal type (no confirmation - from sidebar button)
-function deleteEnclosureByAnimal(animalId) {
-    const enclosure = state.enclosures.find(e => e.animal === animalId);
-    if (enclosure) {
-        deleteEnclosure(enclosure.id);
+// Show the grid size dialog
+function showGridSizeDialog() {
+    const modal = document.createElement('div');
+    modal.className = 'confirm-modal';
+    modal.innerHTML = `
+        <div class="confirm-content grid-size-content">
+            <div class="confirm-emoji">📏</div>
+            <h3>Grid Size</h3>
+            <p class="confirm-message">How many squares wide and tall should your zoo be?</p>
+            <div class="grid-size-inputs">
+                <label>Width
+                    <input type="number" id="gridWidthInput" class="grid-size-input" min="${MIN_GRID_SIZE}" max="${MAX_GRID_SIZE}" step="1" value="${state.gridWidth}">
+                </label>
+                <span class="grid-size-times">×</span>
+                <label>Height
+                    <input type="number" id="gridHeightInput" class="grid-size-input" min="${MIN_GRID_SIZE}" max="${MAX_GRID_SIZE}" step="1" value="${state.gridHeight}">
+                </label>
+            </div>
+            <div class="grid-size-presets">
+                <button class="grid-size-preset" data-size="30x30">30 × 30</button>
+                <button class="grid-size-preset" data-size="40x25">40 × 25</button>
+                <button class="grid-size-preset" data-size="50x50">50 × 50</button>
+            </div>
+            <div class="grid-size-warning" id="gridSizeWarning"></div>
+            <div class="confirm-buttons">
+                <button class="confirm-yes" id="gridSizeApply">Apply</button>
+                <button class="confirm-no">Cancel</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const widthInput = modal.querySelector('#gridWidthInput');
+    const heightInput = modal.querySelector('#gridHeightInput');
+    const warning = modal.querySelector('#gridSizeWarning');
+    const applyBtn = modal.querySelector('#gridSizeApply');
+    
+    // Read the inputs (null if out of range)
+    const readSize = () => parseGridSize(`${widthInput.value}x${heightInput.value}`);
+    
+    // Show which items won't fit and let the student choose to trim them or keep them flagged
+    function updateWarning() {
+        const size = readSize();
+        applyBtn.disabled = !size;
+        
+        if (!size) {
+            warning.innerHTML = `Pick a size from ${MIN_GRID_SIZE} to ${MAX_GRID_SIZE} squares.`;
+            return;
+        }
+        
+        const outside = findItemsOutsideGrid(size.width, size.height);
+        if (outside.length === 0) {
+            warning.innerHTML = '';
+            return;
+        }
+        
+        const names = outside.map(({ kind, item }) => describeItem(kind, item)).join(', ');
+        warning.innerHTML = `
+            <p>⚠️ ${outside.length} item${outside.length === 1 ? '' : 's'} won't fit: ${names}</p>
+            <label class="grid-size-clip">
+                <input type="checkbox" id="gridSizeClip" checked>
+                Trim enclosures and remove items that don't fit (otherwise they are marked in red)
+            </label>
+        `;
     }
+    
+    widthInput.addEventListener('input', updateWarning);
+    heightInput.addEventListener('input', updateWarning);
+    
+    modal.querySelectorAll('.grid-size-preset').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const size = parseGridSize(btn.dataset.size);
+            widthInput.value = size.width;
+            heightInput.value = size.height;
+            updateWarning();
+        });
+    });
+    
+    applyBtn.addEventListener('click', () => {
+        const size = readSize();
+        if (!size) return;
+        
+        const clipInput = modal.querySelector('#gridSizeClip');
+        const clip = clipInput ? clipInput.checked : false;
+        modal.remove();
+        
+        if (size.width !== state.gridWidth || size.height !== state.gridHeight) {
+            runCommand(createGridSizeCommand(size.width, size.height, clip));
+        }
+    });
+    
+    modal.querySelector('.confirm-no').addEventListener('click', () => modal.remove());
+    
+    // Click outside to cancel
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+    
+    updateWarning();
+    setTimeout(() => widthInput.focus(), 100);
 }
 
 // Start over - clear all items
 function startOver() {
     showConfirmDialog('Are you sure you want to start over? This will clear everything!', () => {
-        state.placedBuildings = [];
-        state.placedDecorations = [];
-        state.enclosures = [];
-        state.nextEnclosureId = 1;
-        state.selectedAnimal = null;
-        state.zooName = '';
+        // Finish saving the current zoo before leaving it
+        if (autosaveTimer) autosaveZoo();
         
-        document.getElementById('buildings').innerHTML = '';
-        document.getElementById('enclosures').innerHTML = '';
-        document.getElementById('zooName').value = '';
-        document.title = 'Zoo Planner - Design Your Zoo!';
-        
-        // Reset all lists
-        renderAnimalList();
-        renderBuildingList();
-        renderDecorationList();
+        // The assignment's locked items stay for the fresh start
+        const entries = [
+            ...state.placedBuildings.filter(item => !item.locked).map(item => ({ kind: 'building', item })),
+            ...state.placedDecorations.filter(item => !item.locked).map(item => ({ kind: 'decoration', item })),
+            ...state.enclosures.map(item => ({ kind: 'enclosure', item })),
+        ];
+        const previousName = state.zooName;
+        const previousNextEnclosureId = state.nextEnclosureId;
+        const previousLibraryId = state.libraryId;
         
-        // Update summary table
-        updateSummaryTable();
+        state.selectedAnimal = null;
         
-        // Clear URL parameters
-        window.history.replaceState({}, '', window.location.pathname);
+        // Undoable like any other edit - restores every item, the paths and the zoo name
+        runCommand(createCompositeCommand('Start over', [
+            createRemoveCommand('Remove everything', entries),
+            createPathCommand('Remove paths', [], Array.from(state.paths)),
+            {
+                do: () => {
+                    setZooName('');
+                    state.nextEnclosureId = 1;
+                    // The old zoo stays in My Zoos - the fresh one gets its own entry
+                    setCurrentLibraryId(null);
+                },
+                undo: () => {
+                    setZooName(previousName);
+                    state.nextEnclosureId = previousNextEnclosureId;
+                    setCurrentLibraryId(previousLibraryId);
+                },
+            },
+        ]));
     }, '🔄', 'Start Over');
 }
 